@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Tests for the HTTP access log and the redaction of sensitive
+ * values in log entries: one structured entry per request, excluded paths,
+ * nested keys masked without modifying the logged data, and todo bodies kept
+ * out of the logs.
+ */
+
+const request = require('supertest');
+const { Transport } = require('winston');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+const logger = require('../lib/utilities/logger');
+const todos = require('../v1_routes/todo_demo_routes/todo_demo_module');
+const { createRedactor, REDACTED } = require('../lib/utilities/redact');
+
+let mongoServer;
+let connection;
+
+/**
+ * Winston transport keeping every entry it receives.
+ */
+class CaptureTransport extends Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+/** @type {CaptureTransport} */
+let capture;
+
+/**
+ * Start an in-memory MongoDB and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+});
+
+/**
+ * Capture the log entries of each test.
+ */
+beforeEach(() => {
+  capture = new CaptureTransport();
+  logger.add(capture);
+});
+
+/**
+ * Stop capturing.
+ */
+afterEach(() => {
+  logger.remove(capture);
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Returns the access log entries captured so far.
+ *
+ * @returns {Object[]} Entries with `type: "access"`.
+ */
+const accessEntries = () => capture.entries.filter((entry) => entry.type === 'access');
+
+describe('Access log', () => {
+  /**
+   * A request produces one entry with method, path, status, duration, bytes and user.
+   */
+  test('writes one structured entry per request', async () => {
+    const res = await request(app).get('/v1/todo?limit=5').set('X-Request-Id', 'req-access');
+    expect(res.statusCode).toBe(200);
+
+    const entries = accessEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0][Symbol.for('level')]).toBe('info');
+    expect(entries[0]).toMatchObject({
+      method: 'GET',
+      path: '/v1/todo',
+      route: '/v1/todo',
+      status: 200,
+      bytes: Number(res.headers['content-length']),
+      user_id: 'placeholder-user-id',
+      request_id: 'req-access',
+    });
+    expect(typeof entries[0].duration_ms).toBe('number');
+    expect(entries[0].message).toMatch(/^GET \/v1\/todo 200 [\d.]+ ms$/);
+  });
+
+  /**
+   * Requests failing before authentication are logged without a user.
+   */
+  test('logs unmatched requests and errors', async () => {
+    await request(app).get('/v1/no_such_route');
+    const [entry] = accessEntries();
+    expect(entry).toMatchObject({ method: 'GET', path: '/v1/no_such_route', status: 404, user_id: null });
+    expect(entry).not.toHaveProperty('route');
+  });
+
+  /**
+   * Probes of every version and scrapes are left out by default.
+   */
+  test('skips excluded paths', async () => {
+    await request(app).get('/v1/health/live');
+    await request(app).get('/v2/health/live');
+    await request(app).get('/v2/health/ready');
+    await request(app).get('/v1/health_check');
+    await request(app).get('/metrics');
+    expect(accessEntries()).toHaveLength(0);
+  });
+});
+
+describe('Log redaction', () => {
+  /**
+   * Sensitive keys are masked at any depth, including inside arrays.
+   */
+  test('masks sensitive keys in logged metadata', () => {
+    const meta = {
+      user: 'alice',
+      password: 'hunter2',
+      request: { headers: { Authorization: 'Bearer abc', 'x-api-key': 'k1', accept: 'json' } },
+      accounts: [{ name: 'main', access_token: 't1' }],
+    };
+    logger.info('Signing in', meta);
+
+    const entry = capture.entries.find((e) => e.message === 'Signing in');
+    expect(entry).toMatchObject({
+      user: 'alice',
+      password: REDACTED,
+      request: { headers: { Authorization: REDACTED, 'x-api-key': REDACTED, accept: 'json' } },
+      accounts: [{ name: 'main', access_token: REDACTED }],
+    });
+  });
+
+  /**
+   * The objects handed to the logger keep their values.
+   */
+  test('does not modify the logged objects', () => {
+    const todo = { task: 'Call bank', credentials: { pin: '1234' } };
+    logger.info('Saving', { todo });
+    expect(todo.credentials).toEqual({ pin: '1234' });
+    expect(capture.entries.find((e) => e.message === 'Saving').todo.credentials).toBe(REDACTED);
+  });
+
+  /**
+   * Extra keys extend the built-in list; non-plain values are left alone.
+   */
+  test('supports extra keys and leaves other values as they are', () => {
+    const redact = createRedactor(['ssn']);
+    const when = new Date();
+    const circular = { SSN: '123-45-6789', when };
+    circular.self = circular;
+
+    const result = redact(circular);
+    expect(result.SSN).toBe(REDACTED);
+    expect(result.when).toBe(when);
+    expect(result.self).toBe('[Circular]');
+    expect(createRedactor()({ ssn: 'x' })).toEqual({ ssn: 'x' });
+  });
+
+  /**
+   * Todo bodies are no longer logged when todos are created or updated.
+   */
+  test('keeps todo bodies out of the logs', async () => {
+    const created = await request(app)
+      .post('/v1/todo')
+      .send({ task: 'Private note 7f3a', priority: 1, assigned_to: 'alice', is_complete: false });
+    expect(created.statusCode).toBe(201);
+    await todos.update(created.body._id, { task: 'Private note 9c1d' }, { id: 'placeholder-user-id' });
+
+    const logged = JSON.stringify(capture.entries);
+    expect(logged).not.toContain('Private note');
+    expect(capture.entries.find((e) => e.message.startsWith('Updating todo'))).toMatchObject({ fields: ['task'] });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Integration tests for JWT bearer-token authentication.
+ * Switches the app into "jwt" mode and verifies that /v1/auth_test accepts
+ * valid HS256/RS256 tokens and rejects missing, expired, not-yet-valid,
+ * wrongly-signed, and wrong-issuer/audience tokens with 401. Also checks that
+ * "jwt" is the default mode.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+
+const secret = 'test-secret';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const savedEnv = { ...process.env };
+
+/**
+ * Enable JWT mode with both HS256 and RS256 keys before the suite runs.
+ */
+beforeAll(() => {
+  process.env.AUTH_MODE = 'jwt';
+  process.env.JWT_ALGORITHMS = 'HS256,RS256';
+  process.env.JWT_SECRET = secret;
+  process.env.JWT_PUBLIC_KEY = publicKey;
+  process.env.JWT_ISSUER = 'https://issuer.test';
+  process.env.JWT_AUDIENCE = 'todo-api';
+});
+
+/**
+ * Restore the original environment after the suite completes.
+ */
+afterAll(() => {
+  process.env = savedEnv;
+});
+
+/**
+ * Signs a token with the configured issuer and audience.
+ *
+ * @param {object} payload - Token claims.
+ * @param {object} [options] - Extra jsonwebtoken sign options.
+ * @returns {string} Signed JWT.
+ */
+function sign(payload, options = {}) {
+  const { key = secret, ...rest } = options;
+  return jwt.sign(payload, key, {
+    algorithm: 'HS256',
+    issuer: 'https://issuer.test',
+    audience: 'todo-api',
+    expiresIn: '5m',
+    ...rest
+  });
+}
+
+describe('JWT authentication', () => {
+  /**
+   * A valid HS256 token maps its claims onto req.user.
+   */
+  test('accepts a valid HS256 token', async () => {
+    const token = sign({ sub: 'u-1', preferred_username: 'alice', roles: ['user', 'admin'] });
+    const res = await request(app).get('/v1/auth_test').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.authenticated_user).toEqual({ id: 'u-1', username: 'alice', roles: ['user', 'admin'] });
+  });
+
+  /**
+   * A valid RS256 token is verified with the configured public key.
+   */
+  test('accepts a valid RS256 token', async () => {
+    const token = sign({ sub: 'u-2', username: 'bob', roles: 'user' }, { key: privateKey, algorithm: 'RS256' });
+    const res = await request(app).get('/v1/auth_test').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.authenticated_user).toEqual({ id: 'u-2', username: 'bob', roles: ['user'] });
+  });
+
+  /**
+   * Requests without an Authorization header are rejected with a Bearer challenge.
+   */
+  test('returns 401 when the token is missing', async () => {
+    const res = await request(app).get('/v1/auth_test');
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body.error.message).toMatch(/Missing bearer token/);
+  });
+
+  /**
+   * Without AUTH_MODE, tokens are required in every environment, not just production.
+   */
+  test('requires a token when AUTH_MODE is not set', async () => {
+    delete process.env.AUTH_MODE;
+    process.env.NODE_ENV = 'staging';
+    try {
+      const res = await request(app).get('/v1/auth_test');
+      expect(res.statusCode).toBe(401);
+    } finally {
+      process.env.AUTH_MODE = 'jwt';
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  /**
+   * Expired tokens are rejected.
+   */
+  test('returns 401 when the token is expired', async () => {
+    const token = sign({ sub: 'u-1' }, { expiresIn: -3600 });
+    const res = await request(app).get('/v1/auth_test').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error.message).toMatch(/Token expired/);
+  });
+
+  /**
+   * Tokens whose nbf lies in the future are rejected.
+   */
+  test('returns 401 when the token is not yet valid', async () => {
+    const token = sign({ sub: 'u-1' }, { notBefore: '1h' });
+    const res = await request(app).get('/v1/auth_test').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error.message).toMatch(/Token not yet valid/);
+  });
+
+  /**
+   * Tokens signed with the wrong key, issuer, or audience are rejected.
+   */
+  test.each([
+    ['wrong secret', { key: 'not-the-secret' }],
+    ['wrong issuer', { issuer: 'https://evil.test' }],
+    ['wrong audience', { audience: 'other-api' }]
+  ])('returns 401 for a token with a %s', async (_label, options) => {
+    const token = sign({ sub: 'u-1' }, options);
+    const res = await request(app).get('/v1/auth_test').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toMatch(/invalid_token/);
+  });
+
+  /**
+   * Algorithms outside JWT_ALGORITHMS are refused, including "none".
+   */
+  test('returns 401 for an unsigned token', async () => {
+    const token = jwt.sign({ sub: 'u-1' }, null, { algorithm: 'none' });
+    const res = await request(app).get('/v1/auth_test').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Integration tests for role-based authorization.
+ * Issues HS256 tokens carrying different roles and verifies that the
+ * permission policy is enforced with 403 responses before any handler runs.
+ */
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+
+const secret = 'test-secret';
+const savedEnv = { ...process.env };
+
+/**
+ * Enable JWT mode so each request can carry its own roles.
+ */
+beforeAll(() => {
+  process.env.AUTH_MODE = 'jwt';
+  process.env.JWT_ALGORITHMS = 'HS256';
+  process.env.JWT_SECRET = secret;
+});
+
+/**
+ * Restore the original environment after the suite completes.
+ */
+afterAll(() => {
+  process.env = savedEnv;
+});
+
+/**
+ * Builds an Authorization header value for a user with the given roles.
+ *
+ * @param {string[]} roles - Roles claim for the token.
+ * @returns {string} Bearer header value.
+ */
+function bearer(roles) {
+  return `Bearer ${jwt.sign({ sub: 'u-1', roles }, secret, { expiresIn: '5m' })}`;
+}
+
+describe('Role-based authorization', () => {
+  /**
+   * Users without any granted role are forbidden from diagnostic:read routes.
+   */
+  test('GET /v1/auth_test returns 403 without a permitted role', async () => {
+    const res = await request(app).get('/v1/auth_test').set('Authorization', bearer([]));
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error.message).toMatch(/Insufficient permissions/);
+  });
+
+  /**
+   * Both "user" and "admin" satisfy diagnostic:read.
+   */
+  test.each([['user'], ['admin']])('GET /v1/auth_test returns 200 for role %s', async (role) => {
+    const res = await request(app).get('/v1/auth_test').set('Authorization', bearer([role]));
+    expect(res.statusCode).toBe(200);
+  });
+
+  /**
+   * Regular users may not delete todos; the request is refused before reaching the database.
+   */
+  test('DELETE /v1/todo/:id returns 403 for a regular user', async () => {
+    const res = await request(app)
+      .delete('/v1/todo/507f1f77bcf86cd799439011')
+      .set('Authorization', bearer(['user']));
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Tests for the collection bootstrap in `lib/data/bootstrap.js`
+ * and the AJV-to-`$jsonSchema` conversion it relies on. Verifies that specs are
+ * applied idempotently, that drifted indexes and validators are updated, and
+ * that dry runs report changes without writing them.
+ */
+
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const { bootstrapCollections } = require('../lib/data/bootstrap');
+const { getCollectionSpecs } = require('../lib/data/collection_specs');
+const { toMongoJsonSchema } = require('../lib/data/json_schema');
+
+let mongoServer;
+let connection;
+let database;
+
+/**
+ * Start an in-memory MongoDB.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+});
+
+/**
+ * Give each test its own empty database.
+ */
+beforeEach(() => {
+  database = connection.db(`bootstrap_${expect.getState().currentTestName.replace(/\W+/g, '_')}`);
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Returns an index of a collection by name.
+ *
+ * @param {string} collection - Collection name.
+ * @param {string} name - Index name.
+ * @returns {Promise<Object|undefined>} The index description.
+ */
+const findIndex = async (collection, name) =>
+  (await database.collection(collection).indexes()).find((index) => index.name === name);
+
+describe('toMongoJsonSchema', () => {
+  /**
+   * Types map to BSON types; unsupported keywords are dropped or rewritten.
+   */
+  test('converts AJV schemas to $jsonSchema', () => {
+    const converted = toMongoJsonSchema({
+      type: 'object',
+      required: ['n'],
+      properties: {
+        n: { type: 'integer', minimum: 1, default: 1 },
+        done: { type: 'boolean' },
+        due: { type: 'string', format: 'iso-date' },
+        kind: { const: 'todo' },
+        score: { type: ['number', 'null'], exclusiveMinimum: 0 },
+      },
+      additionalProperties: false,
+    });
+
+    expect(converted).toEqual({
+      bsonType: 'object',
+      required: ['n'],
+      properties: {
+        n: { bsonType: ['int', 'long'], minimum: 1 },
+        done: { bsonType: 'bool' },
+        due: { bsonType: 'string' },
+        kind: { enum: ['todo'] },
+        score: { bsonType: ['number', 'null'], minimum: 0, exclusiveMinimum: true },
+      },
+      additionalProperties: false,
+    });
+  });
+});
+
+describe('bootstrapCollections', () => {
+  /**
+   * A fresh database gets every collection, index and validator; a second run changes nothing.
+   */
+  test('applies specs idempotently', async () => {
+    const changes = await bootstrapCollections(database, getCollectionSpecs());
+    expect(changes).toContainEqual({ collection: 'todos', action: 'createCollection' });
+    expect(changes).toContainEqual({ collection: 'todos', action: 'createIndex', index: 'assigned_to' });
+    expect(changes).toContainEqual({ collection: 'idempotency_keys', action: 'createIndex', index: 'created_at_ttl' });
+
+    const [todos] = await database.listCollections({ name: 'todos' }).toArray();
+    expect(todos.options.validator.$jsonSchema.required).toEqual(['task', 'priority', 'assigned_to', 'is_complete']);
+    expect(todos.options.validationLevel).toBe('moderate');
+    expect(await findIndex('todos', 'owner_live_date_created')).toMatchObject({
+      key: { owner_id: 1, deleted_at: 1, date_created: -1, _id: -1 },
+    });
+
+    expect(await bootstrapCollections(database, getCollectionSpecs())).toEqual([]);
+  });
+
+  /**
+   * Dry runs report what would change without writing anything.
+   */
+  test('writes nothing in dry-run mode', async () => {
+    const changes = await bootstrapCollections(database, getCollectionSpecs(), { dryRun: true });
+    expect(changes.length).toBeGreaterThan(0);
+    expect(await database.listCollections().toArray()).toEqual([]);
+
+    expect(await bootstrapCollections(database, getCollectionSpecs())).toEqual(changes);
+  });
+
+  /**
+   * Indexes and validators that drifted from their spec are brought back in line.
+   */
+  test('updates drifted indexes and validators', async () => {
+    await bootstrapCollections(database, getCollectionSpecs());
+    const todos = database.collection('todos');
+    await todos.dropIndex('assigned_to');
+    await todos.createIndex({ assigned_to: 1 }, { name: 'assigned_to', unique: true });
+    await database.command({ collMod: 'todos', validator: {}, validationLevel: 'strict', validationAction: 'warn' });
+
+    process.env.IDEMPOTENCY_TTL_HOURS = '48';
+    try {
+      const changes = await bootstrapCollections(database, getCollectionSpecs());
+      expect(changes).toEqual(expect.arrayContaining([
+        { collection: 'todos', action: 'updateValidator' },
+        { collection: 'todos', action: 'replaceIndex', index: 'assigned_to' },
+        { collection: 'idempotency_keys', action: 'updateIndexTtl', index: 'created_at_ttl' },
+      ]));
+      expect(changes).toHaveLength(3);
+    } finally {
+      delete process.env.IDEMPOTENCY_TTL_HOURS;
+    }
+
+    expect((await findIndex('todos', 'assigned_to')).unique).toBeUndefined();
+    expect((await findIndex('idempotency_keys', 'created_at_ttl')).expireAfterSeconds).toBe(48 * 3600);
+  });
+
+  /**
+   * Indexes outside the spec are left alone, including ones covering a spec'd index's fields.
+   */
+  test('never drops unmanaged indexes', async () => {
+    await database.collection('todos').createIndex({ task: 1 }, { name: 'task_text' });
+    await database.collection('todos').createIndex({ assigned_to: 1 }, { name: 'by_assignee' });
+
+    const changes = await bootstrapCollections(database, getCollectionSpecs());
+    expect(changes).not.toContainEqual({ collection: 'todos', action: 'createIndex', index: 'assigned_to' });
+    expect(await findIndex('todos', 'task_text')).toBeDefined();
+    expect(await findIndex('todos', 'by_assignee')).toBeDefined();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Tests for the migration runner in `lib/migrations/migrator.js`.
+ * Verifies ordering, recording in the `migrations` collection, rollback,
+ * status reporting, failure handling and locking between concurrent runs,
+ * plus the migrations shipped in `/migrations`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient, ObjectId } = require('mongodb');
+const {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+} = require('../lib/migrations/migrator');
+const { validateBody } = require('../v1_schema/validation');
+
+let mongoServer;
+let connection;
+let database;
+
+/**
+ * Start an in-memory MongoDB.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+});
+
+/**
+ * Give each test its own empty database.
+ */
+beforeEach(() => {
+  database = connection.db(`migrate_${expect.getState().currentTestName.replace(/\W+/g, '_').slice(-50)}`);
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Builds a migration that inserts a marker document on `up` and removes it on `down`.
+ *
+ * @param {number} number - Migration number.
+ * @param {string[]} [calls] - Receives `"up:<id>"`/`"down:<id>"` for each call.
+ * @returns {import('../lib/migrations/migrator').Migration} The migration.
+ */
+function markerMigration(number, calls = []) {
+  const id = `${String(number).padStart(4, '0')}_marker_${number}`;
+  return {
+    id,
+    number,
+    description: `Marker ${number}`,
+    up: async (db) => {
+      calls.push(`up:${id}`);
+      await db.collection('markers').insertOne({ _id: id });
+    },
+    down: async (db) => {
+      calls.push(`down:${id}`);
+      await db.collection('markers').deleteOne({ _id: id });
+    },
+  };
+}
+
+/**
+ * Returns the ids of the marker documents, sorted.
+ *
+ * @returns {Promise<string[]>} Marker ids.
+ */
+const markers = async () =>
+  (await database.collection('markers').find({}).toArray()).map(({ _id }) => _id).sort();
+
+describe('loadMigrations', () => {
+  /**
+   * Shipped migrations are numbered, ordered and export up/down.
+   */
+  test('loads the /migrations scripts in order', () => {
+    const migrations = loadMigrations();
+    expect(migrations.length).toBeGreaterThan(0);
+    expect(migrations[0]).toMatchObject({ id: '0001_backfill_todo_version', number: 1 });
+    migrations.forEach((migration, index) => {
+      expect(typeof migration.up).toBe('function');
+      expect(typeof migration.down).toBe('function');
+      if (index > 0) expect(migration.number).toBeGreaterThan(migrations[index - 1].number);
+    });
+  });
+
+  /**
+   * Misnamed scripts are rejected rather than silently skipped.
+   */
+  test('rejects misnamed scripts', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'add-field.js'), 'module.exports = { up() {}, down() {} };');
+      expect(() => loadMigrations(directory)).toThrow(/NNNN_snake_case_name/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('migrateUp / migrateDown', () => {
+  /**
+   * Pending migrations run in order once; a second run applies nothing.
+   */
+  test('applies pending migrations in order and records them', async () => {
+    const calls = [];
+    const migrations = [markerMigration(1, calls), markerMigration(2, calls), markerMigration(3, calls)];
+
+    expect(await migrateUp(database, migrations, { to: 2 })).toEqual(['0001_marker_1', '0002_marker_2']);
+    expect(await migrateUp(database, migrations)).toEqual(['0003_marker_3']);
+    expect(await migrateUp(database, migrations)).toEqual([]);
+
+    expect(calls).toEqual(['up:0001_marker_1', 'up:0002_marker_2', 'up:0003_marker_3']);
+    const record = await database.collection('migrations').findOne({ _id: '0002_marker_2' });
+    expect(record).toMatchObject({ description: 'Marker 2' });
+    expect(record.applied_at).toBeInstanceOf(Date);
+  });
+
+  /**
+   * `down` reverts newest first: one step by default, or everything after `to`.
+   */
+  test('reverts migrations newest first', async () => {
+    const migrations = [markerMigration(1), markerMigration(2), markerMigration(3)];
+    await migrateUp(database, migrations);
+
+    expect(await migrateDown(database, migrations)).toEqual(['0003_marker_3']);
+    expect(await markers()).toEqual(['0001_marker_1', '0002_marker_2']);
+
+    await migrateUp(database, migrations);
+    expect(await migrateDown(database, migrations, { to: 1 })).toEqual(['0003_marker_3', '0002_marker_2']);
+    expect(await migrateDown(database, migrations, { to: 0 })).toEqual(['0001_marker_1']);
+    expect(await markers()).toEqual([]);
+    expect(await database.collection('migrations').countDocuments()).toBe(0);
+  });
+
+  /**
+   * A failing migration stops the run; earlier ones stay applied and the lock is released.
+   */
+  test('stops at the first failing migration', async () => {
+    const failing = { ...markerMigration(2), up: async () => { throw new Error('boom'); } };
+    const migrations = [markerMigration(1), failing, markerMigration(3)];
+
+    await expect(migrateUp(database, migrations)).rejects.toThrow('boom');
+    expect(await markers()).toEqual(['0001_marker_1']);
+
+    const status = await getMigrationStatus(database, migrations);
+    expect(status.map(({ id, state }) => [id, state])).toEqual([
+      ['0001_marker_1', 'applied'],
+      ['0002_marker_2', 'pending'],
+      ['0003_marker_3', 'pending'],
+    ]);
+    expect(await database.collection('migration_locks').countDocuments()).toBe(0);
+  });
+
+  /**
+   * Applied migrations whose script was removed are reported and cannot be reverted.
+   */
+  test('reports applied migrations with a missing script', async () => {
+    await migrateUp(database, [markerMigration(1), markerMigration(2)]);
+    const migrations = [markerMigration(1)];
+
+    const status = await getMigrationStatus(database, migrations);
+    expect(status[1]).toMatchObject({ id: '0002_marker_2', state: 'missing' });
+    await expect(migrateDown(database, migrations)).rejects.toMatchObject({ code: 'MIGRATION_MISSING' });
+  });
+});
+
+describe('locking', () => {
+  /**
+   * Of two runs started together, one applies the migrations and the other is refused.
+   */
+  test('lets only one concurrent run proceed', async () => {
+    const calls = [];
+    const migrations = [markerMigration(1, calls), markerMigration(2, calls)];
+
+    const results = await Promise.allSettled([migrateUp(database, migrations), migrateUp(database, migrations)]);
+    const rejected = results.filter(({ status }) => status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.code).toBe('MIGRATION_LOCKED');
+    expect(calls).toEqual(['up:0001_marker_1', 'up:0002_marker_2']);
+  });
+
+  /**
+   * A lock left behind by a crashed run is taken over once it expires.
+   */
+  test('takes over an expired lock', async () => {
+    const locks = database.collection('migration_locks');
+    await locks.insertOne({ _id: 'migrate', owner: 'other', host: 'elsewhere', pid: 1, acquired_at: new Date(), expires_at: new Date(Date.now() + 60000) });
+    await expect(migrateUp(database, [markerMigration(1)])).rejects.toMatchObject({ code: 'MIGRATION_LOCKED' });
+
+    await locks.updateOne({ _id: 'migrate' }, { $set: { expires_at: new Date(Date.now() - 1000) } });
+    expect(await migrateUp(database, [markerMigration(1)])).toEqual(['0001_marker_1']);
+    expect(await locks.countDocuments()).toBe(0);
+  });
+});
+
+describe('shipped migrations', () => {
+  /**
+   * 0001 gives unversioned todos version 0, which the document schema allows, and reverts only those.
+   */
+  test('0001 backfills and removes version 0', async () => {
+    const migrations = loadMigrations().filter(({ number }) => number === 1);
+    const legacy = new ObjectId();
+    const current = new ObjectId();
+    await database.collection('todos').insertMany([
+      { _id: legacy, task: 'Legacy' },
+      { _id: current, task: 'Current', version: 3 },
+    ]);
+
+    await migrateUp(database, migrations);
+    expect((await database.collection('todos').findOne({ _id: legacy })).version).toBe(0);
+    // The published todo document schema accepts backfilled versions.
+    expect(() => validateBody('todo_document', { version: 0 }, 'partial')).not.toThrow();
+    expect((await database.collection('todos').findOne({ _id: current })).version).toBe(3);
+
+    await migrateDown(database, migrations);
+    expect(await database.collection('todos').findOne({ _id: legacy })).not.toHaveProperty('version');
+    expect((await database.collection('todos').findOne({ _id: current })).version).toBe(3);
+  });
+});
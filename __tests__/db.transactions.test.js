@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tests for `db.withTransaction` against an in-memory replica set
+ * (transactions need one). Verifies that todo module writes made with the
+ * session commit together, roll back together when the work fails, and that
+ * transient transaction errors are retried.
+ */
+
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { MongoClient, MongoError } = require('mongodb');
+const db = require('../lib/data/db');
+const todos = require('../v1_routes/todo_demo_routes/todo_demo_module');
+const { createApiError } = require('../lib/utilities/error_utils');
+
+let replSet;
+let connection;
+
+/** The stub user every todo is created for. */
+const user = { id: 'tx-user', roles: ['user'] };
+
+/**
+ * Start an in-memory single-node replica set and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  connection = await MongoClient.connect(replSet.getUri());
+  db._db = connection.db();
+});
+
+/**
+ * Start each test with no todos.
+ */
+beforeEach(async () => {
+  db._db = connection.db();
+  await db._db.collection('todos').deleteMany({});
+});
+
+/**
+ * Close the Mongo client and stop the replica set after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await replSet.stop();
+});
+
+/**
+ * Builds a valid todo.
+ *
+ * @param {string} task - Task text.
+ * @returns {Object} Todo fields.
+ */
+const newTodo = (task) => ({ task, priority: 1, assigned_to: 'alice', is_complete: false });
+
+describe('db.withTransaction', () => {
+  /**
+   * Writes made with the session are all stored once the transaction commits.
+   */
+  test('commits every write made with the session', async () => {
+    const result = await db.withTransaction(async (session) => {
+      const first = await todos.create(newTodo('First'), user, { session });
+      const second = await todos.create(newTodo('Second'), user, { session });
+      await todos.update(first._id.toString(), { is_complete: true }, user, { session });
+      await todos.delete(second._id.toString(), user, { session });
+      return first._id;
+    });
+
+    const stored = await db._db.collection('todos').find({}).sort({ task: 1 }).toArray();
+    expect(stored.map(({ task }) => task)).toEqual(['First', 'Second']);
+    expect(stored[0]).toMatchObject({ _id: result, is_complete: true, version: 2 });
+    expect(stored[1].deleted_at).toBeInstanceOf(Date);
+  });
+
+  /**
+   * An error thrown by the work aborts the transaction: nothing it wrote is kept.
+   */
+  test('rolls back every write when the work fails', async () => {
+    const { _id } = await todos.create(newTodo('Existing'), user);
+
+    await expect(db.withTransaction(async (session) => {
+      await todos.create(newTodo('Rolled back'), user, { session });
+      await todos.update(_id.toString(), { task: 'Renamed' }, user, { session });
+      throw createApiError(404, 'Todo not found');
+    })).rejects.toMatchObject({ status: 404 });
+
+    const stored = await db._db.collection('todos').find({}).toArray();
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).toMatchObject({ task: 'Existing', version: 1 });
+  });
+
+  /**
+   * Transient errors rerun the whole transaction, up to the attempt limit.
+   */
+  test('retries transient transaction errors', async () => {
+    const transient = () => {
+      const err = new MongoError('write conflict');
+      err.addErrorLabel('TransientTransactionError');
+      return err;
+    };
+
+    let calls = 0;
+    const task = await db.withTransaction(async (session) => {
+      calls++;
+      const todo = await todos.create(newTodo(`Attempt ${calls}`), user, { session });
+      if (calls === 1) throw transient();
+      return todo.task;
+    });
+    expect(calls).toBe(2);
+    expect(task).toBe('Attempt 2');
+    expect(await db._db.collection('todos').countDocuments()).toBe(1);
+
+    calls = 0;
+    await expect(db.withTransaction(async () => {
+      calls++;
+      throw transient();
+    }, { maxAttempts: 2 })).rejects.toThrow('write conflict');
+    expect(calls).toBe(2);
+  });
+
+  /**
+   * No transaction is started while the database is unavailable.
+   */
+  test('fails fast with 503 when the database is not ready', async () => {
+    db._client.emit('topologyDescriptionChanged', { newDescription: { hasDataBearingServers: false } });
+    const fn = jest.fn();
+
+    await expect(db.withTransaction(fn)).rejects.toMatchObject({ status: 503 });
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Integration tests for the JSON error body contract.
+ * Verifies that every 4xx response carries a stable `code` alongside the human
+ * `message`, and that validation failures list each violation in `details`.
+ */
+
+const request = require('supertest');
+const app = require('../app');
+
+describe('Error responses', () => {
+  /**
+   * Unknown routes yield NOT_FOUND.
+   */
+  test('404 responses carry code NOT_FOUND', async () => {
+    const res = await request(app).get('/v1/does_not_exist');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'NOT_FOUND', message: 'Not Found' });
+  });
+
+  /**
+   * Malformed ObjectId path parameters are reported as params violations.
+   */
+  test('invalid ObjectId parameters carry code VALIDATION_FAILED', async () => {
+    const res = await request(app).get('/v1/todo/not-an-id');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ location: 'params', path: '/id', keyword: 'format', params: { format: 'objectId' } })
+    ]);
+  });
+
+  /**
+   * Body validation failures list each violation with a JSON pointer path.
+   */
+  test('422 validation errors list each violation', async () => {
+    const res = await request(app).post('/v1/todo').send({ task: 'Task', priority: 'high', extra: 1 });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.message).toMatch(/must have required property/);
+
+    const byKeyword = (keyword) => res.body.error.details.filter((d) => d.keyword === keyword);
+    expect(byKeyword('required').map((d) => d.path).sort()).toEqual(['/assigned_to', '/is_complete']);
+    expect(byKeyword('additionalProperties')).toEqual([
+      expect.objectContaining({ location: 'body', path: '/extra', params: { additionalProperty: 'extra' } })
+    ]);
+    expect(byKeyword('type')).toEqual([
+      expect.objectContaining({ path: '/priority', params: { type: 'number' }, message: 'must be number' })
+    ]);
+  });
+
+  /**
+   * Query validation failures use the same structure with location "query".
+   */
+  test('400 query validation errors list each violation', async () => {
+    const res = await request(app).get('/v1/todo?limit=0');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ location: 'query', path: '/limit', keyword: 'minimum' })
+    ]);
+  });
+});
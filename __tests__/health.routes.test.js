@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Integration tests for the health routes: the liveness and
+ * readiness probes, the authenticated detailed report, and checks registered
+ * through `lib/health/health.js` (including ones that time out).
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+const lifecycle = require('../lib/lifecycle/lifecycle');
+const { registerHealthCheck, unregisterHealthCheck } = require('../lib/health/health');
+const { version } = require('../package.json');
+
+let mongoServer;
+let connection;
+
+/**
+ * Start an in-memory MongoDB and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+});
+
+/**
+ * Start each test connected, running, and as a regular user.
+ */
+beforeEach(() => {
+  db._db = connection.db();
+  lifecycle._state = 'running';
+  delete process.env.AUTH_STUB_ROLES;
+});
+
+/**
+ * Leave the lifecycle and stub roles as other suites expect them.
+ */
+afterEach(() => {
+  lifecycle._state = 'running';
+  delete process.env.AUTH_STUB_ROLES;
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Registers a check for the duration of `fn`.
+ *
+ * @param {string} name - Check name.
+ * @param {Function} check - The check.
+ * @param {Object} options - Registration options.
+ * @param {Function} fn - Test body.
+ * @returns {Promise<void>}
+ */
+async function withCheck(name, check, options, fn) {
+  registerHealthCheck(name, check, options);
+  try {
+    await fn();
+  } finally {
+    unregisterHealthCheck(name);
+  }
+}
+
+describe('Health probes', () => {
+  /**
+   * Liveness does not depend on the database.
+   */
+  test('GET /v1/health/live returns 200 even when the database is down', async () => {
+    db._client.emit('topologyDescriptionChanged', { newDescription: { hasDataBearingServers: false } });
+    const res = await request(app).get('/v1/health/live');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: 'pass' });
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  /**
+   * Readiness passes with a reachable database and reports the ping latency.
+   */
+  test('GET /v1/health/ready returns 200 when MongoDB answers', async () => {
+    const res = await request(app).get('/v1/health/ready');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('pass');
+    expect(res.body.checks.mongodb).toMatchObject({ status: 'pass', critical: true });
+    expect(typeof res.body.checks.mongodb.details.latency_ms).toBe('number');
+  });
+
+  /**
+   * Readiness fails as soon as the driver reports the database unreachable.
+   */
+  test('GET /v1/health/ready returns 503 when the database is disconnected', async () => {
+    db._client.emit('topologyDescriptionChanged', { newDescription: { hasDataBearingServers: false } });
+    const res = await request(app).get('/v1/health/ready');
+    expect(res.statusCode).toBe(503);
+    expect(res.body.checks.mongodb).toMatchObject({ status: 'fail', error: 'Database is disconnected' });
+
+    expect((await request(app).get('/v1/health_check')).statusCode).toBe(503);
+  });
+
+  /**
+   * Readiness fails while the service drains during a shutdown.
+   */
+  test('GET /v1/health/ready returns 503 while shutting down', async () => {
+    lifecycle._state = 'draining';
+    const res = await request(app).get('/v1/health/ready');
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toEqual({ status: 'fail', reason: 'shutting down' });
+  });
+
+  /**
+   * Non-critical checks do not affect readiness.
+   */
+  test('non-critical checks are skipped by readiness', async () => {
+    const check = jest.fn().mockRejectedValue(new Error('down'));
+    await withCheck('cache', check, { critical: false }, async () => {
+      const res = await request(app).get('/v1/health/ready');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.checks).not.toHaveProperty('cache');
+      expect(check).not.toHaveBeenCalled();
+    });
+  });
+
+  /**
+   * Probes are exempt from the rate limiter.
+   */
+  test('probes are never rate limited', async () => {
+    const statuses = new Set();
+    const probes = ['/v1/health/live', '/v1/health/ready', '/v1/health_check'];
+    for (let i = 0; i < 105; i++) {
+      statuses.add((await request(app).get(probes[i % probes.length])).statusCode);
+    }
+    expect([...statuses]).toEqual([200]);
+  });
+});
+
+describe('Detailed health report', () => {
+  /**
+   * The report needs the "health:read" permission.
+   */
+  test('GET /v1/health returns 403 without the health:read permission', async () => {
+    const res = await request(app).get('/v1/health');
+    expect(res.statusCode).toBe(403);
+  });
+
+  /**
+   * The report covers version, uptime, memory and the MongoDB check with pool figures.
+   */
+  test('GET /v1/health returns the report for admins', async () => {
+    process.env.AUTH_STUB_ROLES = 'admin';
+    const res = await request(app).get('/v1/health');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ status: 'pass', version, lifecycle: 'running' });
+    expect(res.body).toHaveProperty('git_sha');
+    expect(Number.isInteger(res.body.uptime_s)).toBe(true);
+    expect(res.body.memory.heap_used_bytes).toBeGreaterThan(0);
+    expect(typeof res.body.checks.mongodb.details.latency_ms).toBe('number');
+    expect(res.body.checks.mongodb.details).toHaveProperty('pool');
+  });
+
+  /**
+   * A check that hangs fails after its timeout: critical ones fail the report
+   * (503), non-critical ones downgrade it to "warn".
+   */
+  test('checks that time out fail', async () => {
+    process.env.AUTH_STUB_ROLES = 'admin';
+    const hang = () => new Promise(() => {});
+
+    await withCheck('slow_optional', hang, { critical: false, timeoutMs: 20 }, async () => {
+      const res = await request(app).get('/v1/health');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe('warn');
+      expect(res.body.checks.slow_optional).toMatchObject({ status: 'fail', critical: false, error: 'Timed out after 20 ms' });
+    });
+
+    await withCheck('slow_required', hang, { timeoutMs: 20 }, async () => {
+      expect((await request(app).get('/v1/health')).statusCode).toBe(503);
+      expect((await request(app).get('/v1/health/ready')).statusCode).toBe(503);
+    });
+  });
+
+  /**
+   * Check names are unique.
+   */
+  test('registering a duplicate check name throws', () => {
+    expect(() => registerHealthCheck('mongodb', async () => {})).toThrow('already registered');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Integration tests for `Idempotency-Key` handling on POST routes.
+ * Verifies that retries replay the stored response without writing again, that
+ * reusing a key with another payload is refused, that only final outcomes are
+ * stored, and that keys are stored with a TTL index and scoped per user.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+const todoModule = require('../v1_routes/todo_demo_routes/todo_demo_module');
+const { createApiError } = require('../lib/utilities/error_utils');
+
+let mongoServer;
+let connection;
+let todos;
+let keys;
+
+const body = { task: 'Exactly once', priority: 1, assigned_to: 'alice', is_complete: false };
+
+/**
+ * Start an in-memory MongoDB and inject it into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+  todos = db._db.collection('todos');
+  keys = db._db.collection('idempotency_keys');
+});
+
+/**
+ * Start each test with no todos and no stored keys.
+ */
+beforeEach(async () => {
+  await todos.deleteMany({});
+  await keys.deleteMany({});
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Posts a todo with an Idempotency-Key.
+ *
+ * @param {string} key - The key.
+ * @param {Object} payload - Request body.
+ * @returns {import('supertest').Test} The pending request.
+ */
+const post = (key, payload) => request(app).post('/v1/todo').set('Idempotency-Key', key).send(payload);
+
+describe('Idempotency-Key', () => {
+  /**
+   * A retry returns the first response and creates nothing new.
+   */
+  test('replays the original response for a retried POST', async () => {
+    const first = await post('key-1', body);
+    expect(first.statusCode).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const retry = await post('key-1', { priority: 1, is_complete: false, assigned_to: 'alice', task: 'Exactly once' });
+    expect(retry.statusCode).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers.etag).toBe(first.headers.etag);
+    expect(retry.body).toEqual(first.body);
+
+    expect(await todos.countDocuments()).toBe(1);
+  });
+
+  /**
+   * The same key with a different payload is refused.
+   */
+  test('rejects a reused key with a different payload', async () => {
+    expect((await post('key-2', body)).statusCode).toBe(201);
+
+    const res = await post('key-2', { ...body, priority: 2 });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+
+    const other = await request(app).post('/v1/todo/_bulk').set('Idempotency-Key', 'key-2')
+      .send({ operations: [{ op: 'create', todo: body }] });
+    expect(other.statusCode).toBe(422);
+    expect(await todos.countDocuments()).toBe(1);
+  });
+
+  /**
+   * A key whose first request is still running can't be used yet.
+   */
+  test('responds 409 while the first request is in flight', async () => {
+    await post('key-3', body);
+    await keys.updateOne({ key: 'key-3' }, { $set: { state: 'processing' }, $unset: { response: '' } });
+
+    const res = await post('key-3', body);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+  });
+
+  /**
+   * Without the header every POST is handled; invalid keys are refused.
+   */
+  test('passes requests without a key and validates the key', async () => {
+    await request(app).post('/v1/todo').send(body);
+    await request(app).post('/v1/todo').send(body);
+    expect(await todos.countDocuments()).toBe(2);
+
+    const long = await post('k'.repeat(256), body);
+    expect(long.statusCode).toBe(400);
+    expect(long.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+
+  /**
+   * Invalid requests are stored and replayed like successes.
+   */
+  test('replays stored client errors', async () => {
+    const invalid = { ...body, priority: 'high' };
+    const first = await post('key-4', invalid);
+    expect(first.statusCode).toBe(422);
+
+    const retry = await post('key-4', invalid);
+    expect(retry.statusCode).toBe(422);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+  });
+
+  /**
+   * Other errors may not happen again, so the key is released and the retry runs.
+   */
+  test('releases the key after a transient error', async () => {
+    const spy = jest.spyOn(todoModule, 'create').mockRejectedValueOnce(createApiError(409, 'Conflict'));
+    try {
+      const first = await post('key-6', body);
+      expect(first.statusCode).toBe(409);
+      expect(await keys.countDocuments({ key: 'key-6' })).toBe(0);
+
+      const retry = await post('key-6', body);
+      expect(retry.statusCode).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+      expect(await todos.countDocuments({})).toBe(1);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  /**
+   * Records carry the user, fingerprint and response, and expire via a TTL index.
+   */
+  test('stores keys per user with a TTL index', async () => {
+    await post('key-5', body);
+
+    const record = await keys.findOne({ key: 'key-5' });
+    expect(record).toMatchObject({ owner_id: 'placeholder-user-id', state: 'completed', method: 'POST', path: '/v1/todo' });
+    expect(record.fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(record.response.status).toBe(201);
+
+    const indexes = await keys.indexes();
+    expect(indexes.find((index) => index.name === 'created_at_ttl').expireAfterSeconds).toBe(24 * 3600);
+    expect(indexes.find((index) => index.name === 'owner_key_unique').unique).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tests for the graceful shutdown in `lib/lifecycle/lifecycle.js`:
+ * the server stops accepting connections first, in-flight requests finish (or
+ * are cut off after the drain timeout), and only then is the database closed.
+ * While draining, the health check reports not-ready.
+ */
+
+const http = require('http');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+const lifecycle = require('../lib/lifecycle/lifecycle');
+
+let mongoServer;
+let connection;
+
+/**
+ * Start an in-memory MongoDB and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+});
+
+/**
+ * Reset the lifecycle singleton and keep the shared database open.
+ */
+beforeEach(() => {
+  lifecycle._state = 'running';
+  lifecycle._shutdown = null;
+  jest.spyOn(db, 'close').mockResolvedValue();
+});
+
+/**
+ * Restore mocks after each test.
+ */
+afterEach(() => {
+  jest.restoreAllMocks();
+  lifecycle._state = 'running';
+  lifecycle._shutdown = null;
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Starts a server whose requests wait until released, and sends it one request.
+ *
+ * @returns {Promise<{server: http.Server, release: Function, response: Promise<string>}>}
+ *   The server, a function that lets the request finish, and the response body
+ *   (rejects if the connection is cut).
+ */
+async function startSlowRequest() {
+  let release;
+  let received;
+  const requestReceived = new Promise((resolve) => { received = resolve; });
+  const server = http.createServer((req, res) => {
+    release = () => res.end('done');
+    received();
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  const response = new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: '/' }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+  response.catch(() => {});
+
+  await requestReceived;
+  return { server, release: () => release(), response };
+}
+
+describe('lifecycle.shutdown', () => {
+  /**
+   * In-flight requests complete before the database is closed; new connections are refused.
+   */
+  test('drains in-flight requests before closing the database', async () => {
+    const { server, release, response } = await startSlowRequest();
+    const port = server.address().port;
+
+    const done = lifecycle.shutdown({ server, reason: 'test', timeoutMs: 5000 });
+    expect(lifecycle.state).toBe('draining');
+    expect(lifecycle.isShuttingDown()).toBe(true);
+
+    await expect(new Promise((resolve, reject) => {
+      http.get({ port, path: '/' }, resolve).on('error', reject);
+    })).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    expect(db.close).not.toHaveBeenCalled();
+
+    release();
+    await expect(response).resolves.toBe('done');
+    await done;
+    expect(db.close).toHaveBeenCalledTimes(1);
+    expect(lifecycle.state).toBe('stopped');
+  });
+
+  /**
+   * Requests still running after the drain timeout have their connections closed.
+   */
+  test('cuts off requests that outlast the timeout', async () => {
+    const { server, response } = await startSlowRequest();
+
+    await lifecycle.shutdown({ server, reason: 'test', timeoutMs: 50 });
+    await expect(response).rejects.toBeDefined();
+    expect(db.close).toHaveBeenCalledTimes(1);
+    expect(server.listening).toBe(false);
+  });
+
+  /**
+   * Repeated triggers (e.g., SIGTERM followed by an uncaught exception) share one shutdown.
+   */
+  test('runs once when triggered repeatedly', async () => {
+    const first = lifecycle.shutdown({ reason: 'SIGTERM', timeoutMs: 50 });
+    const second = lifecycle.shutdown({ reason: 'uncaught exception', timeoutMs: 50 });
+    expect(second).toBe(first);
+    await first;
+    expect(db.close).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('readiness while draining', () => {
+  /**
+   * The health check turns 503 and responses ask clients to close their connection.
+   */
+  test('health check reports not-ready', async () => {
+    expect((await request(app).get('/v1/health_check')).statusCode).toBe(200);
+
+    lifecycle._state = 'draining';
+    const res = await request(app).get('/v1/health_check');
+    expect(res.statusCode).toBe(503);
+    expect(res.headers.connection).toBe('close');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Integration tests for the Prometheus metrics served at `/metrics`:
+ * HTTP request metrics labelled by route template, validation failures, rate
+ * limit rejections, MongoDB command and pool metrics, and the optional token.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+
+let mongoServer;
+let connection;
+
+const missingId = '507f1f77bcf86cd799439011';
+
+/**
+ * Start an in-memory MongoDB and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+});
+
+/**
+ * Make sure no test leaves a metrics token configured.
+ */
+afterEach(() => {
+  delete process.env.METRICS_TOKEN;
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Scrapes `/metrics`.
+ *
+ * @returns {Promise<string>} The exposition text.
+ */
+async function scrape() {
+  const res = await request(app).get('/metrics');
+  expect(res.statusCode).toBe(200);
+  return res.text;
+}
+
+/**
+ * Reads one sample from exposition text.
+ *
+ * @param {string} text - Exposition text.
+ * @param {string} name - Sample name, e.g. `http_requests_total`.
+ * @param {string} [labels=''] - Exact label set as rendered, e.g. `method="GET",route="/v1/todo"`.
+ * @returns {number|undefined} The value, or undefined if the sample is missing.
+ */
+function sample(text, name, labels = '') {
+  const prefix = labels ? `${name}{${labels}} ` : `${name} `;
+  const line = text.split('\n').find((l) => l.startsWith(prefix));
+  return line === undefined ? undefined : Number(line.slice(prefix.length));
+}
+
+describe('GET /metrics', () => {
+  /**
+   * The endpoint serves the Prometheus text format, including process defaults.
+   */
+  test('serves metrics in the Prometheus text format', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(res.headers['content-type']).toContain('version=0.0.4');
+    expect(res.text).toContain('# TYPE http_requests_total counter');
+    expect(res.text).toContain('# TYPE http_requests_in_flight gauge');
+    expect(res.text).toContain('process_cpu_user_seconds_total');
+  });
+
+  /**
+   * Requests are labelled by route template, including ones that end in an error.
+   */
+  test('labels requests by route template, method and status', async () => {
+    await request(app).get(`/v1/todo/${missingId}`);
+    await request(app).get('/v1/todo/0123456789abcdef01234567');
+    await request(app).get('/v1/no_such_route');
+
+    const text = await scrape();
+    expect(sample(text, 'http_requests_total', 'method="GET",route="/v1/todo/:id",status_code="404"')).toBe(2);
+    expect(sample(text, 'http_request_duration_seconds_count', 'method="GET",route="/v1/todo/:id",status_code="404"')).toBe(2);
+    expect(sample(text, 'http_requests_total', 'method="GET",route="unmatched",status_code="404"')).toBe(1);
+    expect(text).not.toContain(missingId);
+  });
+
+  /**
+   * Each request part failing validation is counted with its schema.
+   */
+  test('counts validation failures', async () => {
+    const res = await request(app).post('/v1/todo').send({ task: 'Missing fields' });
+    expect(res.statusCode).toBe(422);
+    await request(app).get('/v1/todo/not-an-id');
+
+    const text = await scrape();
+    expect(sample(text, 'request_validation_failures_total', 'location="body",schema="todo"')).toBe(1);
+    expect(sample(text, 'request_validation_failures_total', 'location="params",schema="id_params"')).toBe(1);
+  });
+
+  /**
+   * Command monitoring and pool events of the driver feed the MongoDB metrics.
+   */
+  test('records MongoDB command durations and pool figures', async () => {
+    db._client.emit('commandSucceeded', { commandName: 'find', duration: 12 });
+    db._client.emit('commandFailed', { commandName: 'insert', duration: 3, failure: new Error('duplicate key') });
+    db._client.emit('connectionCreated', { address: 'localhost:27017' });
+    db._client.emit('connectionCreated', { address: 'localhost:27017' });
+    db._client.emit('connectionCheckedOut', { address: 'localhost:27017' });
+    db._client.emit('connectionCheckOutFailed', { address: 'localhost:27017', reason: 'timeout' });
+
+    const text = await scrape();
+    expect(sample(text, 'mongodb_command_duration_seconds_count', 'command="find",status="success"')).toBe(1);
+    expect(sample(text, 'mongodb_command_duration_seconds_sum', 'command="find",status="success"')).toBeCloseTo(0.012);
+    expect(sample(text, 'mongodb_command_duration_seconds_count', 'command="insert",status="failure"')).toBe(1);
+    expect(sample(text, 'mongodb_pool_connections', 'address="localhost:27017"')).toBe(2);
+    expect(sample(text, 'mongodb_pool_connections_checked_out', 'address="localhost:27017"')).toBe(1);
+    expect(sample(text, 'mongodb_pool_checkout_failures_total', 'reason="timeout"')).toBe(1);
+  });
+
+  /**
+   * With METRICS_TOKEN set, scrapers must present it as a bearer token.
+   */
+  test('requires the bearer token when METRICS_TOKEN is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const missing = await request(app).get('/metrics').set('Accept', 'application/json');
+    expect(missing.statusCode).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer realm="metrics"');
+
+    const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer nope');
+    expect(wrong.statusCode).toBe(401);
+
+    const ok = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+    expect(ok.statusCode).toBe(200);
+  });
+
+  /**
+   * Requests over the rate limit are counted; scrapes are not rate limited.
+   */
+  test('counts rate limit rejections', async () => {
+    let res;
+    for (let i = 0; i < 101; i++) {
+      res = await request(app).get('/v1/no_such_route');
+    }
+    expect(res.statusCode).toBe(429);
+
+    const text = await scrape();
+    expect(sample(text, 'http_rate_limit_rejections_total')).toBeGreaterThanOrEqual(1);
+    expect(sample(text, 'http_requests_total', 'method="GET",route="unmatched",status_code="429"')).toBeGreaterThanOrEqual(1);
+  });
+});
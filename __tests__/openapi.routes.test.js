@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Integration tests for the generated OpenAPI document and its HTML viewer.
+ * Verifies that routes, parameters, request bodies, security, and error responses
+ * are derived from the registered middleware and schemas.
+ */
+
+const request = require('supertest');
+const app = require('../app');
+
+describe('OpenAPI document', () => {
+  let spec;
+
+  /**
+   * Fetch the document once; generation is cached after the first request.
+   */
+  beforeAll(async () => {
+    const res = await request(app).get('/v1/openapi.json');
+    expect(res.statusCode).toBe(200);
+    spec = res.body;
+  });
+
+  /**
+   * The document declares OpenAPI 3.1 and lists the todo routes with path templates.
+   */
+  test('documents registered routes', () => {
+    expect(spec.openapi).toBe('3.1.0');
+    expect(Object.keys(spec.paths['/v1/todo']).sort()).toEqual(['get', 'post']);
+    expect(Object.keys(spec.paths['/v1/todo/{id}']).sort()).toEqual(['delete', 'get', 'patch', 'put']);
+    expect(spec.paths['/v1/health_check'].get.summary).toBe('Database connectivity check');
+  });
+
+  /**
+   * Routes marked hidden are left out.
+   */
+  test('omits hidden routes', () => {
+    expect(spec.paths['/v1/openapi.json']).toBeUndefined();
+    expect(spec.paths['/v1/throw_error']).toBeUndefined();
+  });
+
+  /**
+   * Path and query parameters come from the route's validation schemas.
+   */
+  test('derives parameters from validation schemas', () => {
+    const [id] = spec.paths['/v1/todo/{id}'].get.parameters;
+    expect(id).toMatchObject({ name: 'id', in: 'path', required: true, schema: { format: 'objectId' } });
+
+    const limit = spec.paths['/v1/todo'].get.parameters.find((p) => p.name === 'limit');
+    expect(limit).toMatchObject({ in: 'query', required: false, schema: { minimum: 1, maximum: 100 } });
+  });
+
+  /**
+   * Strict bodies reference the shared schema; PATCH documents each patch media type.
+   */
+  test('derives request bodies from validation schemas', () => {
+    const create = spec.paths['/v1/todo'].post.requestBody.content['application/json'].schema;
+    expect(create).toEqual({ $ref: '#/components/schemas/todo' });
+    expect(spec.components.schemas.todo.required).toContain('task');
+
+    const replace = spec.paths['/v1/todo/{id}'].put.requestBody.content['application/json'].schema;
+    expect(replace).toEqual({ $ref: '#/components/schemas/todo' });
+
+    const patch = spec.paths['/v1/todo/{id}'].patch.requestBody.content;
+    expect(Object.keys(patch).sort()).toEqual(['application/json-patch+json', 'application/merge-patch+json']);
+  });
+
+  /**
+   * Authenticated routes declare bearer security, their permission, and error responses.
+   */
+  test('documents security and error responses', () => {
+    const op = spec.paths['/v1/todo/{id}'].delete;
+    expect(op.security).toEqual([{ bearerAuth: [] }]);
+    expect(op['x-permission']).toBe('todo:delete');
+    expect(op['x-roles']).toEqual(['admin']);
+    expect(Object.keys(op.responses).sort()).toEqual(['204', '400', '401', '403', '404', '412']);
+    expect(op.responses['403'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+    expect(spec.components.securitySchemes.bearerAuth.scheme).toBe('bearer');
+  });
+
+  /**
+   * Every `$ref` in the document points at a defined component.
+   */
+  test('resolves every schema reference', () => {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g) || [];
+    for (const ref of refs) {
+      const name = ref.match(/#\/components\/schemas\/([^"]+)/)[1];
+      expect(spec.components.schemas[name]).toBeDefined();
+    }
+  });
+});
+
+describe('API docs viewer', () => {
+  /**
+   * The HTML viewer renders every operation without external assets.
+   */
+  test('renders the document as HTML', async () => {
+    const res = await request(app).get('/v1/docs').set('Accept', 'text/html');
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toContain('/v1/todo/{id}');
+    expect(res.text).not.toMatch(/<script|https:\/\/cdn/);
+  });
+
+  /**
+   * The viewer can be switched off.
+   */
+  test('responds 404 when disabled', async () => {
+    process.env.API_DOCS_ENABLED = 'false';
+    try {
+      const res = await request(app).get('/v1/docs');
+      expect(res.statusCode).toBe(404);
+    } finally {
+      delete process.env.API_DOCS_ENABLED;
+    }
+  });
+});
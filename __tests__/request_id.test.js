@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Tests for request ID correlation: the `X-Request-Id` header is
+ * accepted or generated and echoed, appears in JSON and HTML error responses,
+ * and is stamped (with user, method and route) onto entries logged anywhere
+ * while the request is handled, including in `TodoDemoModule`.
+ */
+
+const request = require('supertest');
+const { Transport } = require('winston');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+const logger = require('../lib/utilities/logger');
+
+let mongoServer;
+let connection;
+
+/** UUID v4 as generated by `crypto.randomUUID()`. */
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * Winston transport keeping every entry it receives.
+ */
+class CaptureTransport extends Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+/** @type {CaptureTransport} */
+let capture;
+
+/**
+ * Start an in-memory MongoDB and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+});
+
+/**
+ * Capture the log entries of each test.
+ */
+beforeEach(() => {
+  capture = new CaptureTransport();
+  logger.add(capture);
+});
+
+/**
+ * Stop capturing.
+ */
+afterEach(() => {
+  logger.remove(capture);
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('X-Request-Id', () => {
+  /**
+   * Requests without an ID get a generated UUID.
+   */
+  test('generates an ID when none is sent', async () => {
+    const res = await request(app).get('/v1/health/live');
+    expect(res.headers['x-request-id']).toMatch(UUID);
+  });
+
+  /**
+   * A well-formed client ID is kept; anything else is replaced.
+   */
+  test('echoes a valid client ID and replaces invalid ones', async () => {
+    const echoed = await request(app).get('/v1/health/live').set('X-Request-Id', 'gateway-42.a:b');
+    expect(echoed.headers['x-request-id']).toBe('gateway-42.a:b');
+
+    const spaced = await request(app).get('/v1/health/live').set('X-Request-Id', 'forged id level=error');
+    expect(spaced.headers['x-request-id']).toMatch(UUID);
+
+    const long = await request(app).get('/v1/health/live').set('X-Request-Id', 'x'.repeat(129));
+    expect(long.headers['x-request-id']).toMatch(UUID);
+  });
+
+  /**
+   * JSON error bodies carry the request ID.
+   */
+  test('includes the ID in JSON errors', async () => {
+    const res = await request(app).get('/v1/todo/507f1f77bcf86cd799439011').set('X-Request-Id', 'req-404');
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'NOT_FOUND', request_id: 'req-404' });
+  });
+
+  /**
+   * The HTML error page shows the request ID.
+   */
+  test('shows the ID on the HTML error page', async () => {
+    const res = await request(app).get('/no_such_page').set('Accept', 'text/html').set('X-Request-Id', 'req-html');
+    expect(res.statusCode).toBe(404);
+    expect(res.text).toContain('REQUEST ID: <span class="fw-bold">req-html</span>');
+  });
+});
+
+describe('Request-scoped logging', () => {
+  /**
+   * Entries logged by the route and deep in TodoDemoModule carry the request's fields.
+   */
+  test('stamps request, user, method and route onto every entry', async () => {
+    const res = await request(app)
+      .post('/v1/todo')
+      .set('X-Request-Id', 'req-create')
+      .send({ task: 'Trace me', priority: 1, assigned_to: 'alice', is_complete: false });
+    expect(res.statusCode).toBe(201);
+
+    const entries = capture.entries.filter((entry) => entry.request_id === 'req-create');
+    const fromModule = entries.find((entry) => entry.message === 'Creating new todo');
+    expect(fromModule).toMatchObject({
+      request_id: 'req-create',
+      method: 'POST',
+      route: '/v1/todo',
+      user_id: 'placeholder-user-id',
+    });
+    expect(entries.find((entry) => entry.message.startsWith('Created new todo:'))).toBeDefined();
+  });
+
+  /**
+   * Concurrent requests keep their own context.
+   */
+  test('keeps concurrent requests apart', async () => {
+    await Promise.all(['req-a', 'req-b', 'req-c'].map((id) =>
+      request(app).get('/v1/todo').set('X-Request-Id', id)
+    ));
+
+    for (const id of ['req-a', 'req-b', 'req-c']) {
+      const entries = capture.entries.filter((entry) => entry.request_id === id);
+      expect(entries.length).toBeGreaterThan(0);
+      expect(entries.every((entry) => entry.route === '/v1/todo' && entry.method === 'GET')).toBe(true);
+    }
+  });
+
+  /**
+   * Entries logged outside of a request carry no request fields.
+   */
+  test('leaves entries outside of requests untouched', () => {
+    logger.info('Background job ran');
+    const entry = capture.entries.find((e) => e.message === 'Background job ran');
+    expect(entry).not.toHaveProperty('request_id');
+  });
+
+  /**
+   * req.log carries the request ID.
+   */
+  test('req.log is a child logger with the request ID', () => {
+    const { requestId } = require('../lib/utilities/request_id');
+    const req = { get: () => 'req-child', method: 'GET' };
+    const res = { set: jest.fn(), locals: {} };
+    requestId()(req, res, () => {});
+
+    req.log.warn('From the child');
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'req-child');
+    expect(capture.entries.find((e) => e.message === 'From the child')).toMatchObject({ request_id: 'req-child' });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Integration tests for the generic resource/CRUD generator.
+ * Mounts a generated "widgets" resource (validated with the "todo" schema) on a
+ * version router in a bare Express app and verifies the full route set (PUT
+ * replaces, PATCH patches without losing concurrent writes), permissions,
+ * ownership scoping and its override permission, and soft delete.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient, ObjectId } = require('mongodb');
+const db = require('../lib/data/db');
+const { createResource } = require('../lib/resources/resource_factory');
+
+let mongoServer;
+let connection;
+let app;
+
+const widget = { task: 'Widget', priority: 1, assigned_to: 'alice', is_complete: false };
+
+/** Permissions guarding the generated routes; deleting needs the admin-only "todo:delete". */
+const permissions = { read: 'todo:read', write: 'todo:write', delete: 'todo:delete' };
+
+/**
+ * Start an in-memory MongoDB and build an app around a generated resource.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+
+  const resource = createResource({
+    schemaKey: 'todo',
+    collectionName: 'widgets',
+    name: 'widget',
+    ownership: true,
+    softDelete: true,
+    permissions
+  });
+
+  /** Same collection; holders of "todo:any_owner" see every owner's documents. */
+  const gadgets = createResource({
+    schemaKey: 'todo',
+    collectionName: 'widgets',
+    path: '/gadgets',
+    ownership: true,
+    ownerOverridePermission: 'todo:any_owner',
+    permissions
+  });
+
+  const router = express.Router();
+  resource.routes(router);
+  gadgets.routes(router);
+
+  app = express();
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'] }));
+  app.use('/v1', router);
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: { message: err.message } });
+  });
+});
+
+/**
+ * Restore the stub user's roles and the authentication mode after each test.
+ */
+afterEach(() => {
+  delete process.env.AUTH_STUB_ROLES;
+  process.env.AUTH_MODE = 'stub';
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('Resource factory', () => {
+  /**
+   * The generated routes support the full create/read/update/delete cycle.
+   */
+  test('generates working GET/POST/PUT/PATCH/DELETE routes', async () => {
+    const created = await request(app).post('/v1/widgets').send(widget);
+    expect(created.statusCode).toBe(201);
+    expect(created.body.owner_id).toBe('placeholder-user-id');
+    const id = created.body._id;
+
+    const list = await request(app).get('/v1/widgets');
+    expect(list.statusCode).toBe(200);
+    expect(list.body.items.map((w) => w._id)).toContain(id);
+
+    const patched = await request(app)
+      .patch(`/v1/widgets/${id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ is_complete: true }));
+    expect(patched.statusCode).toBe(200);
+    expect(patched.body).toMatchObject({ ...widget, is_complete: true, owner_id: 'placeholder-user-id' });
+
+    const read = await request(app).get(`/v1/widgets/${id}`);
+    expect(read.statusCode).toBe(200);
+    expect(read.body.is_complete).toBe(true);
+  });
+
+  /**
+   * PUT replaces the whole document and returns it, or 204 with Prefer: return=minimal.
+   */
+  test('PUT replaces documents', async () => {
+    const { body: created } = await request(app).post('/v1/widgets').send(widget);
+    await db._db.collection('widgets').updateOne({ task: 'Widget', owner_id: 'placeholder-user-id' }, { $set: { color: 'red' } });
+
+    const partial = await request(app).put(`/v1/widgets/${created._id}`).send({ is_complete: true });
+    expect(partial.statusCode).toBe(422);
+
+    const replaced = await request(app).put(`/v1/widgets/${created._id}`).send({ ...widget, task: 'Replaced' });
+    expect(replaced.statusCode).toBe(200);
+    expect(replaced.body).toMatchObject({ _id: created._id, task: 'Replaced', owner_id: 'placeholder-user-id' });
+    expect(replaced.body.date_created).toBe(created.date_created);
+    expect(replaced.body).not.toHaveProperty('color');
+
+    const minimal = await request(app)
+      .put(`/v1/widgets/${created._id}`)
+      .set('Prefer', 'return=minimal')
+      .send({ ...widget, task: 'Minimal' });
+    expect(minimal.statusCode).toBe(204);
+    expect(minimal.headers['preference-applied']).toBe('return=minimal');
+  });
+
+  /**
+   * PATCH re-validates the patched document and only accepts patch media types.
+   */
+  test('PATCH validates patches', async () => {
+    const { body: created } = await request(app).post('/v1/widgets').send(widget);
+
+    const invalid = await request(app)
+      .patch(`/v1/widgets/${created._id}`)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'remove', path: '/priority' }]));
+    expect(invalid.statusCode).toBe(422);
+
+    const plain = await request(app).patch(`/v1/widgets/${created._id}`).send({ is_complete: true });
+    expect(plain.statusCode).toBe(415);
+  });
+
+  /**
+   * A write landing between the read and the write of a PATCH is kept: the
+   * version check fails and the patch is applied again on top of it.
+   */
+  test('PATCH keeps concurrent updates', async () => {
+    const { body: created } = await request(app).post('/v1/widgets').send(widget);
+    expect(created.version).toBe(1);
+
+    let raced = false;
+    const spy = jest.spyOn(db, 'collection').mockImplementation((name) => {
+      const collection = connection.db().collection(name);
+      const findOneAndUpdate = collection.findOneAndUpdate.bind(collection);
+      collection.findOneAndUpdate = async (...args) => {
+        if (!raced) {
+          raced = true;
+          await connection.db().collection(name).updateOne(
+            { _id: new ObjectId(created._id) },
+            { $set: { is_complete: true }, $inc: { version: 1 } }
+          );
+        }
+        return findOneAndUpdate(...args);
+      };
+      return collection;
+    });
+
+    let patched;
+    try {
+      patched = await request(app)
+        .patch(`/v1/widgets/${created._id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ task: 'Patched' }));
+    } finally {
+      spy.mockRestore();
+    }
+    expect(raced).toBe(true);
+    expect(patched.statusCode).toBe(200);
+    expect(patched.body).toMatchObject({ task: 'Patched', is_complete: true, version: 3 });
+  });
+
+  /**
+   * Bodies are validated against the configured schema.
+   */
+  test('validates bodies with the named schema', async () => {
+    const res = await request(app).post('/v1/widgets').send({ task: 'Missing fields' });
+    expect(res.statusCode).toBe(422);
+  });
+
+  /**
+   * Documents owned by other users are invisible.
+   */
+  test('scopes documents to their owner', async () => {
+    const { insertedId } = await db._db.collection('widgets').insertOne({ ...widget, owner_id: 'someone-else' });
+    const res = await request(app).get(`/v1/widgets/${insertedId}`);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.message).toBe('Widget not found');
+  });
+
+  /**
+   * Only the owner override permission lifts the scoping; the admin role alone does not.
+   */
+  test('bypasses ownership only with the override permission', async () => {
+    const { insertedId } = await db._db.collection('widgets').insertOne({ ...widget, owner_id: 'someone-else' });
+    process.env.AUTH_STUB_ROLES = 'user,admin';
+    expect((await request(app).get(`/v1/widgets/${insertedId}`)).statusCode).toBe(404);
+    expect((await request(app).get(`/v1/gadgets/${insertedId}`)).statusCode).toBe(200);
+    process.env.AUTH_STUB_ROLES = 'user';
+    expect((await request(app).get(`/v1/gadgets/${insertedId}`)).statusCode).toBe(404);
+  });
+
+  /**
+   * Soft-deleted documents disappear from reads but remain in the collection.
+   */
+  test('soft deletes documents', async () => {
+    const created = await request(app).post('/v1/widgets').send(widget);
+    const id = created.body._id;
+
+    process.env.AUTH_STUB_ROLES = 'user,admin';
+    const removed = await request(app).delete(`/v1/widgets/${id}`);
+    expect(removed.statusCode).toBe(204);
+
+    const read = await request(app).get(`/v1/widgets/${id}`);
+    expect(read.statusCode).toBe(404);
+
+    const stored = await db._db.collection('widgets').findOne({ task: 'Widget', deleted_by: 'placeholder-user-id' });
+    expect(stored.deleted_at).toBeInstanceOf(Date);
+    expect(stored.date_modified).toEqual(stored.deleted_at);
+    expect(stored.version).toBe(2);
+  });
+
+  /**
+   * Every operation needs a permission; none is open by default.
+   */
+  test('requires a known permission for every operation', () => {
+    const options = { schemaKey: 'todo', collectionName: 'widgets' };
+    expect(() => createResource(options)).toThrow('requires a permission for: read, write, delete');
+    expect(() => createResource({ ...options, permissions: { read: 'todo:read' } }))
+      .toThrow('requires a permission for: write, delete');
+    expect(() => createResource({ ...options, permissions: { ...permissions, delete: 'widget:delete' } }))
+      .toThrow('Unknown permission: widget:delete');
+  });
+
+  /**
+   * Requests without an authenticated user, or without the permission, are rejected.
+   */
+  test('rejects unauthenticated and unauthorized requests', async () => {
+    process.env.AUTH_MODE = 'jwt';
+    expect((await request(app).get('/v1/widgets')).statusCode).toBe(401);
+
+    process.env.AUTH_MODE = 'stub';
+    process.env.AUTH_STUB_ROLES = 'guest';
+    expect((await request(app).get('/v1/widgets')).statusCode).toBe(403);
+
+    process.env.AUTH_STUB_ROLES = 'user';
+    const { body: created } = await request(app).post('/v1/widgets').send(widget);
+    expect((await request(app).delete(`/v1/widgets/${created._id}`)).statusCode).toBe(403);
+  });
+});
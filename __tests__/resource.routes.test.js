@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Integration tests for generated resources in the real app.
+ * Adds a routes folder exporting `createResource(...)` to the modules the
+ * `v1_routes` index loads (in this suite's module registry only, so the source
+ * tree is left alone), loads `app.js`, and verifies that the version loader
+ * registers it with the version's headers and schemas, authentication, and the
+ * central error handler.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+
+/**
+ * The v1 route modules plus a `gadget_routes` folder, as a developer would add one.
+ */
+jest.mock('../v1_routes/index', () => {
+  const { createResource } = require('../lib/resources/resource_factory');
+  return {
+    ...jest.requireActual('../v1_routes/index'),
+    gadget_routes: {
+      gadget_routes_index: createResource({
+        schemaKey: 'todo',
+        collectionName: 'gadgets',
+        name: 'gadget',
+        ownership: true,
+        permissions: { read: 'todo:read', write: 'todo:write', delete: 'todo:delete' },
+      }),
+    },
+  };
+});
+
+process.env.V1_DEPRECATION = 'true';
+
+const app = require('../app');
+const db = require('../lib/data/db');
+
+let mongoServer;
+let connection;
+
+const gadget = { task: 'Gadget', priority: 1, assigned_to: 'alice', is_complete: false };
+
+/**
+ * Start an in-memory MongoDB and inject its database into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+});
+
+/**
+ * Restore the authentication mode after each test.
+ */
+afterEach(() => {
+  process.env.AUTH_MODE = 'stub';
+});
+
+/**
+ * Close the Mongo client, stop the in-memory server and restore the environment.
+ */
+afterAll(async () => {
+  delete process.env.V1_DEPRECATION;
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('Generated resources in the app', () => {
+  /**
+   * The resource is served under the version it was added to, with its headers.
+   */
+  test('is registered by the version loader', async () => {
+    const created = await request(app).post('/v1/gadgets').send(gadget);
+    expect(created.statusCode).toBe(201);
+    expect(created.headers['deprecation']).toBe('true');
+    expect(created.headers['x-request-id']).toBeDefined();
+
+    const read = await request(app).get(`/v1/gadgets/${created.body._id}`);
+    expect(read.statusCode).toBe(200);
+    expect(read.body).toMatchObject({ ...gadget, owner_id: 'placeholder-user-id' });
+
+    expect((await request(app).get('/v2/gadgets')).statusCode).toBe(404);
+    expect((await request(app).get('/v1/todo')).statusCode).toBe(200);
+
+    const openapi = await request(app).get('/v1/openapi.json');
+    expect(openapi.body.paths['/v1/gadgets/{id}']).toBeDefined();
+  });
+
+  /**
+   * Requests without a valid token are rejected with the bearer challenge.
+   */
+  test('requires authentication', async () => {
+    process.env.AUTH_MODE = 'jwt';
+    const res = await request(app).get('/v1/gadgets');
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toMatch(/^Bearer/);
+  });
+
+  /**
+   * Errors are answered by the central error handler in the standard envelope.
+   */
+  test('reports errors through the central error handler', async () => {
+    const invalid = await request(app).post('/v1/gadgets').set('X-Request-Id', 'req-gadget').send({ task: 'Gadget' });
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.error).toMatchObject({ code: 'VALIDATION_FAILED', request_id: 'req-gadget' });
+
+    const missing = await request(app).get('/v1/gadgets/507f1f77bcf86cd799439011');
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.error).toMatchObject({ code: 'NOT_FOUND', message: 'Gadget not found' });
+  });
+});
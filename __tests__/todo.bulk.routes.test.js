@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Integration tests for POST /v1/todo/_bulk.
+ * Covers mixed create/update/delete batches, per-item validation and
+ * permission failures, ordered vs. unordered execution, write errors reported
+ * by bulkWrite, writes that match nothing, uppercase IDs, and the maximum
+ * batch size.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+
+let mongoServer;
+let connection;
+let todos;
+
+const body = { task: 'Bulk', priority: 1, assigned_to: 'alice', is_complete: false };
+const missingId = '507f1f77bcf86cd799439011';
+
+/**
+ * Start an in-memory MongoDB and inject it into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+  todos = db._db.collection('todos');
+});
+
+/**
+ * Start each test with an empty collection.
+ */
+beforeEach(async () => {
+  await todos.deleteMany({});
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Posts a bulk request.
+ *
+ * @param {Object} payload - Request body.
+ * @returns {import('supertest').Test} The pending request.
+ */
+const bulk = (payload) => request(app).post('/v1/todo/_bulk').send(payload);
+
+describe('Todo API – bulk operations', () => {
+  /**
+   * Creates, updates and deletes run in one request, with one result each.
+   */
+  test('runs a mixed batch and reports per-item results', async () => {
+    const { insertedIds } = await todos.insertMany([
+      { ...body, task: 'Update me', owner_id: 'placeholder-user-id', version: 1 },
+      { ...body, task: 'Delete me', owner_id: 'placeholder-user-id', version: 1 },
+    ]);
+
+    process.env.AUTH_STUB_ROLES = 'user,admin';
+    let res;
+    try {
+      res = await bulk({
+        operations: [
+          { op: 'create', todo: { ...body, task: 'Created' } },
+          { op: 'update', id: insertedIds[0].toString(), todo: { is_complete: true } },
+          { op: 'delete', id: insertedIds[1].toString() },
+        ],
+      });
+    } finally {
+      delete process.env.AUTH_STUB_ROLES;
+    }
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ ordered: true, succeeded: 3, failed: 0 });
+    expect(res.body.results.map((r) => r.status)).toEqual([201, 200, 204]);
+
+    const created = await todos.findOne({ task: 'Created' });
+    expect(res.body.results[0].id).toBe(created._id.toString());
+    expect(created).toMatchObject({ owner_id: 'placeholder-user-id', version: 1 });
+
+    const updated = await todos.findOne({ _id: insertedIds[0] });
+    expect(updated).toMatchObject({ is_complete: true, task: 'Update me', version: 2 });
+    expect(updated.date_modified).toBeInstanceOf(Date);
+
+    const deleted = await todos.findOne({ _id: insertedIds[1] });
+    expect(deleted.deleted_at).toBeInstanceOf(Date);
+  });
+
+  /**
+   * Unordered batches attempt every valid item and report the invalid ones.
+   */
+  test('validates each item on its own in unordered mode', async () => {
+    const res = await bulk({
+      ordered: false,
+      operations: [
+        { op: 'create', todo: { task: 'No priority', assigned_to: 'alice', is_complete: false } },
+        { op: 'create', todo: { ...body, task: 'Valid' } },
+        { op: 'update', todo: { is_complete: true } },
+        { op: 'update', id: missingId, todo: { is_complete: true } },
+        { op: 'delete', id: missingId },
+      ],
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ ordered: false, succeeded: 1, failed: 4 });
+    const [noPriority, valid, noId, missing, forbidden] = res.body.results;
+    expect(noPriority).toMatchObject({ index: 0, status: 422, error: { code: 'VALIDATION_FAILED' } });
+    expect(noPriority.error.details[0]).toMatchObject({ path: '/priority', keyword: 'required' });
+    expect(valid).toMatchObject({ index: 1, status: 201 });
+    expect(noId.error.details[0]).toMatchObject({ path: '/id', keyword: 'required' });
+    expect(missing).toMatchObject({ status: 404, error: { code: 'NOT_FOUND' } });
+    expect(forbidden).toMatchObject({ status: 403, error: { code: 'FORBIDDEN' } });
+
+    expect(await todos.countDocuments()).toBe(1);
+  });
+
+  /**
+   * Ordered batches stop at the first failure; later items are not attempted.
+   */
+  test('stops an ordered batch at the first failure', async () => {
+    const res = await bulk({
+      operations: [
+        { op: 'create', todo: { ...body, task: 'First' } },
+        { op: 'update', id: missingId, todo: { is_complete: true } },
+        { op: 'create', todo: { ...body, task: 'Never' } },
+      ],
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results.map((r) => r.status)).toEqual([201, 404, 424]);
+    expect(res.body.results[2].error.code).toBe('FAILED_DEPENDENCY');
+    expect(await todos.countDocuments({ task: 'Never' })).toBe(0);
+  });
+
+  /**
+   * Errors raised by bulkWrite itself are mapped to the failing item.
+   */
+  test('reports write errors from bulkWrite', async () => {
+    await todos.createIndex({ task: 1 }, { unique: true });
+
+    const operations = [
+      { op: 'create', todo: { ...body, task: 'Same' } },
+      { op: 'create', todo: { ...body, task: 'Same' } },
+      { op: 'create', todo: { ...body, task: 'Other' } },
+    ];
+
+    try {
+      const ordered = await bulk({ operations });
+      expect(ordered.body.results.map((r) => r.status)).toEqual([201, 409, 424]);
+      expect(ordered.body.results[1].error.code).toBe('DUPLICATE_KEY');
+
+      await todos.deleteMany({});
+      const unordered = await bulk({ ordered: false, operations });
+      expect(unordered.body.results.map((r) => r.status)).toEqual([201, 409, 201]);
+    } finally {
+      await todos.dropIndex('task_1');
+    }
+  });
+
+  /**
+   * A target removed between the lookup and the write is reported missing, not updated.
+   */
+  test('reports 404 for operations that match nothing', async () => {
+    const { insertedIds } = await todos.insertMany([
+      { ...body, task: 'Vanishes', owner_id: 'placeholder-user-id', version: 1 },
+      { ...body, task: 'Stays', owner_id: 'placeholder-user-id', version: 1 }
+    ]);
+    const [vanishing, staying] = Object.values(insertedIds).map(String);
+
+    const collection = db.collection;
+    const spy = jest.spyOn(db, 'collection').mockImplementation((name) => {
+      const target = collection.call(db, name);
+      const bulkWrite = target.bulkWrite.bind(target);
+      target.bulkWrite = async (...args) => {
+        await todos.deleteOne({ _id: insertedIds[0] });
+        return bulkWrite(...args);
+      };
+      return target;
+    });
+
+    let res;
+    try {
+      res = await bulk({
+        ordered: false,
+        operations: [
+          { op: 'update', id: vanishing, todo: { is_complete: true } },
+          { op: 'update', id: staying.toUpperCase(), todo: { is_complete: true } }
+        ]
+      });
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ succeeded: 1, failed: 1 });
+    expect(res.body.results).toEqual([
+      { index: 0, op: 'update', status: 404, error: expect.objectContaining({ code: 'NOT_FOUND' }) },
+      { index: 1, op: 'update', status: 200, id: staying }
+    ]);
+    expect(await todos.findOne({ _id: insertedIds[1] })).toMatchObject({ is_complete: true, version: 2 });
+  });
+
+  /**
+   * IDs in uppercase hex are valid ObjectIds and find their todos.
+   */
+  test('accepts uppercase IDs', async () => {
+    const { insertedId } = await todos.insertOne({ ...body, task: 'Upper', owner_id: 'placeholder-user-id', version: 1 });
+
+    const res = await bulk({
+      operations: [{ op: 'update', id: insertedId.toString().toUpperCase(), todo: { is_complete: true } }]
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toEqual([{ index: 0, op: 'update', status: 200, id: insertedId.toString() }]);
+    expect(await todos.findOne({ _id: insertedId })).toMatchObject({ is_complete: true, version: 2 });
+  });
+
+  /**
+   * The envelope is validated and the batch size is capped.
+   */
+  test('rejects malformed and oversized batches', async () => {
+    expect((await bulk({ operations: [] })).statusCode).toBe(422);
+    expect((await bulk([{ op: 'create', todo: body }])).statusCode).toBe(422);
+
+    process.env.BULK_MAX_OPERATIONS = '2';
+    try {
+      const res = await bulk({ operations: Array(3).fill({ op: 'create', todo: body }) });
+      expect(res.statusCode).toBe(413);
+      expect(res.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+    } finally {
+      delete process.env.BULK_MAX_OPERATIONS;
+    }
+    expect(await todos.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Integration tests for optimistic concurrency on todos.
+ * Verifies version-based ETags on reads and writes, `If-None-Match` → 304,
+ * and `If-Match` → 412 on stale PUT/DELETE requests.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+
+let mongoServer;
+let connection;
+let todos;
+
+const body = { task: 'Versioned', priority: 1, assigned_to: 'alice', is_complete: false };
+
+/**
+ * Start an in-memory MongoDB and inject it into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+  todos = db._db.collection('todos');
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('Todo API – optimistic concurrency', () => {
+  /**
+   * New todos start at version 1 and reads expose it as a strong ETag.
+   */
+  test('POST and GET send the version as a strong ETag', async () => {
+    const created = await request(app).post('/v1/todo').send(body);
+    expect(created.statusCode).toBe(201);
+    expect(created.headers.etag).toBe('"1"');
+    expect(created.body.version).toBe(1);
+
+    const read = await request(app).get(`/v1/todo/${created.body._id}`);
+    expect(read.headers.etag).toBe('"1"');
+  });
+
+  /**
+   * A matching If-None-Match yields 304 with no body.
+   */
+  test('GET honors If-None-Match with 304', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const unchanged = await request(app).get(`/v1/todo/${todo._id}`).set('If-None-Match', '"1"');
+    expect(unchanged.statusCode).toBe(304);
+    expect(unchanged.text).toBeFalsy();
+
+    const changed = await request(app).get(`/v1/todo/${todo._id}`).set('If-None-Match', '"0"');
+    expect(changed.statusCode).toBe(200);
+  });
+
+  /**
+   * A write with the current ETag succeeds and bumps the version; a stale one is refused.
+   */
+  test('PUT honors If-Match and returns 412 when stale', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const first = await request(app).put(`/v1/todo/${todo._id}`).set('If-Match', '"1"').send({ ...body, priority: 2 });
+    expect(first.statusCode).toBe(200);
+
+    const stale = await request(app).put(`/v1/todo/${todo._id}`).set('If-Match', '"1"').send({ ...body, priority: 3 });
+    expect(stale.statusCode).toBe(412);
+    expect(stale.body.error.code).toBe('PRECONDITION_FAILED');
+
+    const stored = await todos.findOne({ task: 'Versioned', priority: 2 });
+    expect(stored.version).toBe(2);
+
+    const read = await request(app).get(`/v1/todo/${todo._id}`);
+    expect(read.headers.etag).toBe('"2"');
+  });
+
+  /**
+   * Weak tags never satisfy If-Match; `*` matches any existing todo.
+   */
+  test('If-Match uses strong comparison and accepts *', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const weak = await request(app).put(`/v1/todo/${todo._id}`).set('If-Match', 'W/"1"').send({ ...body, priority: 2 });
+    expect(weak.statusCode).toBe(412);
+
+    const any = await request(app).put(`/v1/todo/${todo._id}`).set('If-Match', '*').send({ ...body, priority: 2 });
+    expect(any.statusCode).toBe(200);
+  });
+
+  /**
+   * Unversioned (legacy) documents are version 0.
+   */
+  test('treats documents without a version as version 0', async () => {
+    const { insertedId } = await todos.insertOne({ ...body, owner_id: 'placeholder-user-id', date_created: new Date() });
+
+    const read = await request(app).get(`/v1/todo/${insertedId}`);
+    expect(read.headers.etag).toBe('"0"');
+
+    const res = await request(app).put(`/v1/todo/${insertedId}`).set('If-Match', '"0"').send({ ...body, priority: 4 });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).toBe('"1"');
+  });
+
+  /**
+   * DELETE honors If-Match; missing todos stay 404 regardless of the header.
+   */
+  test('DELETE honors If-Match', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    process.env.AUTH_STUB_ROLES = 'user,admin';
+    try {
+      const stale = await request(app).delete(`/v1/todo/${todo._id}`).set('If-Match', '"5"');
+      expect(stale.statusCode).toBe(412);
+
+      const missing = await request(app).delete('/v1/todo/507f1f77bcf86cd799439011').set('If-Match', '"1"');
+      expect(missing.statusCode).toBe(404);
+
+      const removed = await request(app).delete(`/v1/todo/${todo._id}`).set('If-Match', '"1"');
+      expect(removed.statusCode).toBe(204);
+    } finally {
+      delete process.env.AUTH_STUB_ROLES;
+    }
+  });
+});
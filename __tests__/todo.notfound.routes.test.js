@@ -24,6 +24,17 @@ beforeAll(async () => {
   db._db = connection.db();
 });
 
+/** `AUTH_STUB_ROLES` before the suite; tests that change the stub user's roles get it back. */
+const savedStubRoles = process.env.AUTH_STUB_ROLES;
+
+/**
+ * Restore the stub user's roles after each test, even when it fails.
+ */
+afterEach(() => {
+  if (savedStubRoles === undefined) delete process.env.AUTH_STUB_ROLES;
+  else process.env.AUTH_STUB_ROLES = savedStubRoles;
+});
+
 /**
  * Close DB connection and stop the in-memory MongoDB server after tests finish.
  */
@@ -49,15 +60,18 @@ describe('Todo API – not found paths', () => {
    * Should return 404 when attempting to update a non-existent todo.
    */
   test('PUT /v1/todo/:id returns 404 when missing', async () => {
-    const res = await request(app).put(`/v1/todo/${missingId}`).send({ is_complete: true });
+    const res = await request(app)
+      .put(`/v1/todo/${missingId}`)
+      .send({ task: 'Missing', priority: 1, assigned_to: 'alice', is_complete: true });
     expect(res.statusCode).toBe(404);
-    expect(res.body.error.message).toMatch(/not found or not modified/);
+    expect(res.body.error.message).toMatch(/Todo not found/);
   });
 
   /**
    * Should return 404 when attempting to delete a non-existent todo.
    */
   test('DELETE /v1/todo/:id returns 404 when missing', async () => {
+    process.env.AUTH_STUB_ROLES = 'user,admin';
     const res = await request(app).delete(`/v1/todo/${missingId}`);
     expect(res.statusCode).toBe(404);
     expect(res.body.error.message).toMatch(/Todo not found/);
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Integration tests for per-user ownership scoping in the Todo API.
+ * Seeds todos for two users and verifies that each user only sees and changes
+ * their own items, that cross-tenant access looks like a missing document (404),
+ * and that admins can reach every item.
+ */
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+
+const secret = 'test-secret';
+const savedEnv = { ...process.env };
+
+let mongoServer;
+let connection;
+let todos;
+let aliceTodoId;
+let bobTodoId;
+
+/**
+ * Builds an Authorization header value for the given user.
+ *
+ * @param {string} sub - User ID claim.
+ * @param {string[]} [roles=['user']] - Roles claim.
+ * @returns {string} Bearer header value.
+ */
+function bearer(sub, roles = ['user']) {
+  return `Bearer ${jwt.sign({ sub, roles }, secret, { expiresIn: '5m' })}`;
+}
+
+/**
+ * Start an in-memory MongoDB, enable JWT mode, and seed one todo per user.
+ */
+beforeAll(async () => {
+  process.env.AUTH_MODE = 'jwt';
+  process.env.JWT_ALGORITHMS = 'HS256';
+  process.env.JWT_SECRET = secret;
+
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+
+  todos = db._db.collection('todos');
+  const result = await todos.insertMany([
+    { task: 'Alice task', priority: 1, assigned_to: 'alice', is_complete: false, owner_id: 'alice', date_created: new Date() },
+    { task: 'Bob task', priority: 2, assigned_to: 'bob', is_complete: false, owner_id: 'bob', date_created: new Date() }
+  ]);
+  aliceTodoId = result.insertedIds[0].toString();
+  bobTodoId = result.insertedIds[1].toString();
+});
+
+/**
+ * Close the Mongo client, stop the in-memory server, and restore the environment.
+ */
+afterAll(async () => {
+  process.env = savedEnv;
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('Todo API – ownership scoping', () => {
+  /**
+   * A user's list contains only their own todos.
+   */
+  test('GET /v1/todo lists only the caller\'s todos', async () => {
+    const res = await request(app).get('/v1/todo').set('Authorization', bearer('alice'));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.map((t) => t._id)).toEqual([aliceTodoId]);
+  });
+
+  /**
+   * Reading another user's todo returns 404 rather than 403.
+   */
+  test('GET /v1/todo/:id returns 404 for another user\'s todo', async () => {
+    const res = await request(app).get(`/v1/todo/${bobTodoId}`).set('Authorization', bearer('alice'));
+    expect(res.statusCode).toBe(404);
+  });
+
+  /**
+   * Updating another user's todo returns 404 and leaves it untouched.
+   */
+  test('PUT /v1/todo/:id returns 404 for another user\'s todo', async () => {
+    const res = await request(app)
+      .put(`/v1/todo/${bobTodoId}`)
+      .set('Authorization', bearer('alice'))
+      .send({ task: 'Hijacked', priority: 1, assigned_to: 'alice', is_complete: true });
+    expect(res.statusCode).toBe(404);
+
+    const bobTodo = await todos.findOne({ owner_id: 'bob' });
+    expect(bobTodo.is_complete).toBe(false);
+  });
+
+  /**
+   * Newly created todos are stamped with the caller's ID; clients cannot set owner_id.
+   */
+  test('POST /v1/todo stamps owner_id and rejects a client-supplied owner', async () => {
+    const body = { task: 'Mine', priority: 1, assigned_to: 'alice', is_complete: false };
+
+    const created = await request(app).post('/v1/todo').set('Authorization', bearer('alice')).send(body);
+    expect(created.statusCode).toBe(201);
+    expect(created.body.owner_id).toBe('alice');
+
+    const spoofed = await request(app)
+      .post('/v1/todo')
+      .set('Authorization', bearer('alice'))
+      .send({ ...body, owner_id: 'bob' });
+    expect(spoofed.statusCode).toBe(422);
+  });
+
+  /**
+   * Admins see and delete todos regardless of owner.
+   */
+  test('admins can read and delete any todo', async () => {
+    const list = await request(app).get('/v1/todo').set('Authorization', bearer('root', ['admin']));
+    expect(list.body.items.map((t) => t._id)).toEqual(expect.arrayContaining([aliceTodoId, bobTodoId]));
+
+    const read = await request(app).get(`/v1/todo/${bobTodoId}`).set('Authorization', bearer('root', ['admin']));
+    expect(read.statusCode).toBe(200);
+
+    const removed = await request(app).delete(`/v1/todo/${bobTodoId}`).set('Authorization', bearer('root', ['admin']));
+    expect(removed.statusCode).toBe(204);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Integration tests for pagination, sorting, and filtering on GET /v1/todo.
+ * Seeds a predictable set of todos and verifies the page envelope, cursor walking,
+ * whitelisted sort fields, field filters, the optional total, and query validation.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+
+let mongoServer;
+let connection;
+
+/**
+ * Start an in-memory MongoDB and seed five todos owned by the stub user.
+ * Priorities 1–5 are created oldest to newest; even priorities are complete.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+
+  const base = Date.now();
+  await db._db.collection('todos').insertMany([1, 2, 3, 4, 5].map((priority) => ({
+    task: `Task ${priority}`,
+    priority,
+    assigned_to: priority <= 3 ? 'alice' : 'bob',
+    is_complete: priority % 2 === 0,
+    owner_id: 'placeholder-user-id',
+    date_created: new Date(base + priority * 1000)
+  })));
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('Todo API – pagination, sorting and filtering', () => {
+  /**
+   * Walking pages with next_cursor visits every item exactly once, newest first by default.
+   */
+  test('GET /v1/todo pages through results with next_cursor', async () => {
+    const first = await request(app).get('/v1/todo?limit=2');
+    expect(first.statusCode).toBe(200);
+    expect(first.body.items.map((t) => t.priority)).toEqual([5, 4]);
+    expect(first.body.next_cursor).toBe(first.body.items[1]._id);
+
+    const second = await request(app).get(`/v1/todo?limit=2&after=${first.body.next_cursor}`);
+    expect(second.body.items.map((t) => t.priority)).toEqual([3, 2]);
+
+    const third = await request(app).get(`/v1/todo?limit=2&after=${second.body.next_cursor}`);
+    expect(third.body.items.map((t) => t.priority)).toEqual([1]);
+    expect(third.body.next_cursor).toBeNull();
+  });
+
+  /**
+   * Sorting by a whitelisted field honors the direction prefix.
+   */
+  test('GET /v1/todo sorts by priority ascending and descending', async () => {
+    const asc = await request(app).get('/v1/todo?sort=priority&limit=3');
+    expect(asc.body.items.map((t) => t.priority)).toEqual([1, 2, 3]);
+
+    const next = await request(app).get(`/v1/todo?sort=priority&limit=3&after=${asc.body.next_cursor}`);
+    expect(next.body.items.map((t) => t.priority)).toEqual([4, 5]);
+
+    const desc = await request(app).get('/v1/todo?sort=-priority&limit=1');
+    expect(desc.body.items[0].priority).toBe(5);
+  });
+
+  /**
+   * Field filters combine, and include_total counts every match regardless of the page size.
+   */
+  test('GET /v1/todo filters by assignee, completion and priority range', async () => {
+    const res = await request(app)
+      .get('/v1/todo?assigned_to=alice&is_complete=false&priority_min=2&include_total=true&limit=1');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.map((t) => t.priority)).toEqual([3]);
+    expect(res.body.total).toBe(1);
+
+    const range = await request(app).get('/v1/todo?priority_min=2&priority_max=4&include_total=true');
+    expect(range.body.total).toBe(3);
+    expect(range.body.items).toHaveLength(3);
+  });
+
+  /**
+   * The total is omitted unless requested.
+   */
+  test('GET /v1/todo omits total by default', async () => {
+    const res = await request(app).get('/v1/todo');
+    expect(res.body).not.toHaveProperty('total');
+  });
+
+  /**
+   * Invalid query parameters are rejected with 400.
+   */
+  test.each([
+    ['limit above maximum', 'limit=1000'],
+    ['non-numeric limit', 'limit=ten'],
+    ['unknown sort field', 'sort=task'],
+    ['malformed cursor', 'after=not-an-id'],
+    ['unknown parameter', 'color=blue']
+  ])('GET /v1/todo returns 400 for %s', async (_label, query) => {
+    const res = await request(app).get(`/v1/todo?${query}`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  /**
+   * Todos without a value for the sort field are paged through in both
+   * directions, including when a page ends on one of them.
+   */
+  test('GET /v1/todo pages across todos without a sort value', async () => {
+    const seeded = await db._db.collection('todos').insertMany([null, 7, null, 8, null].map((priority, i) => ({
+      task: `Unsorted ${i}`,
+      priority,
+      assigned_to: 'carol',
+      is_complete: false,
+      owner_id: 'placeholder-user-id',
+      date_created: new Date()
+    })));
+
+    /** Collects the tasks of every page, two at a time. */
+    const walk = async (sort) => {
+      const tasks = [];
+      let after = '';
+      do {
+        const page = await request(app).get(`/v1/todo?assigned_to=carol&sort=${sort}&limit=2${after}`);
+        expect(page.statusCode).toBe(200);
+        tasks.push(...page.body.items.map((t) => t.task));
+        after = page.body.next_cursor ? `&after=${page.body.next_cursor}` : null;
+      } while (after);
+      return tasks;
+    };
+
+    try {
+      expect(await walk('priority')).toEqual(['Unsorted 0', 'Unsorted 2', 'Unsorted 4', 'Unsorted 1', 'Unsorted 3']);
+      expect(await walk('-priority')).toEqual(['Unsorted 3', 'Unsorted 1', 'Unsorted 4', 'Unsorted 2', 'Unsorted 0']);
+    } finally {
+      await db._db.collection('todos').deleteMany({ _id: { $in: Object.values(seeded.insertedIds) } });
+    }
+  });
+
+  /**
+   * A well-formed cursor that names no visible todo is rejected with 400.
+   */
+  test('GET /v1/todo returns 400 for an unknown cursor', async () => {
+    const res = await request(app).get('/v1/todo?after=507f1f77bcf86cd799439011');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.message).toMatch(/Invalid cursor/);
+  });
+});
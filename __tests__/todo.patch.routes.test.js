@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Integration tests for full-replacement PUT and PATCH on todos.
+ * Covers RFC 7396 merge patches (including field removal with null), RFC 6902
+ * JSON Patch, re-validation of the patched todo, media type handling, writes
+ * through v1 to todos created through v2, and the written-todo responses
+ * (`Prefer: return=minimal`, unchanged writes).
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+
+let mongoServer;
+let connection;
+let todos;
+
+const body = { task: 'Patch me', priority: 1, assigned_to: 'alice', is_complete: false };
+
+/**
+ * Start an in-memory MongoDB and inject it into the db singleton.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+  todos = db._db.collection('todos');
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  await connection.close();
+  await mongoServer.stop();
+});
+
+/**
+ * Sends a PATCH with the given media type.
+ *
+ * @param {string} path - Request path.
+ * @param {string} type - Content-Type header.
+ * @param {*} patch - Patch document.
+ * @returns {import('supertest').Test} The pending request.
+ */
+const patch = (path, type, patch) =>
+  request(app).patch(path).set('Content-Type', type).send(JSON.stringify(patch));
+
+describe('Todo API – PUT replaces', () => {
+  /**
+   * PUT bodies are validated in strict mode.
+   */
+  test('PUT /v1/todo/:id rejects partial bodies', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+    const res = await request(app).put(`/v1/todo/${todo._id}`).send({ is_complete: true });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.details.map((d) => d.path).sort()).toEqual(['/assigned_to', '/priority', '/task']);
+  });
+
+  /**
+   * Optional fields omitted from a PUT are removed; system fields survive.
+   */
+  test('PUT /v2/todo/:id removes omitted fields', async () => {
+    const { body: todo } = await request(app).post('/v2/todo').send({ ...body, due_date: '2030-01-01' });
+    expect(todo.due_date).toBe('2030-01-01');
+
+    const res = await request(app).put(`/v2/todo/${todo._id}`).send({ ...body, priority: 2 });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).toBe('"2"');
+
+    const read = await request(app).get(`/v2/todo/${todo._id}`);
+    expect(read.body.due_date).toBeUndefined();
+    expect(read.body).toMatchObject({ priority: 2, is_complete: false, owner_id: 'placeholder-user-id', version: 2 });
+    expect(read.body.date_created).toBe(todo.date_created);
+  });
+});
+
+describe('Todo API – PATCH', () => {
+  /**
+   * Merge patches change only the named fields.
+   */
+  test('applies a merge patch', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const res = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', { is_complete: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).toBe('"2"');
+    expect(res.body).toMatchObject({ is_complete: true, priority: 1, version: 2 });
+
+    const stored = await todos.findOne({ task: 'Patch me', is_complete: true });
+    expect(stored).toMatchObject({ priority: 1, assigned_to: 'alice', owner_id: 'placeholder-user-id', version: 2 });
+  });
+
+  /**
+   * null removes an optional field.
+   */
+  test('removes fields set to null in a merge patch', async () => {
+    const { body: todo } = await request(app).post('/v2/todo').send({ ...body, due_date: '2030-01-01' });
+
+    const res = await patch(`/v2/todo/${todo._id}`, 'application/merge-patch+json', { due_date: null });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).not.toHaveProperty('due_date');
+
+    const read = await request(app).get(`/v2/todo/${todo._id}`);
+    expect(read.body.due_date).toBeUndefined();
+  });
+
+  /**
+   * The patched todo is re-validated; nothing is written when it is invalid.
+   */
+  test('re-validates the patched todo', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const removed = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', { priority: null });
+    expect(removed.statusCode).toBe(422);
+    expect(removed.body.error.details).toEqual([
+      expect.objectContaining({ location: 'body', path: '/priority', keyword: 'required' })
+    ]);
+
+    const system = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', { owner_id: 'mallory' });
+    expect(system.statusCode).toBe(422);
+
+    const read = await request(app).get(`/v1/todo/${todo._id}`);
+    expect(read.body).toMatchObject({ priority: 1, owner_id: 'placeholder-user-id', version: 1 });
+  });
+
+  /**
+   * Only the fields the version defines are patched and validated; other stored fields are kept.
+   */
+  test('keeps stored fields the version does not define', async () => {
+    const { insertedId } = await todos.insertOne({
+      ...body, label: 'inbox', owner_id: 'placeholder-user-id', date_created: new Date(), version: 1
+    });
+
+    const res = await patch(`/v1/todo/${insertedId}`, 'application/merge-patch+json', { is_complete: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ is_complete: true, label: 'inbox', version: 2 });
+
+    const added = await patch(`/v1/todo/${insertedId}`, 'application/merge-patch+json', { color: 'red' });
+    expect(added.statusCode).toBe(422);
+  });
+
+  /**
+   * JSON Patch operations apply in order; a failed test aborts with 409.
+   */
+  test('applies a JSON Patch', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const ok = await patch(`/v1/todo/${todo._id}`, 'application/json-patch+json', [
+      { op: 'test', path: '/assigned_to', value: 'alice' },
+      { op: 'replace', path: '/assigned_to', value: 'bob' },
+      { op: 'copy', from: '/assigned_to', path: '/task' }
+    ]);
+    expect(ok.statusCode).toBe(200);
+
+    const read = await request(app).get(`/v1/todo/${todo._id}`);
+    expect(read.body).toMatchObject({ assigned_to: 'bob', task: 'bob' });
+
+    const failed = await patch(`/v1/todo/${todo._id}`, 'application/json-patch+json', [
+      { op: 'test', path: '/assigned_to', value: 'alice' }
+    ]);
+    expect(failed.statusCode).toBe(409);
+    expect(failed.body.error.code).toBe('PATCH_CONFLICT');
+
+    const invalid = await patch(`/v1/todo/${todo._id}`, 'application/json-patch+json', [{ op: 'rename', path: '/task' }]);
+    expect(invalid.statusCode).toBe(422);
+    expect(invalid.body.error.code).toBe('INVALID_PATCH');
+  });
+
+  /**
+   * Plain JSON is not a patch format.
+   */
+  test('rejects other media types with 415', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+    const res = await request(app).patch(`/v1/todo/${todo._id}`).send({ is_complete: true });
+    expect(res.statusCode).toBe(415);
+  });
+
+  /**
+   * PATCH honors If-Match and 404s for missing todos.
+   */
+  test('honors If-Match and reports missing todos', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const stale = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', { is_complete: true })
+      .set('If-Match', '"7"');
+    expect(stale.statusCode).toBe(412);
+
+    const missing = await patch('/v1/todo/507f1f77bcf86cd799439011', 'application/merge-patch+json', { is_complete: true });
+    expect(missing.statusCode).toBe(404);
+  });
+});
+
+describe('Todo API – writes across versions', () => {
+  /**
+   * A v2 todo patched through v1 keeps its v2-only fields.
+   */
+  test('PATCH /v1/todo/:id keeps fields set through v2', async () => {
+    const { body: todo } = await request(app).post('/v2/todo').send({ ...body, priority: 3, due_date: '2030-01-01' });
+
+    const res = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', { is_complete: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ is_complete: true, priority: 3, due_date: '2030-01-01', version: 2 });
+
+    const json = await patch(`/v1/todo/${todo._id}`, 'application/json-patch+json', [
+      { op: 'replace', path: '/assigned_to', value: 'bob' }
+    ]);
+    expect(json.statusCode).toBe(200);
+    expect(json.body.due_date).toBe('2030-01-01');
+  });
+
+  /**
+   * A v2 todo replaced through v1 keeps its v2-only fields and stays readable through v2.
+   */
+  test('PUT /v1/todo/:id keeps fields set through v2', async () => {
+    const { body: todo } = await request(app).post('/v2/todo').send({ ...body, priority: 3, due_date: '2030-01-01' });
+
+    const res = await request(app).put(`/v1/todo/${todo._id}`).send({ ...body, priority: 2, is_complete: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ priority: 2, is_complete: true, due_date: '2030-01-01', version: 2 });
+
+    const read = await request(app).get(`/v2/todo/${todo._id}`);
+    expect(read.body).toMatchObject({ priority: 2, due_date: '2030-01-01' });
+  });
+});
+
+describe('Todo API – write responses', () => {
+  /**
+   * Writes return the stored todo with a fresh date_modified, or nothing with return=minimal.
+   */
+  test('returns the todo, or 204 with Prefer: return=minimal', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+    expect(todo.date_modified).toBeUndefined();
+
+    const full = await request(app).put(`/v1/todo/${todo._id}`).send({ ...body, priority: 2 });
+    expect(full.statusCode).toBe(200);
+    expect(full.headers['preference-applied']).toBeUndefined();
+    expect(full.body).toMatchObject({ _id: todo._id, priority: 2, version: 2, date_created: todo.date_created });
+    expect(new Date(full.body.date_modified).getTime()).toBeGreaterThanOrEqual(new Date(todo.date_created).getTime());
+
+    const minimal = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', { priority: 3 })
+      .set('Prefer', 'return=minimal');
+    expect(minimal.statusCode).toBe(204);
+    expect(minimal.headers['preference-applied']).toBe('return=minimal');
+    expect(minimal.headers.etag).toBe('"3"');
+    expect(minimal.text).toBe('');
+  });
+
+  /**
+   * Writing the values a todo already has is not an error and changes nothing.
+   */
+  test('tells an unchanged todo apart from a missing one', async () => {
+    const { body: todo } = await request(app).post('/v1/todo').send(body);
+
+    const same = await request(app).put(`/v1/todo/${todo._id}`).send(body);
+    expect(same.statusCode).toBe(200);
+    expect(same.headers.etag).toBe('"1"');
+    expect(same.body.date_modified).toBeUndefined();
+
+    const noop = await patch(`/v1/todo/${todo._id}`, 'application/merge-patch+json', {});
+    expect(noop.statusCode).toBe(200);
+    expect(noop.body.version).toBe(1);
+
+    const missing = await request(app).put('/v1/todo/507f1f77bcf86cd799439011').send(body);
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.error.message).toBe('Todo not found');
+  });
+});
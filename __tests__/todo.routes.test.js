@@ -16,7 +16,7 @@ let todos;
 
 /**
  * Start an in-memory MongoDB, connect a client, and seed the `todos` collection
- * before the tests run.
+ * with items owned by the stub user before the tests run.
  */
 beforeAll(async () => {
   mongoServer = await MongoMemoryServer.create();
@@ -32,6 +32,7 @@ beforeAll(async () => {
       priority: 1,
       assigned_to: 'alice',
       is_complete: false,
+      owner_id: 'placeholder-user-id',
       date_created: new Date()
     },
     {
@@ -39,11 +40,23 @@ beforeAll(async () => {
       priority: 2,
       assigned_to: 'bob',
       is_complete: true,
+      owner_id: 'placeholder-user-id',
       date_created: new Date()
     }
   ]);
 });
 
+/** `AUTH_STUB_ROLES` before the suite; tests that change the stub user's roles get it back. */
+const savedStubRoles = process.env.AUTH_STUB_ROLES;
+
+/**
+ * Restore the stub user's roles after each test, even when it fails.
+ */
+afterEach(() => {
+  if (savedStubRoles === undefined) delete process.env.AUTH_STUB_ROLES;
+  else process.env.AUTH_STUB_ROLES = savedStubRoles;
+});
+
 /**
  * Close the Mongo client and stop the in-memory server after tests complete.
  */
@@ -54,13 +67,14 @@ afterAll(async () => {
 
 describe('Todo API', () => {
   /**
-   * Should return all seeded todos.
+   * Should return all seeded todos in a page envelope.
    */
   test('GET /v1/todo should return all todos', async () => {
     const res = await request(app).get('/v1/todo');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
-    expect(res.body.length).toBe(2);
+    expect(Array.isArray(res.body.items)).toBe(true);
+    expect(res.body.items.length).toBe(2);
+    expect(res.body.next_cursor).toBeNull();
   });
 
   /**
@@ -79,6 +93,7 @@ describe('Todo API', () => {
 
     expect(res.statusCode).toBe(201);
     expect(res.body.task).toBe('New Task');
+    expect(res.body.owner_id).toBe('placeholder-user-id');
   });
 
   /**
@@ -94,32 +109,53 @@ describe('Todo API', () => {
   });
 
   /**
-   * Should update an existing todo field(s) and return 204 (no content).
+   * Should replace an existing todo and return it as stored.
    */
   test('PUT /v1/todo/:id should update a todo', async () => {
     const todoToUpdate = await todos.findOne({ task: 'Seed task 1' });
 
     const res = await request(app)
       .put(`/v1/todo/${todoToUpdate._id}`)
-      .send({ is_complete: true })
+      .send({ task: 'Seed task 1', priority: 1, assigned_to: 'alice', is_complete: true })
       .set('Accept', 'application/json');
 
-    expect(res.statusCode).toBe(204);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ _id: todoToUpdate._id.toString(), is_complete: true, version: 1 });
+    expect(res.body.date_modified).toBeDefined();
 
     const updated = await todos.findOne({ _id: todoToUpdate._id });
     expect(updated.is_complete).toBe(true);
+    expect(updated.owner_id).toBe('placeholder-user-id');
+  });
+
+  /**
+   * Should reject deletion by a regular user with 403; the item should remain.
+   */
+  test('DELETE /v1/todo/:id should return 403 for a non-admin user', async () => {
+    const todoToDelete = await todos.findOne({ task: 'Seed task 2' });
+
+    const res = await request(app).delete(`/v1/todo/${todoToDelete._id}`);
+    expect(res.statusCode).toBe(403);
+
+    const stillThere = await todos.findOne({ _id: todoToDelete._id });
+    expect(stillThere).not.toBeNull();
   });
 
   /**
-   * Should delete an existing todo and return 204; item should no longer exist.
+   * Should soft-delete an existing todo as an admin and return 204; item should no longer be readable.
    */
   test('DELETE /v1/todo/:id should remove a todo', async () => {
     const todoToDelete = await todos.findOne({ task: 'Seed task 2' });
 
+    process.env.AUTH_STUB_ROLES = 'user,admin';
     const res = await request(app).delete(`/v1/todo/${todoToDelete._id}`);
     expect(res.statusCode).toBe(204);
 
+    const read = await request(app).get(`/v1/todo/${todoToDelete._id}`);
+    expect(read.statusCode).toBe(404);
+
     const deleted = await todos.findOne({ _id: todoToDelete._id });
-    expect(deleted).toBeNull();
+    expect(deleted.deleted_at).toBeInstanceOf(Date);
+    expect(deleted.deleted_by).toBe('placeholder-user-id');
   });
 });
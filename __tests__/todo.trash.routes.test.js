@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Integration tests for soft delete, restore, trash listing, and purge.
+ * Uses an in-memory MongoDB; the stub user is given the admin role for the suite.
+ */
+
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient } = require('mongodb');
+const app = require('../app');
+const db = require('../lib/data/db');
+const todoModule = require('../v1_routes/todo_demo_routes/todo_demo_module');
+const { getCollectionSpecs } = require('../lib/data/collection_specs');
+
+let mongoServer;
+let connection;
+let todos;
+
+const DAY = 24 * 60 * 60 * 1000;
+const body = { task: 'Restore me', priority: 1, assigned_to: 'alice', is_complete: false };
+const base = { priority: 1, assigned_to: 'alice', is_complete: false, owner_id: 'placeholder-user-id', date_created: new Date() };
+
+/**
+ * Start an in-memory MongoDB and act as an admin for every request.
+ */
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  connection = await MongoClient.connect(mongoServer.getUri());
+  db._db = connection.db();
+  todos = db._db.collection('todos');
+  process.env.AUTH_STUB_ROLES = 'user,admin';
+});
+
+/**
+ * Start every test from an empty collection.
+ */
+beforeEach(async () => {
+  await todos.deleteMany({});
+});
+
+/**
+ * Close the Mongo client and stop the in-memory server after tests complete.
+ */
+afterAll(async () => {
+  delete process.env.AUTH_STUB_ROLES;
+  await connection.close();
+  await mongoServer.stop();
+});
+
+describe('Todo API – trash', () => {
+  /**
+   * Soft-deleted todos disappear from listings and can be restored.
+   */
+  test('deleted todos are hidden until restored', async () => {
+    const { insertedId } = await todos.insertOne({ ...base, task: 'Restore me' });
+
+    expect((await request(app).delete(`/v1/todo/${insertedId}`)).statusCode).toBe(204);
+    expect((await request(app).get('/v1/todo')).body.items).toEqual([]);
+    expect((await request(app).put(`/v1/todo/${insertedId}`).send({ ...body, is_complete: true })).statusCode).toBe(404);
+    expect((await request(app).delete(`/v1/todo/${insertedId}`)).statusCode).toBe(404);
+
+    const restored = await request(app).post(`/v1/todo/${insertedId}/restore`);
+    expect(restored.statusCode).toBe(200);
+    expect(restored.body.task).toBe('Restore me');
+    expect(restored.body.deleted_at).toBeUndefined();
+
+    expect((await request(app).get(`/v1/todo/${insertedId}`)).statusCode).toBe(200);
+  });
+
+  /**
+   * Restoring a live or missing todo is a 404.
+   */
+  test('POST /v1/todo/:id/restore returns 404 for live todos', async () => {
+    const { insertedId } = await todos.insertOne({ ...base, task: 'Live' });
+    const res = await request(app).post(`/v1/todo/${insertedId}/restore`);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.message).toBe('Deleted todo not found');
+  });
+
+  /**
+   * The trash listing returns only soft-deleted todos.
+   */
+  test('GET /v1/todo/trash lists deleted todos', async () => {
+    await todos.insertMany([
+      { ...base, task: 'Live' },
+      { ...base, task: 'Deleted', deleted_at: new Date(), deleted_by: 'placeholder-user-id' }
+    ]);
+
+    const res = await request(app).get('/v1/todo/trash');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.map((t) => t.task)).toEqual(['Deleted']);
+    expect(res.body.next_cursor).toBeNull();
+  });
+
+  /**
+   * The trash is admin-only.
+   */
+  test('GET /v1/todo/trash returns 403 for a regular user', async () => {
+    process.env.AUTH_STUB_ROLES = 'user';
+    try {
+      const res = await request(app).get('/v1/todo/trash');
+      expect(res.statusCode).toBe(403);
+    } finally {
+      process.env.AUTH_STUB_ROLES = 'user,admin';
+    }
+  });
+
+  /**
+   * Purge hard-deletes only todos deleted before the retention window.
+   */
+  test('DELETE /v1/todo/trash purges expired todos', async () => {
+    process.env.TRASH_RETENTION_DAYS = '30';
+    await todos.insertMany([
+      { ...base, task: 'Live' },
+      { ...base, task: 'Recent', deleted_at: new Date(Date.now() - DAY) },
+      { ...base, task: 'Expired', deleted_at: new Date(Date.now() - 31 * DAY) }
+    ]);
+
+    try {
+      const res = await request(app).delete('/v1/todo/trash');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ purged: 1 });
+    } finally {
+      delete process.env.TRASH_RETENTION_DAYS;
+    }
+
+    const remaining = await todos.find({}).toArray();
+    expect(remaining.map((t) => t.task).sort()).toEqual(['Live', 'Recent']);
+  });
+
+  /**
+   * Trash and purge queries select deleted todos the way the partial index does.
+   */
+  test('queries deleted todos with the partial index filter', async () => {
+    const index = getCollectionSpecs().todos.indexes.find((spec) => spec.name === 'deleted_at');
+    const user = { id: 'placeholder-user-id', roles: ['user'] };
+    expect(todoModule.trashScope(user).deleted_at).toEqual(index.partialFilterExpression.deleted_at);
+
+    const collection = db.collection;
+    const filters = [];
+    const spy = jest.spyOn(db, 'collection').mockImplementation((name) => {
+      const target = collection.call(db, name);
+      const deleteMany = target.deleteMany.bind(target);
+      target.deleteMany = (filter, options) => {
+        filters.push(filter);
+        return deleteMany(filter, options);
+      };
+      return target;
+    });
+    try {
+      await todoModule.purge(30);
+    } finally {
+      spy.mockRestore();
+    }
+    expect(filters[0].deleted_at).toMatchObject(index.partialFilterExpression.deleted_at);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Tests for `getRequestValidator`, the declarative validator covering
+ * path params, headers, query string, and body. Mounts inline schemas on a bare
+ * Express app and verifies coercion, defaults, custom formats, and error aggregation.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { getRequestValidator } = require('../v1_schema/validation');
+const { getErrorResponseBody } = require('../lib/utilities/error_utils');
+
+const app = express();
+app.use(express.json());
+app.post(
+  '/items/:id',
+  getRequestValidator({
+    params: 'id_params',
+    headers: {
+      type: 'object',
+      required: ['x-tenant'],
+      properties: { 'x-tenant': { type: 'string', minLength: 1 }, 'x-retries': { type: 'integer', default: 0 } }
+    },
+    query: {
+      type: 'object',
+      properties: { since: { type: 'string', format: 'iso-date' }, verbose: { type: 'boolean', default: false } },
+      additionalProperties: false
+    },
+    body: 'todo',
+    bodyMode: 'partial'
+  }),
+  (req, res) => {
+    res.json({ params: req.params, query: req.query, body: req.body, headers: req.validated.headers });
+  }
+);
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json(getErrorResponseBody(err));
+});
+
+describe('getRequestValidator', () => {
+  const id = '507f1f77bcf86cd799439011';
+
+  /**
+   * Valid input is coerced and defaults are applied to every request part.
+   */
+  test('coerces values and applies defaults', async () => {
+    const res = await request(app)
+      .post(`/items/${id}?since=2025-01-31T09:30:00Z`)
+      .set('X-Tenant', 'acme')
+      .send({ priority: '2' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.params).toEqual({ id });
+    expect(res.body.query).toEqual({ since: '2025-01-31T09:30:00Z', verbose: false });
+    expect(res.body.body).toEqual({ priority: 2 });
+    expect(res.body.headers['x-retries']).toBe(0);
+  });
+
+  /**
+   * Violations from every request part are reported together with 400.
+   */
+  test('aggregates violations across params, headers, query and body', async () => {
+    const res = await request(app)
+      .post('/items/nope?since=31-01-2025')
+      .send({ priority: 'high' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.details.map((d) => `${d.location}${d.path}:${d.keyword}`).sort()).toEqual([
+      'body/priority:type',
+      'headers/x-tenant:required',
+      'params/id:format',
+      'query/since:format'
+    ]);
+  });
+
+  /**
+   * Body-only violations keep the 422 status used for invalid payloads.
+   */
+  test('returns 422 when only the body is invalid', async () => {
+    const res = await request(app).post(`/items/${id}`).set('X-Tenant', 'acme').send({ whoops: 1 });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ location: 'body', path: '/whoops', keyword: 'additionalProperties' })
+    ]);
+  });
+
+  /**
+   * iso-date rejects impossible calendar dates.
+   */
+  test('rejects impossible iso-date values', async () => {
+    const res = await request(app).post(`/items/${id}?since=2025-13-45`).set('X-Tenant', 'acme').send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.details[0]).toMatchObject({ location: 'query', path: '/since', keyword: 'format' });
+  });
+});
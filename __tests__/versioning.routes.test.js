@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Integration tests for multi-version routing.
+ * Verifies that v1 and v2 are mounted side by side with their own schemas, and
+ * that deprecation headers are sent only for the versions configured as deprecated.
+ */
+
+const request = require('supertest');
+
+process.env.V1_DEPRECATION = '2026-01-01T00:00:00Z';
+process.env.V1_SUNSET = '2027-01-01T00:00:00Z';
+process.env.V1_DEPRECATION_LINK = 'https://example.com/migrating-to-v2';
+
+const app = require('../app');
+const { getVersionHeaders } = require('../lib/versioning/api_versions');
+
+/**
+ * Restore the environment after the suite.
+ */
+afterAll(() => {
+  delete process.env.V1_DEPRECATION;
+  delete process.env.V1_SUNSET;
+  delete process.env.V1_DEPRECATION_LINK;
+});
+
+describe('API versions', () => {
+  /**
+   * Each version serves its own routes and schemas.
+   */
+  test('mounts v1 and v2 side by side', async () => {
+    const v1 = await request(app).get('/v1/openapi.json');
+    const v2 = await request(app).get('/v2/openapi.json');
+    expect(v1.statusCode).toBe(200);
+    expect(v2.statusCode).toBe(200);
+
+    expect(v1.body.paths['/v1/todo']).toBeDefined();
+    expect(v1.body.paths['/v1/health_check']).toBeDefined();
+    expect(v2.body.paths['/v2/todo']).toBeDefined();
+    expect(v2.body.paths['/v2/health_check']).toBeUndefined();
+
+    expect(v1.body.components.schemas.todo.properties.priority).toEqual({ type: 'number' });
+    expect(v2.body.components.schemas.todo.properties.priority).toMatchObject({ type: 'integer', maximum: 5 });
+  });
+
+  /**
+   * v2 routes validate with the v2 schemas.
+   */
+  test('validates v2 bodies with the v2 schema', async () => {
+    const res = await request(app).post('/v2/todo').send({ task: 'Task', priority: 9, assigned_to: 'alice' });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ location: 'body', path: '/priority', keyword: 'maximum' })
+    ]);
+  });
+
+  /**
+   * Deprecated versions announce it on every response, including errors.
+   */
+  test('sends deprecation headers for deprecated versions', async () => {
+    const res = await request(app).get('/v1/does_not_exist');
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['deprecation']).toBe(`@${Date.parse('2026-01-01T00:00:00Z') / 1000}`);
+    expect(res.headers['sunset']).toBe('Fri, 01 Jan 2027 00:00:00 GMT');
+    expect(res.headers['link']).toBe('<https://example.com/migrating-to-v2>; rel="deprecation"; type="text/html"');
+  });
+
+  /**
+   * Current versions carry no deprecation headers.
+   */
+  test('omits deprecation headers for current versions', async () => {
+    const res = await request(app).get('/v2/openapi.json');
+    expect(res.headers['deprecation']).toBeUndefined();
+    expect(res.headers['sunset']).toBeUndefined();
+  });
+
+  /**
+   * `true` is accepted as a deprecation value, and unparseable dates are ignored.
+   */
+  test('accepts "true" and ignores invalid dates', () => {
+    process.env.V3_DEPRECATION = 'true';
+    process.env.V3_SUNSET = 'not a date';
+    try {
+      expect(getVersionHeaders('v3')).toEqual({ Deprecation: 'true' });
+    } finally {
+      delete process.env.V3_DEPRECATION;
+      delete process.env.V3_SUNSET;
+    }
+  });
+});
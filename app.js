@@ -1,7 +1,7 @@
 /**
  * @fileoverview Core Express application setup.
- * Configures security (Helmet), CORS, rate limiting, request parsing, view engine,
- * static assets, route registration, 404 handling, and a central error handler.
+ * Configures request IDs, access logging, security (Helmet), CORS, request metrics, rate limiting, request parsing,
+ * view engine, static assets, route registration, 404 handling, and a central error handler.
  */
 
 const createError = require("http-errors");
@@ -13,11 +13,32 @@ const rateLimit = require("express-rate-limit");
 const cookieParser = require("cookie-parser");
 const logger = require("./lib/utilities/logger");
 const env = require("./lib/environment/environment");
-const { getErrorTemplateParams } = require("./lib/utilities/error_utils");
+const lifecycle = require("./lib/lifecycle/lifecycle");
+const metrics = require("./lib/metrics/metrics");
+const { requestId } = require("./lib/utilities/request_id");
+const { accessLog } = require("./lib/utilities/access_log");
+const { mountApiVersions } = require("./lib/versioning/api_versions");
+const { PROBE_PATH } = require("./lib/health/health");
+const { createApiError, getErrorResponseBody, getErrorTemplateParams } = require("./lib/utilities/error_utils");
 
 /** @type {import('express').Express} */
 const app = express();
 
+/**
+ * Assign every request an ID (`X-Request-Id`), echoed in the response and
+ * stamped onto log entries; `req.log` is a logger carrying it.
+ * See `lib/utilities/request_id.js`.
+ */
+app.use(requestId());
+
+/**
+ * Write one access log entry per request (method, path, status, duration,
+ * bytes, user). See `lib/utilities/access_log.js`.
+ */
+if (env.accessLogEnabled) {
+  app.use(accessLog());
+}
+
 /**
  * Apply security-related HTTP headers via Helmet.
  * Includes:
@@ -44,7 +65,8 @@ app.use(helmet.frameguard({ action: "deny" }));
  */
 const corsOptions = {
   origin: ["https://your-frontend.com"], // TODO: Replace with actual frontend(s)
-  methods: ["GET", "POST", "PUT", "DELETE"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+  exposedHeaders: ["ETag", "Preference-Applied", "Idempotent-Replayed", "X-Request-Id"],
   credentials: true
 };
 
@@ -58,21 +80,47 @@ if (env.environment === "development") {
   app.use(cors(corsOptions));
 }
 
+/**
+ * During a graceful shutdown, ask keep-alive clients to close their connection
+ * after the current response, so the server can finish draining.
+ * See `lib/lifecycle/lifecycle.js`.
+ */
+app.use(lifecycle.closeConnectionsWhenDraining());
+
+/**
+ * Record Prometheus metrics for every request and serve them at `/metrics`,
+ * ahead of the rate limiter so scrapes are never rejected.
+ * See `lib/metrics/metrics.js`.
+ */
+if (env.metricsEnabled) {
+  app.use(metrics.httpMetrics());
+  app.get("/metrics", metrics.metricsHandler());
+}
+
 /**
  * @constant {import('express-rate-limit').RateLimitRequestHandler}
  * Rate limiter configuration: 100 requests per 15 minutes per IP.
+ * Liveness and readiness probes (`/<version>/health/live|ready`, and the legacy
+ * `/<version>/health_check`) are not limited or counted.
+ * Rejections are counted in the metrics and forwarded to the central error handler as 429 errors.
  */
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
-  message: "Too many requests from this IP, please try again later."
+  message: "Too many requests from this IP, please try again later.",
+  skip: (req) => PROBE_PATH.test(req.path),
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimitRejection();
+    next(createApiError(options.statusCode, options.message));
+  }
 });
 app.use(limiter);
 
 /** 
  * Enable JSON and URL-encoded request parsing, plus cookie parsing. 
+ * JSON parsing also covers the PATCH media types (RFC 7396 merge patch, RFC 6902 JSON Patch).
  */
-app.use(express.json());
+app.use(express.json({ type: ["application/json", "application/merge-patch+json", "application/json-patch+json"] }));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
@@ -91,16 +139,11 @@ const static_virtual_path = `/${env.routePrefix}`;
 app.use(static_virtual_path, express.static(path.join(__dirname, "public")));
 
 /**
- * Dynamically register service routes using require-directory's index loader.
+ * Mount every API version (`v1_routes`, `v2_routes`, ...) on its own Router
+ * under `/<version>`, with per-version deprecation headers.
+ * See `lib/versioning/api_versions.js`.
  */
-const service_routes = require(`./${env.routePrefix}_routes/index`);
-for (let folder in service_routes) {
-  for (let obj in service_routes[folder]) {
-    if (typeof service_routes[folder][obj] === "function") {
-      service_routes[folder][obj](app);
-    }
-  }
-}
+mountApiVersions(app);
 
 /**
  * 404 handler.
@@ -112,9 +155,11 @@ app.use((req, res, next) => {
 
 /**
  * Central error handler.
- * - Responds with JSON if client accepts "application/json".
+ * - Responds with JSON if client accepts "application/json":
+ *   `{ error: { code, message, details?, request_id } }` (see `getErrorResponseBody`).
  * - Otherwise renders an HTML error page via EJS.
  * - In production, hides stack trace in HTML.
+ * - Copies any `err.headers` (e.g. `WWW-Authenticate` on 401s) onto the response.
  *
  * @param {import('http-errors').HttpError & Error} err - The error object.
  * @param {import('express').Request} req - The HTTP request.
@@ -122,14 +167,11 @@ app.use((req, res, next) => {
  * @param {import('express').NextFunction} next - The next middleware.
  */
 app.use((err, req, res, next) => {
+  if (err.headers) res.set(err.headers);
+
   if (req.accepts("json")) {
     res.status(err.status || 500);
-    res.json({
-      error: {
-        message: err.message,
-        ...(req.app.get("env") === "development" && { stack: err.stack })
-      }
-    });
+    res.json(getErrorResponseBody(err, req.app.get("env") === "development", req.id));
   } else {
     let error;
     if (env.environment === "development") {
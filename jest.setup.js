@@ -1,7 +1,9 @@
 /**
  * @fileoverview Jest setup file to initialize environment variables for testing.
- * Ensures the `.env` file is loaded and forces `NODE_ENV` to "test" before any tests run.
+ * Ensures the `.env` file is loaded and forces `NODE_ENV` to "test" and `AUTH_MODE`
+ * to "stub" (suites testing JWT verification switch to "jwt") before any tests run.
  */
 
 require("dotenv").config();
 process.env.NODE_ENV = "test";
+process.env.AUTH_MODE = "stub";
@@ -1,14 +1,126 @@
 /**
- * @fileoverview Provides stub authentication middleware for Express.
- * This middleware simulates a successfully authenticated user by attaching
- * a placeholder user object to the `req` object. Replace with a real
- * authentication mechanism (e.g., JWT verification) in production.
+ * @fileoverview Provides bearer-token authentication middleware for Express.
+ * Verifies HS256/RS256 JSON Web Tokens from the `Authorization` header and maps
+ * their claims onto `req.user`. Outside production, a stub mode can attach a
+ * placeholder user instead so local development and tests run without tokens.
  */
 
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+const env = require("../environment/environment");
 const logger = require("../utilities/logger");
+const { createApiError } = require("../utilities/error_utils");
 
 /**
- * Simulated authentication middleware.
+ * Cached RS256 public key read from `env.jwtPublicKeyFile`, keyed by path.
+ * @type {{path: string, key: string}|null}
+ */
+let cachedKeyFile = null;
+
+/**
+ * Resolves the verification key for a token's signing algorithm.
+ * HMAC algorithms use the shared secret; all others use the public key.
+ *
+ * @param {string} algorithm - The `alg` value from the token header.
+ * @returns {string} The key, or empty string if none is configured.
+ */
+function getVerificationKey(algorithm) {
+  if (algorithm.startsWith("HS")) return env.jwtSecret;
+  if (env.jwtPublicKey) return env.jwtPublicKey;
+
+  const keyFile = env.jwtPublicKeyFile;
+  if (!keyFile) return "";
+  if (!cachedKeyFile || cachedKeyFile.path !== keyFile) {
+    cachedKeyFile = { path: keyFile, key: fs.readFileSync(keyFile, "utf8") };
+  }
+  return cachedKeyFile.key;
+}
+
+/**
+ * Maps verified token claims onto the application's user shape.
+ *
+ * @param {import('jsonwebtoken').JwtPayload} claims - Verified token payload.
+ * @returns {{id: string, username: string, roles: string[]}} The user object.
+ */
+function mapClaimsToUser(claims) {
+  const rawRoles = claims[env.jwtRolesClaim];
+  const roles = Array.isArray(rawRoles)
+    ? rawRoles.map(String)
+    : typeof rawRoles === "string"
+      ? rawRoles.split(/[\s,]+/).filter(Boolean)
+      : [];
+
+  return {
+    id: String(claims.sub),
+    username: claims.preferred_username || claims.username || String(claims.sub),
+    roles,
+  };
+}
+
+/**
+ * Attaches an RFC 6750 `WWW-Authenticate` challenge to a 401 error.
+ * The central error handler copies `err.headers` onto the response.
+ *
+ * @param {import('http-errors').HttpError} err - The 401 error.
+ * @param {string} [challenge='Bearer error="invalid_token"'] - Challenge header value.
+ * @returns {import('http-errors').HttpError} The same error, for throwing.
+ */
+function withChallenge(err, challenge = `Bearer error="invalid_token"`) {
+  err.headers = { "WWW-Authenticate": challenge };
+  return err;
+}
+
+/**
+ * Extracts and verifies the bearer token on a request.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @returns {{id: string, username: string, roles: string[]}} The authenticated user.
+ * @throws {import('http-errors').HttpError} 401 if the token is missing or invalid.
+ */
+function verifyRequestToken(req) {
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (!/^Bearer$/i.test(scheme || "") || !token) {
+    throw withChallenge(createApiError(401, "Missing bearer token"), "Bearer");
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const algorithm = decoded && decoded.header && decoded.header.alg;
+  if (!algorithm || !env.jwtAlgorithms.includes(algorithm)) {
+    throw withChallenge(createApiError(401, "Invalid token"));
+  }
+
+  const key = getVerificationKey(algorithm);
+  if (!key) {
+    throw withChallenge(createApiError(401, "Invalid token", new Error(`No verification key configured for ${algorithm}`)));
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, key, {
+      algorithms: [algorithm],
+      clockTolerance: env.jwtClockTolerance,
+      ...(env.jwtIssuer && { issuer: env.jwtIssuer }),
+      ...(env.jwtAudience && { audience: env.jwtAudience }),
+    });
+  } catch (err) {
+    const message = err.name === "TokenExpiredError"
+      ? "Token expired"
+      : err.name === "NotBeforeError"
+        ? "Token not yet valid"
+        : "Invalid token";
+    throw withChallenge(createApiError(401, message, err));
+  }
+
+  if (!claims || claims.sub === undefined || claims.sub === null) {
+    throw withChallenge(createApiError(401, "Invalid token", new Error("Token has no subject")));
+  }
+
+  return mapClaimsToUser(claims);
+}
+
+/**
+ * Authentication middleware.
  *
  * @function authenticate_user
  * @param {import('express').Request} req - The Express request object.
@@ -22,25 +134,36 @@ const logger = require("../utilities/logger");
  * });
  *
  * @description
- * - Attaches a simulated user object to `req.user`.
- * - Logs the simulated authentication event.
- * - To simulate unauthorized access, uncomment the provided return statement.
+ * - In `"jwt"` mode, verifies the bearer token's signature, `exp`/`nbf`, issuer and audience,
+ *   then attaches `{ id, username, roles }` to `req.user`.
+ * - In `"stub"` mode (ignored in production), attaches a placeholder user.
+ * - Failures are forwarded to the central error handler as 401 errors.
  */
 function authenticate_user(req, res, next) {
-  req.user = {
-    id: "placeholder-user-id",
-    username: "stub_user",
-    roles: ["user"], // Extend with role-based logic if needed
-  };
+  if (env.authMode === "stub" && env.environment !== "production") {
+    req.user = {
+      id: "placeholder-user-id",
+      username: "stub_user",
+      roles: env.authStubRoles,
+    };
+    logger.info(`authenticated stub user`, { id: req.user.id });
+    return next();
+  }
 
-  logger.info(`authenticated user`, { id: req.user.id });
-
-  // Uncomment to simulate an unauthorized request:
-  // return res.status(401).json({ error: "Unauthorized" });
+  try {
+    req.user = verifyRequestToken(req);
+  } catch (err) {
+    logger.warn(`Authentication failed: ${err.message}`, { path: req.originalUrl });
+    return next(err);
+  }
 
+  logger.info(`authenticated user`, { id: req.user.id });
   next();
 }
 
+/** Marks routes using this middleware as bearer-authenticated in the generated OpenAPI document. */
+authenticate_user.openapi = { authenticated: true };
+
 module.exports = {
   authenticate_user
 };
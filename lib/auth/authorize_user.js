@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Role-based authorization middleware for Express.
+ * Reads `req.user.roles` (populated by `authenticate_user`) and rejects
+ * requests lacking the required role or permission with a 403 error.
+ */
+
+const logger = require("../utilities/logger");
+const { createApiError } = require("../utilities/error_utils");
+const permissions = require("./permissions");
+
+/**
+ * Checks whether a user holds at least one of the given roles.
+ *
+ * @function hasRole
+ * @param {{roles?: string[]}|undefined} user - The authenticated user.
+ * @param {...string} roles - Acceptable roles.
+ * @returns {boolean} `true` if the user has any of the roles.
+ *
+ * @example
+ * if (hasRole(req.user, 'admin')) { ... }
+ */
+function hasRole(user, ...roles) {
+  const userRoles = (user && Array.isArray(user.roles)) ? user.roles : [];
+  return roles.some((role) => userRoles.includes(role));
+}
+
+/**
+ * Checks whether a user holds a role granted the named permission in the policy map.
+ *
+ * @function hasPermission
+ * @param {{roles?: string[]}|undefined} user - The authenticated user.
+ * @param {keyof typeof permissions} permission - Permission name (e.g., "todo:any_owner").
+ * @returns {boolean} `true` if the permission is granted; unknown permissions are never granted.
+ *
+ * @example
+ * const filter = hasPermission(req.user, 'todo:any_owner') ? {} : { owner_id: req.user.id };
+ */
+function hasPermission(user, permission) {
+  return Object.hasOwn(permissions, permission) && hasRole(user, ...permissions[permission]);
+}
+
+/**
+ * Builds middleware that allows the request only if `req.user` has one of the given roles.
+ * Must run after `authenticate_user`.
+ *
+ * @function requireRole
+ * @param {...string} roles - Acceptable roles.
+ * @returns {import('express').RequestHandler} Authorization middleware.
+ *
+ * @example
+ * app.get('/admin', authenticate_user, requireRole('admin'), handler);
+ */
+function requireRole(...roles) {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(createApiError(401, "Authentication required"));
+    }
+    if (!hasRole(req.user, ...roles)) {
+      logger.warn(`Authorization denied for user ${req.user.id}`, { required: roles, roles: req.user.roles });
+      return next(createApiError(403, "Insufficient permissions"));
+    }
+    next();
+  };
+
+  /** Picked up by `lib/openapi/openapi.js` when generating the API document. */
+  middleware.openapi = { roles };
+  return middleware;
+}
+
+/**
+ * Builds middleware that allows the request only if `req.user` holds a role
+ * granted the named permission in the policy map.
+ *
+ * @function requirePermission
+ * @param {keyof typeof permissions} permission - Permission name (e.g., "todo:delete").
+ * @returns {import('express').RequestHandler} Authorization middleware.
+ * @throws {Error} If the permission is not defined in the policy map.
+ *
+ * @example
+ * app.delete('/v1/todo/:id', authenticate_user, requirePermission('todo:delete'), handler);
+ */
+function requirePermission(permission) {
+  if (!Object.hasOwn(permissions, permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  const middleware = requireRole(...permissions[permission]);
+  middleware.openapi = { ...middleware.openapi, permission };
+  return middleware;
+}
+
+module.exports = {
+  hasRole,
+  hasPermission,
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Permission policy map for role-based authorization.
+ * Each permission names the roles allowed to exercise it. Routes reference
+ * permissions (not roles) so access rules can change in one place.
+ *
+ * @type {Object<string, string[]>}
+ */
+const permissions = {
+  /** Read todo items. */
+  "todo:read": ["user", "admin"],
+
+  /** Create and update todo items. */
+  "todo:write": ["user", "admin"],
+
+  /** Delete any todo item. */
+  "todo:delete": ["admin"],
+
+  /** List, restore, and purge soft-deleted todo items. */
+  "todo:trash": ["admin"],
+
+  /** Read and modify todo items owned by other users. */
+  "todo:any_owner": ["admin"],
+
+  /** Inspect the authenticated identity via diagnostic routes. */
+  "diagnostic:read": ["user", "admin"],
+
+  /** Read the detailed health report (dependencies, version, memory). */
+  "health:read": ["admin"],
+};
+
+module.exports = permissions;
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Applies the collection specs from `lib/data/collection_specs.js`
+ * to a database: creates missing collections, indexes and validators, and
+ * updates the ones that differ from their spec. Running it again against an
+ * up-to-date database changes nothing, so it is safe on every startup.
+ *
+ * Every change is logged. In dry-run mode the changes are only logged (and
+ * returned), which shows what a deployment would do without touching the database.
+ *
+ * Indexes not named in a spec are never dropped; they are reported as unmanaged.
+ */
+
+const { isEqual } = require("lodash");
+const logger = require("../utilities/logger");
+
+/**
+ * Index options compared against the spec; others (e.g., `v`) are server details.
+ * @type {string[]}
+ */
+const INDEX_OPTIONS = ["unique", "expireAfterSeconds", "partialFilterExpression"];
+
+/**
+ * @typedef {Object} BootstrapChange
+ * @property {string} collection - Collection name.
+ * @property {"createCollection"|"updateValidator"|"createIndex"|"updateIndexTtl"|"replaceIndex"} action - What was (or would be) done.
+ * @property {string} [index] - Index name, for index changes.
+ */
+
+/**
+ * Extracts the options of an index that the spec controls, with defaults filled in.
+ *
+ * @param {Object} index - Index spec or index description from `listIndexes`.
+ * @returns {Object} Comparable options.
+ */
+function indexOptions(index) {
+  return Object.fromEntries(
+    INDEX_OPTIONS.map((option) => [option, index[option] ?? (option === "unique" ? false : null)])
+  );
+}
+
+/**
+ * Compares two index keys, including field order.
+ *
+ * @param {Object} a - Index key.
+ * @param {Object} b - Index key.
+ * @returns {boolean} True if they index the same fields in the same order and directions.
+ */
+function sameKey(a, b) {
+  return isEqual(Object.entries(a), Object.entries(b));
+}
+
+/**
+ * Builds the options passed to `createIndex` for an index spec.
+ *
+ * @param {import("./collection_specs").IndexSpec} spec - The index spec.
+ * @returns {Object} Index options.
+ */
+function createOptions(spec) {
+  const options = { name: spec.name };
+  for (const option of INDEX_OPTIONS) {
+    if (spec[option] !== undefined) options[option] = spec[option];
+  }
+  return options;
+}
+
+/**
+ * Applies one collection spec.
+ *
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {string} name - Collection name.
+ * @param {import("./collection_specs").CollectionSpec} spec - The collection spec.
+ * @param {boolean} dryRun - Only report changes.
+ * @returns {Promise<BootstrapChange[]>} The changes made (or that would be made).
+ */
+async function applyCollectionSpec(database, name, spec, dryRun) {
+  const changes = [];
+  const record = (change, detail) => {
+    changes.push({ collection: name, ...change });
+    logger.info(`${dryRun ? "[dry run] Would " : ""}${detail}`);
+  };
+
+  const validation = spec.validator
+    ? { validator: spec.validator, validationLevel: spec.validationLevel || "strict", validationAction: spec.validationAction || "error" }
+    : null;
+
+  const [existing] = await database.listCollections({ name }).toArray();
+  if (!existing) {
+    record({ action: "createCollection" }, `${dryRun ? "create" : "Created"} collection ${name}${validation ? " with validator" : ""}`);
+    if (!dryRun) await database.createCollection(name, validation || {});
+  } else if (validation) {
+    const current = existing.options || {};
+    const unchanged = isEqual(current.validator, validation.validator)
+      && (current.validationLevel || "strict") === validation.validationLevel
+      && (current.validationAction || "error") === validation.validationAction;
+    if (!unchanged) {
+      record({ action: "updateValidator" }, `${dryRun ? "update" : "Updated"} validator of ${name}`);
+      if (!dryRun) await database.command({ collMod: name, ...validation });
+    }
+  }
+
+  const collection = database.collection(name);
+  const indexes = existing ? await collection.indexes() : [];
+  for (const index of spec.indexes || []) {
+    const current = indexes.find((candidate) => candidate.name === index.name);
+
+    if (!current) {
+      const sameFields = indexes.find((candidate) => sameKey(candidate.key, index.key));
+      if (sameFields) {
+        logger.warn(`Index ${name}.${index.name} not created: ${sameFields.name} already indexes the same fields`);
+        continue;
+      }
+      record({ action: "createIndex", index: index.name }, `${dryRun ? "create" : "Created"} index ${name}.${index.name}`);
+      if (!dryRun) await collection.createIndex(index.key, createOptions(index));
+      continue;
+    }
+
+    const currentOptions = indexOptions(current);
+    const wantedOptions = indexOptions(index);
+    if (sameKey(current.key, index.key) && isEqual(currentOptions, wantedOptions)) continue;
+
+    const ttlOnly = sameKey(current.key, index.key)
+      && current.expireAfterSeconds !== undefined && index.expireAfterSeconds !== undefined
+      && isEqual({ ...currentOptions, expireAfterSeconds: null }, { ...wantedOptions, expireAfterSeconds: null });
+    if (ttlOnly) {
+      record(
+        { action: "updateIndexTtl", index: index.name },
+        `${dryRun ? "change" : "Changed"} TTL of ${name}.${index.name} from ${current.expireAfterSeconds}s to ${index.expireAfterSeconds}s`
+      );
+      if (!dryRun) {
+        await database.command({ collMod: name, index: { name: index.name, expireAfterSeconds: index.expireAfterSeconds } });
+      }
+      continue;
+    }
+
+    record({ action: "replaceIndex", index: index.name }, `${dryRun ? "rebuild" : "Rebuilt"} index ${name}.${index.name} to match its spec`);
+    if (!dryRun) {
+      await collection.dropIndex(index.name);
+      await collection.createIndex(index.key, createOptions(index));
+    }
+  }
+
+  const managed = new Set(["_id_", ...(spec.indexes || []).map((index) => index.name)]);
+  for (const index of indexes.filter((candidate) => !managed.has(candidate.name))) {
+    logger.info(`Index ${name}.${index.name} is not in the collection spec; leaving it in place`);
+  }
+
+  return changes;
+}
+
+/**
+ * Applies collection specs to a database, idempotently.
+ *
+ * @function bootstrapCollections
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {Object<string, import("./collection_specs").CollectionSpec>} specs - Specs by collection name.
+ * @param {{dryRun?: boolean}} [options={}] - `dryRun` logs and returns the changes without applying them.
+ * @returns {Promise<BootstrapChange[]>} The changes made (or that would be made); empty when up to date.
+ *
+ * @example
+ * const { getCollectionSpecs } = require("./collection_specs");
+ * await bootstrapCollections(db._db, getCollectionSpecs(), { dryRun: true });
+ */
+async function bootstrapCollections(database, specs, options = {}) {
+  const { dryRun = false } = options;
+  const changes = [];
+  for (const [name, spec] of Object.entries(specs)) {
+    changes.push(...(await applyCollectionSpec(database, name, spec, dryRun)));
+  }
+  logger.info(
+    changes.length
+      ? `Collection bootstrap ${dryRun ? "found" : "applied"} ${changes.length} change(s)${dryRun ? " (dry run, nothing written)" : ""}`
+      : "Collections, indexes and validators are up to date"
+  );
+  return changes;
+}
+
+module.exports = {
+  bootstrapCollections
+};
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Declarative indexes and validators for the application's
+ * MongoDB collections, applied at startup by `lib/data/bootstrap.js`.
+ *
+ * Each entry is keyed by collection name. Indexes are identified by `name`:
+ * renaming one creates a new index and leaves the old one in place (it is
+ * reported as unmanaged). Validators are derived from the AJV schemas in
+ * `v1_schema`, extended with the fields the server maintains itself, and use
+ * `validationLevel: "moderate"` so documents written before the validator
+ * existed can still be updated.
+ */
+
+const env = require("../environment/environment");
+const schema = require("../../v1_schema/schema");
+const { toMongoJsonSchema } = require("./json_schema");
+const { omit } = require("lodash");
+
+/**
+ * @typedef {Object} IndexSpec
+ * @property {string} name - Index name; the identity used to detect changes.
+ * @property {Object<string, 1|-1>} key - Indexed fields, in order.
+ * @property {boolean} [unique] - Enforce a unique constraint.
+ * @property {number} [expireAfterSeconds] - TTL: remove documents this long after the indexed date.
+ * @property {Object} [partialFilterExpression] - Only index documents matching this filter.
+ */
+
+/**
+ * @typedef {Object} CollectionSpec
+ * @property {IndexSpec[]} [indexes] - Indexes the collection must have.
+ * @property {{$jsonSchema: object}} [validator] - Collection validator.
+ * @property {"off"|"strict"|"moderate"} [validationLevel] - Which writes the validator checks.
+ * @property {"error"|"warn"} [validationAction] - Reject or only log invalid writes.
+ */
+
+/**
+ * `$jsonSchema` of a stored todo: the client-editable fields from the "todo"
+ * schema plus the system fields, with other fields (e.g., from newer API
+ * versions) allowed.
+ * @type {object}
+ */
+const todoJsonSchema = omit(toMongoJsonSchema(schema.todo), ["additionalProperties"]);
+const storedTodoJsonSchema = {
+  ...todoJsonSchema,
+  properties: {
+    ...todoJsonSchema.properties,
+    owner_id: { bsonType: "string" },
+    date_created: { bsonType: "date" },
+    date_modified: { bsonType: "date" },
+    version: { bsonType: ["int", "long"], minimum: 0 },
+    deleted_at: { bsonType: ["date", "null"] },
+    deleted_by: { bsonType: "string" },
+  },
+};
+
+/**
+ * Returns the collection specs by collection name. Built on each call so
+ * settings read from the environment (TTL, validation action) are current.
+ *
+ * @function getCollectionSpecs
+ * @returns {Object<string, CollectionSpec>} Collection specs.
+ */
+const getCollectionSpecs = () => ({
+  todos: {
+    indexes: [
+      /** Default list order for a user's live todos (`sort=-date_created`). */
+      { name: "owner_live_date_created", key: { owner_id: 1, deleted_at: 1, date_created: -1, _id: -1 } },
+      /** List order for `sort=priority`. */
+      { name: "owner_live_priority", key: { owner_id: 1, deleted_at: 1, priority: 1, _id: 1 } },
+      /** Unscoped (admin) listing by creation date. */
+      { name: "date_created", key: { date_created: -1, _id: -1 } },
+      /** `assigned_to` filter. */
+      { name: "assigned_to", key: { assigned_to: 1 } },
+      /** Trash listing and retention purge; only deleted todos are indexed. */
+      { name: "deleted_at", key: { deleted_at: 1 }, partialFilterExpression: { deleted_at: { $type: "date" } } },
+    ],
+    validator: { $jsonSchema: storedTodoJsonSchema },
+    validationLevel: "moderate",
+    validationAction: env.dbValidationAction,
+  },
+
+  idempotency_keys: {
+    indexes: [
+      /** One record per user and key. */
+      { name: "owner_key_unique", key: { owner_id: 1, key: 1 }, unique: true },
+      /** Expire records after `IDEMPOTENCY_TTL_HOURS`. */
+      { name: "created_at_ttl", key: { created_at: 1 }, expireAfterSeconds: Math.round(env.idempotencyTtlHours * 3600) },
+    ],
+  },
+});
+
+module.exports = {
+  getCollectionSpecs
+};
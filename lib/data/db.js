@@ -3,19 +3,94 @@
  * to a MongoDB connection and database handle across the application.
  *
  * This module handles:
- * - Building the MongoDB connection URI from environment variables.
- * - Connecting to MongoDB and storing a database reference.
+ * - Building the MongoDB connection URI and client options (pool, timeouts,
+ *   read preference, write concern, TLS, credentials) from environment variables.
+ * - Connecting to MongoDB, retrying with exponential backoff, and storing a database reference.
+ * - Tracking whether the database is reachable from the driver's topology events.
+ * - Reporting command durations and connection pool figures to the metrics.
+ * - Failing fast with a 503 when a collection is requested while it is not.
+ * - Running multi-document work in transactions, retrying transient failures.
  * - Closing the connection gracefully.
  *
  * @example
  * const db = require('./lib/data/db');
  * await db.connect();
- * const todos = db._db.collection('todos');
+ * const todos = db.collection('todos');
  */
 
 const { MongoClient } = require("mongodb");
 const env = require("../environment/environment");
 const logger = require("../utilities/logger");
+const { createApiError } = require("../utilities/error_utils");
+const { monitorMongoClient } = require("../metrics/metrics");
+
+/**
+ * Seconds clients are asked to wait (`Retry-After`) when the database is unavailable.
+ * @type {number}
+ */
+const RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Attempts `withTransaction` makes before giving up on transient errors.
+ * @type {number}
+ */
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * @typedef {"disconnected"|"connecting"|"connected"|"closed"} DbState
+ * - `"disconnected"`: not connected yet, or the connection was lost (the driver keeps reconnecting).
+ * - `"connecting"`: `connect()` is in progress, including its retries.
+ * - `"connected"`: a data-bearing server is reachable.
+ * - `"closed"`: `close()` was called.
+ */
+
+/**
+ * Query string options of a connection URI whose values are secrets.
+ * @type {RegExp}
+ */
+const SECRET_URI_OPTION = /([?&][^=&]*(?:password|secret|token)[^=&]*=)[^&]*/gi;
+
+/**
+ * Masks the password in a connection URI, and any secret options, for logging.
+ *
+ * @param {string} uri - Connection URI.
+ * @returns {string} The URI with secrets replaced by `****`.
+ */
+function redactUri(uri) {
+  return uri
+    .replace(/^(mongodb(?:\+srv)?:\/\/[^:@/]+):[^@/]*@/, "$1:****@")
+    .replace(SECRET_URI_OPTION, "$1****");
+}
+
+/**
+ * Builds the error raised while the database is unavailable.
+ *
+ * @returns {import('http-errors').HttpError} 503 error with a `Retry-After` header.
+ */
+function unavailableError() {
+  const err = createApiError(503, "The database is unavailable; try again shortly");
+  err.headers = { "Retry-After": String(RETRY_AFTER_SECONDS) };
+  return err;
+}
+
+/**
+ * Checks whether a driver error carries an error label.
+ *
+ * @param {Error} err - The error.
+ * @param {string} label - Label, e.g. `"TransientTransactionError"`.
+ * @returns {boolean} True if the error has the label.
+ */
+function hasErrorLabel(err, label) {
+  return typeof err?.hasErrorLabel === "function" && err.hasErrorLabel(label);
+}
+
+/**
+ * Waits for a number of milliseconds.
+ *
+ * @param {number} ms - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
  * @class Db
@@ -23,57 +98,270 @@ const logger = require("../utilities/logger");
  */
 class Db {
   /**
-   * Creates a Db instance and initializes the MongoDB client.
-   *
-   * The URI is built from:
-   * - `DB_URI` (if provided) or
-   * - Individual DB connection environment variables (`DB_USER_NAME`, `DB_PASSWORD`, `DB_URL`, `DB_PORT`).
+   * Creates a Db instance and initializes the MongoDB client from
+   * `getConnectionUri()` and `getClientOptions()`.
    *
    * @constructor
    */
   constructor() {
-    /** @type {string} MongoDB connection URI */
-    const uri =
-      env.dbUri && env.dbUri.trim()
-        ? env.dbUri.trim() // Use full URI if provided
-        : (() => {
-            const user = env.dbUsername ? encodeURIComponent(env.dbUsername) : "";
-            const pass = env.dbPassword ? encodeURIComponent(env.dbPassword) : "";
-            const auth = user && pass ? `${user}:${pass}@` : "";
-            return `mongodb://${auth}${env.dbUrl}:${env.dbPort}`;
-          })();
-
     /**
      * @private
      * @type {MongoClient}
      */
-    this._client = new MongoClient(uri, {
-      retryWrites: true,
-      appName: env.serviceName || "Express-MongoDB API Framework",
-    });
+    this._client = new MongoClient(this.getConnectionUri(), this.getClientOptions());
 
     /**
      * @private
      * @type {import('mongodb').Db|null}
      */
-    this._db = null;
+    this._database = null;
+
+    /**
+     * @private
+     * @type {DbState}
+     */
+    this._state = "disconnected";
+
+    this._client.on("topologyDescriptionChanged", (event) => {
+      this._onTopologyChange(event.newDescription.hasDataBearingServers);
+    });
+    monitorMongoClient(this._client);
+  }
+
+  /**
+   * Returns the MongoDB connection URI: `DB_URI` if provided, otherwise one
+   * built from `DB_URL` and `DB_PORT`. Credentials are passed separately (see
+   * `getClientOptions()`), though a `DB_URI` may still include its own.
+   *
+   * @returns {string} Connection URI.
+   */
+  getConnectionUri() {
+    return env.dbUri || `mongodb://${env.dbUrl}:${env.dbPort}`;
+  }
+
+  /**
+   * Returns the `MongoClient` options configured through the environment.
+   * Unset settings are left out, so options given in the URI and driver
+   * defaults still apply.
+   *
+   * @returns {import('mongodb').MongoClientOptions} Client options.
+   */
+  getClientOptions() {
+    const options = {
+      retryWrites: true,
+      appName: env.serviceName || "Express-MongoDB API Framework",
+      monitorCommands: env.metricsEnabled,
+    };
+    if (env.dbUsername) options.auth = { username: env.dbUsername, password: env.dbPassword || undefined };
+
+    const optional = {
+      authSource: env.dbAuthSource,
+      replicaSet: env.dbReplicaSet,
+      maxPoolSize: env.dbMaxPoolSize,
+      minPoolSize: env.dbMinPoolSize,
+      serverSelectionTimeoutMS: env.dbServerSelectionTimeoutMs,
+      socketTimeoutMS: env.dbSocketTimeoutMs,
+      readPreference: env.dbReadPreference,
+      writeConcern: env.dbWriteConcern === null ? null : { w: env.dbWriteConcern },
+      tls: env.dbTls || null,
+      tlsCAFile: env.dbTlsCaFile,
+      tlsCertificateKeyFile: env.dbTlsCertificateKeyFile,
+    };
+    for (const [name, value] of Object.entries(optional)) {
+      if (value !== null) options[name] = value;
+    }
+    return options;
+  }
+
+  /**
+   * Describes the connection settings for logging, with secrets redacted: the
+   * password is never included and is masked in the URI.
+   *
+   * @returns {Object} Connection settings.
+   */
+  describeSettings() {
+    const { auth, ...options } = this.getClientOptions();
+    return {
+      uri: redactUri(this.getConnectionUri()),
+      database: env.dbName,
+      ...(auth && { username: auth.username, password: auth.password ? "****" : "(none)" }),
+      ...options,
+    };
+  }
+
+  /**
+   * The database handle, or `null` before `connect()`. Assigning a handle
+   * directly (as tests do with an in-memory server) marks the database connected.
+   *
+   * @type {import('mongodb').Db|null}
+   */
+  get _db() {
+    return this._database;
+  }
+
+  set _db(database) {
+    this._database = database;
+    this._state = database ? "connected" : "disconnected";
+  }
+
+  /**
+   * The current connection state, kept up to date from the driver's topology events.
+   *
+   * @type {DbState}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Whether queries can be served right now.
+   *
+   * @returns {boolean} True if a database handle is set and a data-bearing server is reachable.
+   */
+  isReady() {
+    return this._database !== null && this._state === "connected";
+  }
+
+  /**
+   * Returns a collection of the database, failing fast instead of letting the
+   * driver wait for a server while the database is unreachable.
+   *
+   * @param {string} name - Collection name.
+   * @returns {import('mongodb').Collection} The collection.
+   * @throws {import('http-errors').HttpError} 503 (with `Retry-After`) if the database is not ready.
+   */
+  collection(name) {
+    if (!this.isReady()) throw unavailableError();
+    return this._database.collection(name);
+  }
+
+  /**
+   * Runs `fn` in a transaction and commits it, so its writes apply together or
+   * not at all. `fn` receives the session, which every operation of the
+   * transaction must pass (e.g., `todos.create(todo, user, { session })`).
+   *
+   * If `fn` throws, the transaction is aborted and the error is rethrown. When
+   * the error is transient (labeled `TransientTransactionError`, e.g., a write
+   * conflict or a failover) the whole transaction is run again, so `fn` must
+   * not have side effects outside the session. A commit whose outcome is
+   * unknown is retried. Both are retried up to `maxAttempts` times.
+   *
+   * Transactions require a replica set or sharded cluster.
+   *
+   * @async
+   * @template T
+   * @param {function(import('mongodb').ClientSession): Promise<T>} fn - The transaction's work.
+   * @param {import('mongodb').TransactionOptions & {maxAttempts?: number}} [options={}] - Transaction
+   *   options (read/write concern, read preference) and `maxAttempts` (default 3).
+   * @returns {Promise<T>} What `fn` returned, once committed.
+   * @throws {import('http-errors').HttpError} 503 if the database is not ready; otherwise the error that ended the last attempt.
+   *
+   * @example
+   * await db.withTransaction(async (session) => {
+   *   const todo = await todos.create({ ...fields }, user, { session });
+   *   await db.collection("audit").insertOne({ todo_id: todo._id, action: "create" }, { session });
+   * });
+   */
+  async withTransaction(fn, options = {}) {
+    const { maxAttempts = MAX_TRANSACTION_ATTEMPTS, ...transactionOptions } = options;
+    if (!this.isReady()) throw unavailableError();
+
+    const session = this._database.client.startSession();
+    try {
+      for (let attempt = 1; ; attempt++) {
+        session.startTransaction(transactionOptions);
+        try {
+          const result = await fn(session);
+          await this._commit(session, maxAttempts);
+          return result;
+        } catch (err) {
+          if (session.inTransaction()) {
+            await session.abortTransaction().catch((abortErr) => {
+              logger.warn("Failed to abort transaction", { error: abortErr.message });
+            });
+          }
+          if (attempt >= maxAttempts || !hasErrorLabel(err, "TransientTransactionError")) throw err;
+          logger.warn(`Transaction attempt ${attempt} of ${maxAttempts} failed (${err.message}); retrying`);
+        }
+      }
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Commits a transaction, retrying when the outcome of a commit is unknown.
+   *
+   * @private
+   * @async
+   * @param {import('mongodb').ClientSession} session - Session of the transaction.
+   * @param {number} maxAttempts - Commit attempts before giving up.
+   * @returns {Promise<void>}
+   */
+  async _commit(session, maxAttempts) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await session.commitTransaction();
+        return;
+      } catch (err) {
+        if (attempt >= maxAttempts || !hasErrorLabel(err, "UnknownTransactionCommitResult")) throw err;
+        logger.warn(`Transaction commit attempt ${attempt} had an unknown result (${err.message}); retrying`);
+      }
+    }
+  }
+
+  /**
+   * Updates the state when the driver's view of the deployment changes, logging
+   * when the connection is lost and when it comes back.
+   *
+   * @private
+   * @param {boolean} reachable - Whether a data-bearing server is known.
+   * @returns {void}
+   */
+  _onTopologyChange(reachable) {
+    if (this._state === "closed" || this._state === "connecting" || this._database === null) return;
+
+    if (!reachable && this._state === "connected") {
+      this._state = "disconnected";
+      logger.warn("Lost connection to MongoDB; requests will fail with 503 until it is restored");
+    } else if (reachable && this._state === "disconnected") {
+      this._state = "connected";
+      logger.info("Connection to MongoDB restored");
+    }
   }
 
   /**
    * Establish a connection to MongoDB and set the internal database handle.
+   * Failed attempts are retried `DB_CONNECT_RETRIES` times, waiting
+   * `DB_CONNECT_RETRY_DELAY_MS` before the first retry and twice as long before
+   * each further one (capped at `DB_CONNECT_RETRY_MAX_DELAY_MS`, with jitter).
    *
    * @async
-   * @throws {Error} If the connection attempt fails.
+   * @throws {Error} If the last connection attempt fails.
    * @returns {Promise<void>}
    */
   async connect() {
-    try {
-      await this._client.connect();
-      this._db = this._client.db(env.dbName);
-      logger.info(`Connected to MongoDB: ${env.dbName}`);
-    } catch (err) {
-      logger.error("Failed to connect to MongoDB:", err);
-      throw err;
+    const retries = env.dbConnectRetries;
+    this._state = "connecting";
+    logger.info("MongoDB connection settings", this.describeSettings());
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this._client.connect();
+        this._db = this._client.db(env.dbName);
+        logger.info(`Connected to MongoDB: ${env.dbName}`);
+        return;
+      } catch (err) {
+        if (attempt >= retries) {
+          this._state = "disconnected";
+          logger.error(`Failed to connect to MongoDB after ${attempt + 1} attempt(s):`, err);
+          throw err;
+        }
+        const delay = Math.min(env.dbConnectRetryMaxDelayMs, env.dbConnectRetryDelayMs * 2 ** attempt);
+        const wait = Math.round(delay / 2 + Math.random() * delay / 2);
+        logger.warn(`MongoDB connection attempt ${attempt + 1} of ${retries + 1} failed (${err.message}); retrying in ${wait} ms`);
+        await sleep(wait);
+      }
     }
   }
 
@@ -84,6 +372,7 @@ class Db {
    * @returns {Promise<void>}
    */
   async close() {
+    this._state = "closed";
     await this._client.close();
     logger.info("🔌 MongoDB connection closed.");
   }
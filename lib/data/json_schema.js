@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Converts the AJV (JSON Schema draft-07) schemas in `vN_schema`
+ * into MongoDB `$jsonSchema` validators, so collection validators are derived
+ * from the same source as request validation.
+ *
+ * MongoDB implements draft 4 with `bsonType` extensions and rejects keywords
+ * it doesn't know, so the conversion:
+ * - maps `type` to `bsonType` (`integer` becomes `int`/`long`, `boolean` becomes `bool`),
+ * - rewrites draft-07 numeric `exclusiveMinimum`/`exclusiveMaximum` to the draft-4 form
+ *   and `const` to a one-value `enum`,
+ * - drops annotation-only or unsupported keywords such as `format` and `default`.
+ */
+
+/**
+ * BSON types accepted for each JSON Schema type.
+ * @type {Object<string, string[]>}
+ */
+const BSON_TYPES = {
+  string: ["string"],
+  number: ["number"],
+  integer: ["int", "long"],
+  boolean: ["bool"],
+  object: ["object"],
+  array: ["array"],
+  null: ["null"],
+};
+
+/**
+ * Keywords copied unchanged.
+ * @type {Set<string>}
+ */
+const COPIED = new Set([
+  "bsonType", "required", "enum", "minimum", "maximum", "multipleOf", "minLength", "maxLength",
+  "pattern", "minItems", "maxItems", "uniqueItems", "minProperties", "maxProperties",
+  "title", "description",
+]);
+
+/**
+ * Keywords holding one subschema.
+ * @type {Set<string>}
+ */
+const SUBSCHEMA = new Set(["items", "not", "additionalProperties", "additionalItems"]);
+
+/**
+ * Keywords holding a list of subschemas.
+ * @type {Set<string>}
+ */
+const SUBSCHEMA_LIST = new Set(["allOf", "anyOf", "oneOf"]);
+
+/**
+ * Keywords holding a map of subschemas.
+ * @type {Set<string>}
+ */
+const SUBSCHEMA_MAP = new Set(["properties", "patternProperties"]);
+
+/**
+ * Converts a JSON Schema into a MongoDB `$jsonSchema` document.
+ *
+ * @function toMongoJsonSchema
+ * @param {object|boolean} schema - AJV schema (e.g., an entry of `v1_schema/schema.js`).
+ * @returns {object|boolean} The equivalent `$jsonSchema`.
+ *
+ * @example
+ * toMongoJsonSchema({ type: "object", properties: { n: { type: "integer", default: 1 } } });
+ * // { bsonType: "object", properties: { n: { bsonType: ["int", "long"] } } }
+ */
+function toMongoJsonSchema(schema) {
+  if (schema === null || typeof schema !== "object") return schema;
+
+  const result = {};
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (keyword === "type") {
+      const bsonTypes = [...new Set([].concat(value).flatMap((type) => BSON_TYPES[type] || [type]))];
+      result.bsonType = bsonTypes.length === 1 ? bsonTypes[0] : bsonTypes;
+    } else if (keyword === "const") {
+      result.enum = [value];
+    } else if ((keyword === "exclusiveMinimum" || keyword === "exclusiveMaximum") && typeof value === "number") {
+      result[keyword === "exclusiveMinimum" ? "minimum" : "maximum"] = value;
+      result[keyword] = true;
+    } else if (SUBSCHEMA.has(keyword)) {
+      result[keyword] = toMongoJsonSchema(value);
+    } else if (SUBSCHEMA_LIST.has(keyword)) {
+      result[keyword] = value.map(toMongoJsonSchema);
+    } else if (SUBSCHEMA_MAP.has(keyword)) {
+      result[keyword] = Object.fromEntries(Object.entries(value).map(([name, sub]) => [name, toMongoJsonSchema(sub)]));
+    } else if (COPIED.has(keyword)) {
+      result[keyword] = value;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  toMongoJsonSchema
+};
@@ -6,6 +6,29 @@
 
 const path = require("path");
 
+/**
+ * Splits a comma-separated environment value into a trimmed, non-empty list.
+ *
+ * @param {string|undefined} value - Raw environment value.
+ * @param {string[]} fallback - List returned when the value is unset or empty.
+ * @returns {string[]} Parsed list.
+ */
+function parseList(value, fallback) {
+  const items = (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+  return items.length ? items : fallback;
+}
+
+/**
+ * Parses a non-negative integer environment value.
+ *
+ * @param {string|undefined} value - Raw environment value.
+ * @returns {number|null} The integer, or `null` when the value is unset or invalid.
+ */
+function parseOptionalInt(value) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 0 ? null : parsed;
+}
+
 /**
  * @class Env
  * @classdesc Provides getters for all relevant environment variables,
@@ -61,15 +84,101 @@ class Env {
   }
 
   /**
-   * Gets the API version prefix.
+   * Gets the primary API version prefix, under which static assets are served.
    * @returns {string} Lowercase version string or `"v1"` if not defined.
    */
   get routePrefix() {
     return (process.env.VERSION || "v1").toLowerCase();
   }
 
+  /**
+   * Gets the API versions to mount. Each version `vN` is served from `vN_routes`
+   * with the schemas in `vN_schema`.
+   * @returns {string[]} Lowercase versions parsed from comma-separated `API_VERSIONS`,
+   *   or an empty list (mount every `vN_routes` directory) if not defined.
+   */
+  get apiVersions() {
+    return parseList(process.env.API_VERSIONS, []).map((version) => version.toLowerCase());
+  }
+
+  /**
+   * Gets the deprecation settings of an API version from `<VERSION>_DEPRECATION`,
+   * `<VERSION>_SUNSET` and `<VERSION>_DEPRECATION_LINK` (e.g., `V1_SUNSET`).
+   * Dates may be any format accepted by `Date.parse`; `<VERSION>_DEPRECATION` also accepts `"true"`
+   * (deprecated as of now).
+   * @param {string} version - API version (e.g., `"v1"`).
+   * @returns {{deprecation: string, sunset: string, link: string}} Raw settings; empty strings when not defined.
+   */
+  versionLifecycle(version) {
+    const prefix = version.toUpperCase();
+    return {
+      deprecation: process.env[`${prefix}_DEPRECATION`] || "",
+      sunset: process.env[`${prefix}_SUNSET`] || "",
+      link: process.env[`${prefix}_DEPRECATION_LINK`] || "",
+    };
+  }
+
+  /**
+   * Checks if the HTML API reference at `/<version>/docs` is served.
+   * The JSON document at `/<version>/openapi.json` is always available.
+   * @returns {boolean} `false` if `API_DOCS_ENABLED` is set to `"false"`, otherwise `true`.
+   */
+  get apiDocsEnabled() {
+    return process.env.API_DOCS_ENABLED !== "false";
+  }
+
+  /**
+   * Gets how long a shutdown waits for in-flight requests before closing their connections.
+   * @returns {number} `SHUTDOWN_TIMEOUT_MS` or `10000` if not defined.
+   */
+  get shutdownTimeoutMs() {
+    const value = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10);
+    return isNaN(value) || value < 0 ? 10000 : value;
+  }
+
+  /**
+   * Gets the commit SHA of the deployed code, reported by the detailed health check.
+   * @returns {string} `GIT_SHA` or empty string if not defined (the `.git` directory is read instead).
+   */
+  get gitSha() {
+    return process.env.GIT_SHA || "";
+  }
+
+  /**
+   * Gets the default time limit of a health check.
+   * @returns {number} `HEALTH_CHECK_TIMEOUT_MS` or `2000` if not defined.
+   */
+  get healthCheckTimeoutMs() {
+    const value = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10);
+    return isNaN(value) || value <= 0 ? 2000 : value;
+  }
+
+  /**
+   * Checks if Prometheus metrics are collected and served at `/metrics`.
+   * @returns {boolean} `false` if `METRICS_ENABLED` is set to `"false"`, otherwise `true`.
+   */
+  get metricsEnabled() {
+    return process.env.METRICS_ENABLED !== "false";
+  }
+
+  /**
+   * Gets the bearer token scrapers must send to read `/metrics`.
+   * @returns {string} `METRICS_TOKEN` or empty string if not defined (no token required).
+   */
+  get metricsToken() {
+    return process.env.METRICS_TOKEN || "";
+  }
+
   // ────── Database Properties ──────
 
+  /**
+   * Gets the full MongoDB connection URI; when set, `DB_URL` and `DB_PORT` are ignored.
+   * @returns {string} `DB_URI` or empty string if not defined.
+   */
+  get dbUri() {
+    return (process.env.DB_URI || "").trim();
+  }
+
   /**
    * Gets the MongoDB host or connection URL.
    * @returns {string} Database host or `"localhost"` if not defined.
@@ -95,19 +204,324 @@ class Env {
   }
 
   /**
-   * Gets the MongoDB username.
+   * Gets the MongoDB username. `USER_NAME`, the name older `.env` files use, is
+   * read when `DB_USER_NAME` is not set.
    * @returns {string} Username or empty string if not defined.
    */
   get dbUsername() {
-    return process.env.DB_USER_NAME || "";
+    return process.env.DB_USER_NAME || process.env.USER_NAME || "";
   }
 
   /**
-   * Gets the MongoDB password.
+   * Gets the MongoDB password. `PASSWORD`, the name older `.env` files use, is
+   * read when `DB_PASSWORD` is not set.
    * @returns {string} Password or empty string if not defined.
    */
   get dbPassword() {
-    return process.env.DB_PASSWORD || "";
+    return process.env.DB_PASSWORD || process.env.PASSWORD || "";
+  }
+
+  /**
+   * Gets the database that holds the MongoDB user's credentials.
+   * @returns {string|null} `DB_AUTH_SOURCE` or `null` (the URI's, else the driver's default) if not defined.
+   */
+  get dbAuthSource() {
+    return process.env.DB_AUTH_SOURCE || null;
+  }
+
+  /**
+   * Gets the name of the replica set to connect to.
+   * @returns {string|null} `DB_REPLICA_SET` or `null` if not defined.
+   */
+  get dbReplicaSet() {
+    return process.env.DB_REPLICA_SET || null;
+  }
+
+  /**
+   * Gets the largest number of connections in the MongoDB connection pool.
+   * @returns {number|null} `DB_MAX_POOL_SIZE` or `null` (driver default: 100) if not defined.
+   */
+  get dbMaxPoolSize() {
+    return parseOptionalInt(process.env.DB_MAX_POOL_SIZE);
+  }
+
+  /**
+   * Gets the number of connections the MongoDB connection pool keeps open.
+   * @returns {number|null} `DB_MIN_POOL_SIZE` or `null` (driver default: 0) if not defined.
+   */
+  get dbMinPoolSize() {
+    return parseOptionalInt(process.env.DB_MIN_POOL_SIZE);
+  }
+
+  /**
+   * Gets how long an operation waits for a suitable server before failing.
+   * @returns {number|null} `DB_SERVER_SELECTION_TIMEOUT_MS` or `null` (driver default: 30000) if not defined.
+   */
+  get dbServerSelectionTimeoutMs() {
+    return parseOptionalInt(process.env.DB_SERVER_SELECTION_TIMEOUT_MS);
+  }
+
+  /**
+   * Gets how long a socket may be inactive before it is closed.
+   * @returns {number|null} `DB_SOCKET_TIMEOUT_MS` or `null` (driver default: 0, no timeout) if not defined.
+   */
+  get dbSocketTimeoutMs() {
+    return parseOptionalInt(process.env.DB_SOCKET_TIMEOUT_MS);
+  }
+
+  /**
+   * Gets which replica set members reads are sent to.
+   * @returns {"primary"|"primaryPreferred"|"secondary"|"secondaryPreferred"|"nearest"|null}
+   * `DB_READ_PREFERENCE` or `null` (driver default: `"primary"`) if not defined or unknown.
+   */
+  get dbReadPreference() {
+    const value = process.env.DB_READ_PREFERENCE;
+    return ["primary", "primaryPreferred", "secondary", "secondaryPreferred", "nearest"].includes(value) ? value : null;
+  }
+
+  /**
+   * Gets the write concern: how many members must acknowledge a write.
+   * @returns {string|number|null} `DB_WRITE_CONCERN` as a number of members or a
+   * tag such as `"majority"`, or `null` (server default) if not defined.
+   */
+  get dbWriteConcern() {
+    const value = (process.env.DB_WRITE_CONCERN || "").trim();
+    if (!value) return null;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+  }
+
+  /**
+   * Gets whether connections to MongoDB use TLS. Also true when a TLS file is configured.
+   * @returns {boolean} `DB_TLS` or `false` if not defined.
+   */
+  get dbTls() {
+    return process.env.DB_TLS === "true" || !!this.dbTlsCaFile || !!this.dbTlsCertificateKeyFile;
+  }
+
+  /**
+   * Gets the path of the CA certificate(s) used to verify the MongoDB server.
+   * @returns {string|null} `DB_TLS_CA_FILE` or `null` (system CAs) if not defined.
+   */
+  get dbTlsCaFile() {
+    return process.env.DB_TLS_CA_FILE || null;
+  }
+
+  /**
+   * Gets the path of the client certificate and key presented to MongoDB (e.g., for X.509 auth).
+   * @returns {string|null} `DB_TLS_CERT_KEY_FILE` or `null` if not defined.
+   */
+  get dbTlsCertificateKeyFile() {
+    return process.env.DB_TLS_CERT_KEY_FILE || null;
+  }
+
+  /**
+   * Gets how many times a failed MongoDB connection attempt is retried at startup.
+   * @returns {number} `DB_CONNECT_RETRIES` or `5` if not defined; `0` disables retries.
+   */
+  get dbConnectRetries() {
+    const value = parseInt(process.env.DB_CONNECT_RETRIES, 10);
+    return isNaN(value) || value < 0 ? 5 : value;
+  }
+
+  /**
+   * Gets the delay before the first connection retry; it doubles on each further retry.
+   * @returns {number} `DB_CONNECT_RETRY_DELAY_MS` or `1000` if not defined.
+   */
+  get dbConnectRetryDelayMs() {
+    const value = parseInt(process.env.DB_CONNECT_RETRY_DELAY_MS, 10);
+    return isNaN(value) || value < 0 ? 1000 : value;
+  }
+
+  /**
+   * Gets the longest delay between connection retries.
+   * @returns {number} `DB_CONNECT_RETRY_MAX_DELAY_MS` or `30000` if not defined.
+   */
+  get dbConnectRetryMaxDelayMs() {
+    const value = parseInt(process.env.DB_CONNECT_RETRY_MAX_DELAY_MS, 10);
+    return isNaN(value) || value < 0 ? 30000 : value;
+  }
+
+  /**
+   * Gets how collection indexes and validators are bootstrapped at startup.
+   * - `"apply"`: create or update them to match `lib/data/collection_specs.js`.
+   * - `"dry-run"`: only log the changes that would be made.
+   * - `"off"`: skip the bootstrap.
+   * @returns {"apply"|"dry-run"|"off"} `DB_BOOTSTRAP` or `"apply"` if not defined or unknown.
+   */
+  get dbBootstrapMode() {
+    const value = (process.env.DB_BOOTSTRAP || "").toLowerCase();
+    return ["apply", "dry-run", "off"].includes(value) ? value : "apply";
+  }
+
+  /**
+   * Gets what MongoDB does with writes that fail a collection validator.
+   * @returns {"error"|"warn"} `DB_VALIDATION_ACTION` or `"error"` if not defined.
+   */
+  get dbValidationAction() {
+    return process.env.DB_VALIDATION_ACTION === "warn" ? "warn" : "error";
+  }
+
+  /**
+   * Gets how long a migration lock is honored before another run may take it
+   * over, e.g., after the process holding it crashed.
+   * @returns {number} `MIGRATION_LOCK_TIMEOUT_SECONDS` or `600` if not defined.
+   */
+  get migrationLockTimeoutSeconds() {
+    const value = parseFloat(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS);
+    return isNaN(value) || value <= 0 ? 600 : value;
+  }
+
+  /**
+   * Gets how long soft-deleted documents are kept before they are purged.
+   * @returns {number} Days or `30` if not defined.
+   */
+  get trashRetentionDays() {
+    const value = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    return isNaN(value) ? 30 : value;
+  }
+
+  /**
+   * Gets how often the purge of expired soft-deleted documents runs.
+   * @returns {number} Minutes or `60` if not defined; `0` disables the scheduled purge.
+   */
+  get trashPurgeIntervalMinutes() {
+    const value = parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES);
+    return isNaN(value) ? 60 : value;
+  }
+
+  /**
+   * Gets the maximum number of operations accepted in one bulk request.
+   * @returns {number} `BULK_MAX_OPERATIONS` or `500` if not defined.
+   */
+  get bulkMaxOperations() {
+    const value = parseInt(process.env.BULK_MAX_OPERATIONS, 10);
+    return isNaN(value) || value < 1 ? 500 : value;
+  }
+
+  /**
+   * Gets how long `Idempotency-Key` records (and their stored responses) are kept.
+   * @returns {number} `IDEMPOTENCY_TTL_HOURS` or `24` if not defined.
+   */
+  get idempotencyTtlHours() {
+    const value = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+    return isNaN(value) || value <= 0 ? 24 : value;
+  }
+
+  // ────── Authentication Properties ──────
+
+  /**
+   * Gets the authentication mode.
+   * - `"jwt"`: verify `Authorization: Bearer` tokens.
+   * - `"stub"`: attach a placeholder user (never honored in production).
+   * Stub mode must be opted into, so a deployment with a missing or mistyped
+   * `NODE_ENV` still requires authentication.
+   * @returns {string} `AUTH_MODE` or `"jwt"` if not defined.
+   */
+  get authMode() {
+    return (process.env.AUTH_MODE || "jwt").toLowerCase();
+  }
+
+  /**
+   * Gets the roles assigned to the stub user when `authMode` is `"stub"`.
+   * @returns {string[]} Roles parsed from comma-separated `AUTH_STUB_ROLES` or `["user"]` if not defined.
+   */
+  get authStubRoles() {
+    return parseList(process.env.AUTH_STUB_ROLES, ["user"]);
+  }
+
+  /**
+   * Gets the accepted JWT signing algorithms.
+   * @returns {string[]} Algorithms parsed from comma-separated `JWT_ALGORITHMS` or `["HS256"]` if not defined.
+   */
+  get jwtAlgorithms() {
+    return parseList(process.env.JWT_ALGORITHMS, ["HS256"]);
+  }
+
+  /**
+   * Gets the shared secret used to verify HS256 tokens.
+   * @returns {string} Secret or empty string if not defined.
+   */
+  get jwtSecret() {
+    return process.env.JWT_SECRET || "";
+  }
+
+  /**
+   * Gets the PEM-encoded public key used to verify RS256 tokens.
+   * Escaped newlines (`\n`) are expanded so the key can live on a single line.
+   * @returns {string} Public key or empty string if not defined.
+   */
+  get jwtPublicKey() {
+    return (process.env.JWT_PUBLIC_KEY || "").replace(/\\n/g, "\n");
+  }
+
+  /**
+   * Gets the path to a PEM file holding the RS256 public key.
+   * @returns {string} Absolute path or empty string if not defined.
+   */
+  get jwtPublicKeyFile() {
+    return process.env.JWT_PUBLIC_KEY_FILE ? path.resolve(process.env.JWT_PUBLIC_KEY_FILE) : "";
+  }
+
+  /**
+   * Gets the expected token issuer (`iss` claim).
+   * @returns {string} Issuer or empty string (not checked) if not defined.
+   */
+  get jwtIssuer() {
+    return process.env.JWT_ISSUER || "";
+  }
+
+  /**
+   * Gets the expected token audience (`aud` claim).
+   * @returns {string} Audience or empty string (not checked) if not defined.
+   */
+  get jwtAudience() {
+    return process.env.JWT_AUDIENCE || "";
+  }
+
+  /**
+   * Gets the allowed clock skew, in seconds, when checking `exp` and `nbf`.
+   * @returns {number} Seconds or `30` if not defined.
+   */
+  get jwtClockTolerance() {
+    const value = parseInt(process.env.JWT_CLOCK_TOLERANCE);
+    return isNaN(value) ? 30 : value;
+  }
+
+  /**
+   * Gets the name of the claim that carries the user's roles.
+   * @returns {string} Claim name or `"roles"` if not defined.
+   */
+  get jwtRolesClaim() {
+    return process.env.JWT_ROLES_CLAIM || "roles";
+  }
+
+  // ────── Logging Properties ──────
+
+  /**
+   * Checks if an access log entry is written for every request.
+   * @returns {boolean} `false` if `ACCESS_LOG_ENABLED` is set to `"false"`, otherwise `true`.
+   */
+  get accessLogEnabled() {
+    return process.env.ACCESS_LOG_ENABLED !== "false";
+  }
+
+  /**
+   * Gets the request paths left out of the access log (e.g., scrapes). Liveness and
+   * readiness probes are always left out, in every API version.
+   * @returns {string[]} Paths parsed from comma-separated `ACCESS_LOG_EXCLUDE_PATHS`,
+   *   or `["/metrics"]` if not defined.
+   */
+  get accessLogExcludePaths() {
+    return parseList(process.env.ACCESS_LOG_EXCLUDE_PATHS, ["/metrics"]);
+  }
+
+  /**
+   * Gets the keys masked in log entries in addition to the built-in ones
+   * (see `lib/utilities/redact.js`).
+   * @returns {string[]} Keys parsed from comma-separated `LOG_REDACT_KEYS` or an empty list if not defined.
+   */
+  get logRedactKeys() {
+    return parseList(process.env.LOG_REDACT_KEYS, []);
   }
 
   // ────── Filesystem Paths ──────
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Health checks behind the `/v1/health` routes.
+ *
+ * Checks are kept in a registry: feature modules register a named async
+ * function that throws (or times out) when its dependency is unhealthy and
+ * otherwise returns details to report. Each run is bounded by a timeout, so a
+ * hanging dependency makes its check fail instead of the probe hang.
+ *
+ * A failing *critical* check makes the service not-ready and the overall
+ * status `"fail"`; a failing non-critical one only downgrades it to `"warn"`.
+ * The MongoDB check is registered here.
+ *
+ * @example
+ * const { registerHealthCheck } = require("./lib/health/health");
+ * registerHealthCheck("payments_api", async () => {
+ *   const started = Date.now();
+ *   await axios.get(`${PAYMENTS_URL}/ping`, { timeout: 1000 });
+ *   return { latency_ms: Date.now() - started };
+ * }, { critical: false, timeoutMs: 1500 });
+ */
+
+const fs = require("fs");
+const path = require("path");
+const env = require("../environment/environment");
+const db = require("../data/db");
+const lifecycle = require("../lifecycle/lifecycle");
+const { version } = require("../../package.json");
+
+/**
+ * @callback HealthCheck
+ * @param {{detailed: boolean}} context - `detailed` is false for readiness probes, which should stay cheap.
+ * @returns {Promise<Object|void>} Details to report; throw when unhealthy.
+ */
+
+/**
+ * @typedef {Object} HealthCheckResult
+ * @property {"pass"|"fail"} status - Outcome of the check.
+ * @property {boolean} critical - Whether a failure makes the service not-ready.
+ * @property {number} duration_ms - How long the check took.
+ * @property {Object} [details] - What the check reported.
+ * @property {string} [error] - Why the check failed.
+ */
+
+/**
+ * Paths of the liveness and readiness probes, in every API version, and of the
+ * legacy `health_check` probe. Probes are exempt from the rate limiter, so
+ * frequent polling never gets them rejected, and are left out of the access log.
+ * @type {RegExp}
+ */
+const PROBE_PATH = /^\/v\d+\/(health\/(live|ready)|health_check)$/;
+
+/**
+ * Registered checks by name.
+ * @type {Map<string, {check: HealthCheck, critical: boolean, timeoutMs: number}>}
+ */
+const checks = new Map();
+
+/**
+ * Commit SHA of the running code, resolved once.
+ * @type {string|null|undefined}
+ */
+let gitSha;
+
+/**
+ * Registers a health check.
+ *
+ * @function registerHealthCheck
+ * @param {string} name - Unique check name (e.g., `"mongodb"`).
+ * @param {HealthCheck} check - The check.
+ * @param {{critical?: boolean, timeoutMs?: number}} [options={}] - `critical` (default true) makes a
+ *   failure fail readiness; `timeoutMs` (default `HEALTH_CHECK_TIMEOUT_MS`) bounds each run.
+ * @returns {void}
+ * @throws {Error} If a check with that name is already registered.
+ */
+function registerHealthCheck(name, check, options = {}) {
+  if (checks.has(name)) throw new Error(`Health check "${name}" is already registered`);
+  const { critical = true, timeoutMs = env.healthCheckTimeoutMs } = options;
+  checks.set(name, { check, critical, timeoutMs });
+}
+
+/**
+ * Removes a health check.
+ *
+ * @function unregisterHealthCheck
+ * @param {string} name - Check name.
+ * @returns {boolean} True if a check was removed.
+ */
+function unregisterHealthCheck(name) {
+  return checks.delete(name);
+}
+
+/**
+ * Runs one check within its timeout.
+ *
+ * @async
+ * @param {{check: HealthCheck, critical: boolean, timeoutMs: number}} entry - The registered check.
+ * @param {boolean} detailed - Passed to the check.
+ * @returns {Promise<HealthCheckResult>} The result; never rejects.
+ */
+async function runCheck({ check, critical, timeoutMs }, detailed) {
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+
+  try {
+    const details = await Promise.race([check({ detailed }), timeout]);
+    return { status: "pass", critical, duration_ms: Date.now() - started, ...(details && { details }) };
+  } catch (err) {
+    return { status: "fail", critical, duration_ms: Date.now() - started, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Runs the registered checks concurrently.
+ *
+ * @function runHealthChecks
+ * @async
+ * @param {{criticalOnly?: boolean, detailed?: boolean}} [options={}] - `criticalOnly` skips non-critical
+ *   checks (readiness); `detailed` asks checks for full details.
+ * @returns {Promise<{status: "pass"|"warn"|"fail", checks: Object<string, HealthCheckResult>}>}
+ *   Overall status and the result of each check.
+ */
+async function runHealthChecks(options = {}) {
+  const { criticalOnly = false, detailed = false } = options;
+  const selected = [...checks].filter(([, entry]) => entry.critical || !criticalOnly);
+  const results = await Promise.all(selected.map(async ([name, entry]) => [name, await runCheck(entry, detailed)]));
+
+  const failed = results.filter(([, result]) => result.status === "fail");
+  const status = failed.some(([, result]) => result.critical) ? "fail" : failed.length ? "warn" : "pass";
+  return { status, checks: Object.fromEntries(results) };
+}
+
+/**
+ * Determines whether the service should receive traffic: it must not be
+ * shutting down, and every critical check must pass.
+ *
+ * @function getReadiness
+ * @async
+ * @returns {Promise<{ready: boolean, status: "pass"|"fail", checks?: Object<string, HealthCheckResult>, reason?: string}>}
+ *   Readiness and, unless shutting down, the critical check results.
+ */
+async function getReadiness() {
+  if (lifecycle.isShuttingDown()) return { ready: false, status: "fail", reason: "shutting down" };
+  const { status, checks: results } = await runHealthChecks({ criticalOnly: true });
+  const ready = status !== "fail";
+  return { ready, status: ready ? "pass" : "fail", checks: results };
+}
+
+/**
+ * Reads the commit checked out in the project's `.git` directory.
+ *
+ * @returns {string|null} The SHA, or null if it can't be found.
+ * @throws {Error} If there is no readable `.git` directory.
+ */
+function readGitSha() {
+  const gitDir = path.resolve(__dirname, "../../.git");
+  const head = fs.readFileSync(path.join(gitDir, "HEAD"), "utf8").trim();
+  if (!head.startsWith("ref: ")) return head;
+
+  const ref = head.slice("ref: ".length);
+  const refFile = path.join(gitDir, ref);
+  if (fs.existsSync(refFile)) return fs.readFileSync(refFile, "utf8").trim();
+
+  const packed = fs.readFileSync(path.join(gitDir, "packed-refs"), "utf8")
+    .split("\n")
+    .find((line) => line.endsWith(` ${ref}`));
+  return packed ? packed.split(" ")[0] : null;
+}
+
+/**
+ * Resolves the commit SHA of the running code: `GIT_SHA` if set (e.g., at
+ * image build time), otherwise the commit checked out in `.git`, if present.
+ *
+ * @returns {string|null} The SHA, or null if unknown.
+ */
+function getGitSha() {
+  if (gitSha === undefined) {
+    try {
+      gitSha = env.gitSha || readGitSha();
+    } catch (err) {
+      gitSha = null;
+    }
+  }
+  return gitSha;
+}
+
+/**
+ * Builds the detailed health report: overall status, every check, and
+ * process information (version, commit, uptime, memory).
+ *
+ * @function getHealthReport
+ * @async
+ * @returns {Promise<Object>} The report.
+ */
+async function getHealthReport() {
+  const { status, checks: results } = await runHealthChecks({ detailed: true });
+  const memory = process.memoryUsage();
+  return {
+    status: lifecycle.isShuttingDown() ? "fail" : status,
+    service: env.serviceName,
+    version,
+    git_sha: getGitSha(),
+    environment: env.environment,
+    lifecycle: lifecycle.state,
+    uptime_s: Math.round(process.uptime()),
+    memory: {
+      rss_bytes: memory.rss,
+      heap_total_bytes: memory.heapTotal,
+      heap_used_bytes: memory.heapUsed,
+      external_bytes: memory.external,
+    },
+    checks: results,
+  };
+}
+
+/**
+ * MongoDB: a ping (with its latency) for every probe; connection pool figures
+ * from `serverStatus` for detailed reports, when the user may run it.
+ */
+registerHealthCheck("mongodb", async ({ detailed }) => {
+  if (!db.isReady()) throw new Error(`Database is ${db.state}`);
+
+  const started = process.hrtime.bigint();
+  await db._db.command({ ping: 1 });
+  const details = { latency_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100 };
+
+  if (detailed) {
+    try {
+      const { connections } = await db._db.command({ serverStatus: 1, repl: 0, metrics: 0, locks: 0 });
+      details.pool = {
+        max_size: db._db.client?.options?.maxPoolSize ?? null,
+        server_connections_current: connections?.current ?? null,
+        server_connections_available: connections?.available ?? null,
+      };
+    } catch (err) {
+      details.pool = { error: err.message };
+    }
+  }
+  return details;
+});
+
+module.exports = {
+  PROBE_PATH,
+  registerHealthCheck,
+  unregisterHealthCheck,
+  runHealthChecks,
+  getReadiness,
+  getHealthReport
+};
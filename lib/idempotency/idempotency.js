@@ -0,0 +1,248 @@
+/**
+ * @fileoverview `Idempotency-Key` support for non-idempotent requests (e.g., POST).
+ *
+ * A client that may retry a request sends a unique `Idempotency-Key` header.
+ * The first request with a key claims it in the `idempotency_keys` collection
+ * together with a fingerprint of the request (method, path and body) and, once
+ * handled, the response it produced. A retry with the same key and payload gets
+ * that stored response back (marked `Idempotent-Replayed: true`) instead of
+ * running the handler again; the same key with a different payload is refused
+ * with 422, and a retry while the first request is still running with 409.
+ *
+ * Keys are scoped to the authenticated user, so the middleware must run after
+ * `authenticate_user`. Records expire through a TTL index after
+ * `IDEMPOTENCY_TTL_HOURS` (see `lib/data/collection_specs.js`). Only final
+ * outcomes are stored: successes (2xx) and invalid requests (400, 422). For any
+ * other status (e.g., 404, 409, 412, 5xx), which a retry may not get again, the
+ * key is released so the retry runs the request.
+ */
+
+const crypto = require("crypto");
+const db = require("../data/db");
+const logger = require("../utilities/logger");
+const { createApiError } = require("../utilities/error_utils");
+const { getCollectionSpecs } = require("../data/collection_specs");
+
+/**
+ * Name of the MongoDB collection holding idempotency records.
+ * @type {string}
+ */
+const collectionName = "idempotency_keys";
+
+/**
+ * Longest accepted `Idempotency-Key` value.
+ * @type {number}
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Response headers stored with a record and sent again on replay.
+ * @type {string[]}
+ */
+const REPLAYED_HEADERS = ["content-type", "etag", "location", "preference-applied"];
+
+/**
+ * Error statuses stored and replayed like successes: the request itself is
+ * invalid, so running it again can't succeed.
+ * @type {Set<number>}
+ */
+const REPLAYED_ERROR_STATUSES = new Set([400, 422]);
+
+/**
+ * Index setup promises, one per database handle, so indexes are created once.
+ * @type {WeakMap<import("mongodb").Db, Promise<void>>}
+ */
+const indexSetup = new WeakMap();
+
+/**
+ * Returns the idempotency collection of the current database.
+ *
+ * @returns {import("mongodb").Collection} The collection.
+ */
+function getCollection() {
+  return db.collection(collectionName);
+}
+
+/**
+ * Creates the collection's indexes from its spec, once per database handle, so
+ * keys work even when the startup bootstrap is off. Conflicts with existing
+ * indexes are logged and left to the bootstrap to resolve.
+ *
+ * @function ensureIdempotencyIndexes
+ * @returns {Promise<void>} Resolves once the indexes exist.
+ */
+function ensureIdempotencyIndexes() {
+  if (!indexSetup.has(db._db)) {
+    const { indexes } = getCollectionSpecs()[collectionName];
+    const setup = getCollection().createIndexes(indexes).then(
+      () => undefined,
+      (err) => logger.warn("Could not create idempotency indexes", { error: err.message })
+    );
+    indexSetup.set(db._db, setup);
+  }
+  return indexSetup.get(db._db);
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal payloads
+ * produce equal fingerprints regardless of key order.
+ *
+ * @param {*} value - Value to serialize.
+ * @returns {string} Canonical JSON.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Computes the fingerprint of a request: a SHA-256 hash of its method, path and body.
+ *
+ * @function getRequestFingerprint
+ * @param {import("express").Request} req - The request.
+ * @returns {string} Hex-encoded fingerprint.
+ */
+function getRequestFingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+    .digest("hex");
+}
+
+/**
+ * Checks whether a response is final, and so stored for replay.
+ *
+ * @param {number} status - HTTP status of the response.
+ * @returns {boolean} True for 2xx, 400 and 422.
+ */
+function isReplayable(status) {
+  return (status >= 200 && status < 300) || REPLAYED_ERROR_STATUSES.has(status);
+}
+
+/**
+ * Sends a stored response again.
+ *
+ * @param {import("express").Response} res - The response.
+ * @param {{status: number, headers: Object<string, string>, body: string}} stored - The stored response.
+ */
+function replay(res, stored) {
+  res.status(stored.status).set(stored.headers).set("Idempotent-Replayed", "true");
+  res.send(stored.body);
+}
+
+/**
+ * Builds middleware that makes the route it guards idempotent per `Idempotency-Key`.
+ * Requests without the header are passed through unchanged.
+ *
+ * @function idempotent
+ * @returns {import("express").RequestHandler} Express middleware.
+ *
+ * @example
+ * router.post("/todo", authenticate_user, idempotent(), getRequestValidator({ body: "todo" }), handler);
+ */
+function idempotent() {
+  const middleware = async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return next(createApiError(400, `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, null, { code: "INVALID_IDEMPOTENCY_KEY" }));
+    }
+
+    try {
+      await ensureIdempotencyIndexes();
+      const collection = getCollection();
+      const owner_id = req.user ? req.user.id : null;
+      const fingerprint = getRequestFingerprint(req);
+
+      try {
+        await collection.insertOne({
+          owner_id,
+          key,
+          fingerprint,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          state: "processing",
+          created_at: new Date(),
+        });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        const existing = await collection.findOne({ owner_id, key });
+        if (!existing) {
+          return next(createApiError(409, "Idempotency-Key was just released; retry the request", null, { code: "IDEMPOTENCY_KEY_IN_USE" }));
+        }
+        if (existing.fingerprint !== fingerprint) {
+          logger.warn(`Idempotency-Key reused with a different payload by user ${owner_id}`);
+          return next(createApiError(422, "Idempotency-Key was already used for a different request", null, { code: "IDEMPOTENCY_KEY_REUSED" }));
+        }
+        if (existing.state !== "completed") {
+          return next(createApiError(409, "A request with this Idempotency-Key is still being processed", null, { code: "IDEMPOTENCY_KEY_IN_USE" }));
+        }
+        logger.info(`Replaying response for Idempotency-Key of user ${owner_id}`);
+        return replay(res, existing.response);
+      }
+
+      // Store the response before it is sent, so a retry arriving right after
+      // the client receives it always finds the completed record. `res.json`
+      // and object bodies reach this override again as a serialized string.
+      const send = res.send;
+      let settled = false;
+      res.send = function (body) {
+        if (settled || (body !== null && typeof body === "object" && !Buffer.isBuffer(body))) {
+          return send.call(this, body);
+        }
+        settled = true;
+
+        const done = () => send.call(this, body);
+        const write = !isReplayable(res.statusCode)
+          ? collection.deleteOne({ owner_id, key })
+          : collection.updateOne(
+              { owner_id, key },
+              {
+                $set: {
+                  state: "completed",
+                  response: {
+                    status: res.statusCode,
+                    headers: Object.fromEntries(REPLAYED_HEADERS.filter((name) => res.get(name)).map((name) => [name, res.get(name)])),
+                    body: Buffer.isBuffer(body) ? body.toString() : (body ?? ""),
+                  },
+                },
+              }
+            );
+        write.then(done, (err) => {
+          logger.error("Failed to store idempotent response", { error: err });
+          done();
+        });
+        return this;
+      };
+
+      // Release the key if the request ends without a response (e.g., the client disconnected).
+      res.on("close", () => {
+        if (!settled) {
+          collection.deleteOne({ owner_id, key, state: "processing" }).catch((err) => {
+            logger.error("Failed to release Idempotency-Key", { error: err });
+          });
+        }
+      });
+
+      next();
+    } catch (err) {
+      logger.error("Idempotency check failed", { error: err });
+      next(err);
+    }
+  };
+
+  /** Picked up by `lib/openapi/openapi.js` when generating the API document. */
+  middleware.openapi = { idempotent: true };
+  return middleware;
+}
+
+module.exports = {
+  idempotent,
+  ensureIdempotencyIndexes,
+  getRequestFingerprint
+};
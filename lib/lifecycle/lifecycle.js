@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Process lifecycle: tracks whether the service is running or
+ * shutting down, and performs an orderly shutdown.
+ *
+ * Shutdown runs in this order, so requests in flight are not cut off by a
+ * closed database:
+ * 1. Stop accepting connections (`server.close()`); the service reports
+ *    not-ready and responses ask keep-alive clients to disconnect.
+ * 2. Wait for in-flight requests to finish, up to `SHUTDOWN_TIMEOUT_MS`; then
+ *    close the connections that are still open.
+ * 3. Close the `Db` client.
+ *
+ * `bin/www` triggers it on SIGTERM, SIGINT, uncaught exceptions and unhandled rejections.
+ */
+
+const env = require("../environment/environment");
+const db = require("../data/db");
+const logger = require("../utilities/logger");
+
+/**
+ * @typedef {"running"|"draining"|"stopped"} LifecycleState
+ * - `"running"`: serving requests.
+ * - `"draining"`: shutting down; in-flight requests are finishing.
+ * - `"stopped"`: connections and the database are closed.
+ */
+
+/**
+ * @class Lifecycle
+ * @classdesc Holds the service's lifecycle state and runs the shutdown sequence once.
+ */
+class Lifecycle {
+  constructor() {
+    /**
+     * @private
+     * @type {LifecycleState}
+     */
+    this._state = "running";
+
+    /**
+     * The shutdown in progress, so repeated triggers join it.
+     * @private
+     * @type {Promise<void>|null}
+     */
+    this._shutdown = null;
+  }
+
+  /**
+   * The current lifecycle state.
+   *
+   * @type {LifecycleState}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Whether a shutdown has started; the service should report not-ready.
+   *
+   * @returns {boolean} True while draining and after shutdown.
+   */
+  isShuttingDown() {
+    return this._state !== "running";
+  }
+
+  /**
+   * Middleware that asks keep-alive clients to close their connection once a
+   * shutdown has started, so `server.close()` is not held up by idle sockets.
+   *
+   * @returns {import("express").RequestHandler} Express middleware.
+   */
+  closeConnectionsWhenDraining() {
+    return (req, res, next) => {
+      if (this.isShuttingDown()) res.set("Connection", "close");
+      next();
+    };
+  }
+
+  /**
+   * Shuts the service down in order: stop accepting connections, wait for
+   * in-flight requests (at most `timeoutMs`), then close the database.
+   * Calling it again while a shutdown is running returns the same promise.
+   *
+   * @async
+   * @param {Object} [options={}] - Shutdown options.
+   * @param {import("http").Server} [options.server] - Server to stop; omitted if none was started.
+   * @param {string} [options.reason="shutdown"] - Why the service is stopping, for the logs.
+   * @param {number} [options.timeoutMs=env.shutdownTimeoutMs] - Longest wait for in-flight requests.
+   * @returns {Promise<void>} Resolves once the database is closed. Never rejects; failures are logged.
+   */
+  shutdown(options = {}) {
+    if (!this._shutdown) {
+      this._shutdown = this._run(options);
+    }
+    return this._shutdown;
+  }
+
+  /**
+   * Runs the shutdown sequence.
+   *
+   * @private
+   * @async
+   * @param {{server?: import("http").Server, reason?: string, timeoutMs?: number}} options - See `shutdown`.
+   * @returns {Promise<void>}
+   */
+  async _run({ server, reason = "shutdown", timeoutMs = env.shutdownTimeoutMs }) {
+    this._state = "draining";
+    logger.info(`Shutting down (${reason}); draining in-flight requests for up to ${timeoutMs} ms`);
+
+    if (server && server.listening) {
+      await this._closeServer(server, timeoutMs);
+    }
+
+    try {
+      await db.close();
+    } catch (err) {
+      logger.error("Error while closing the database connection:", { error: err });
+    }
+    this._state = "stopped";
+    logger.info("Shutdown complete");
+  }
+
+  /**
+   * Stops the server from accepting connections and waits for open ones to
+   * finish; connections still open after `timeoutMs` are destroyed.
+   *
+   * @private
+   * @param {import("http").Server} server - The server.
+   * @param {number} timeoutMs - Longest wait.
+   * @returns {Promise<void>} Resolves once every connection is closed.
+   */
+  _closeServer(server, timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        logger.warn(`In-flight requests did not finish within ${timeoutMs} ms; closing their connections`);
+        server.closeAllConnections();
+      }, timeoutMs);
+
+      server.close((err) => {
+        clearTimeout(timer);
+        if (err) logger.error("Error while closing the server:", { error: err });
+        else logger.info("Server closed; no requests in flight");
+        resolve();
+      });
+      server.closeIdleConnections();
+    });
+  }
+}
+
+/**
+ * Singleton Lifecycle instance.
+ * @type {Lifecycle}
+ */
+module.exports = new Lifecycle();
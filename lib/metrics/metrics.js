@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Prometheus metrics, served in the text exposition format at `/metrics`.
+ *
+ * Collected:
+ * - HTTP requests: count and latency per method, route template and status,
+ *   and the number of requests in flight (`httpMetrics()` middleware)
+ * - Requests rejected by the rate limiter
+ * - Request validation failures, per request part and schema (`v1_schema/validation.js`)
+ * - MongoDB command durations from the driver's command monitoring, and
+ *   connection pool figures from its pool events (`monitorMongoClient()`, called by `Db`)
+ * - The Node.js process defaults of prom-client (CPU, memory, event loop lag, GC)
+ *
+ * Routes are labelled by their template (e.g., `/v1/todo/:id`), never by the
+ * raw URL, so IDs do not create a time series each; requests that match no
+ * route are labelled `unmatched`.
+ */
+
+const crypto = require("crypto");
+const client = require("prom-client");
+const env = require("../environment/environment");
+const { createApiError } = require("../utilities/error_utils");
+const { getRouteTemplate } = require("../utilities/request_context");
+
+/**
+ * Registry holding every metric of the service.
+ * @type {client.Registry}
+ */
+const registry = new client.Registry();
+
+if (env.metricsEnabled) {
+  client.collectDefaultMetrics({ register: registry });
+}
+
+/** @type {client.Counter<"method"|"route"|"status_code">} */
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by method, route template and status code.",
+  labelNames: ["method", "route", "status_code"],
+  registers: [registry],
+});
+
+/** @type {client.Histogram<"method"|"route"|"status_code">} */
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to handle HTTP requests, by method, route template and status code.",
+  labelNames: ["method", "route", "status_code"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+/** @type {client.Gauge} */
+const httpRequestsInFlight = new client.Gauge({
+  name: "http_requests_in_flight",
+  help: "HTTP requests currently being handled.",
+  registers: [registry],
+});
+
+/** @type {client.Counter} */
+const rateLimitRejections = new client.Counter({
+  name: "http_rate_limit_rejections_total",
+  help: "Requests rejected by the rate limiter.",
+  registers: [registry],
+});
+
+/** @type {client.Counter<"location"|"schema">} */
+const validationFailures = new client.Counter({
+  name: "request_validation_failures_total",
+  help: "Request validation failures, by request part (params, headers, query, body) and schema.",
+  labelNames: ["location", "schema"],
+  registers: [registry],
+});
+
+/** @type {client.Histogram<"command"|"status">} */
+const mongoCommandDuration = new client.Histogram({
+  name: "mongodb_command_duration_seconds",
+  help: "Duration of MongoDB commands, by command name and outcome (success or failure).",
+  labelNames: ["command", "status"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+/** @type {client.Gauge<"address">} */
+const mongoPoolConnections = new client.Gauge({
+  name: "mongodb_pool_connections",
+  help: "Open connections in the MongoDB connection pool, by server.",
+  labelNames: ["address"],
+  registers: [registry],
+});
+
+/** @type {client.Gauge<"address">} */
+const mongoPoolCheckedOut = new client.Gauge({
+  name: "mongodb_pool_connections_checked_out",
+  help: "MongoDB pool connections currently in use, by server.",
+  labelNames: ["address"],
+  registers: [registry],
+});
+
+/** @type {client.Gauge} */
+const mongoPoolMaxSize = new client.Gauge({
+  name: "mongodb_pool_max_size",
+  help: "Maximum number of connections in each MongoDB connection pool.",
+  registers: [registry],
+});
+
+/** @type {client.Counter<"reason">} */
+const mongoPoolCheckoutFailures = new client.Counter({
+  name: "mongodb_pool_checkout_failures_total",
+  help: "Failed attempts to check a connection out of the MongoDB pool, by reason.",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+/**
+ * Returns a middleware recording the count, latency and status of every
+ * request, and how many are in flight. Mount it before the routes.
+ *
+ * @function httpMetrics
+ * @returns {import('express').RequestHandler} Express middleware.
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    httpRequestsInFlight.inc();
+    const endTimer = httpRequestDuration.startTimer();
+
+    res.once("close", () => {
+      httpRequestsInFlight.dec();
+      const labels = { method: req.method, route: getRouteTemplate(req, res) ?? "unmatched", status_code: String(res.statusCode) };
+      endTimer(labels);
+      httpRequests.inc(labels);
+    });
+    next();
+  };
+}
+
+/**
+ * Compares a presented token with the expected one in constant time.
+ *
+ * @param {string} presented - Token from the request.
+ * @param {string} expected - Configured token.
+ * @returns {boolean} True if they match.
+ */
+function tokenMatches(presented, expected) {
+  const a = Buffer.from(presented);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Returns the handler serving the metrics in the Prometheus text format.
+ * When `METRICS_TOKEN` is set, scrapers must send it as a bearer token;
+ * otherwise the endpoint is open and should be kept off public networks.
+ *
+ * @function metricsHandler
+ * @returns {import('express').RequestHandler} Express handler.
+ */
+function metricsHandler() {
+  return async (req, res, next) => {
+    if (env.metricsToken) {
+      const [scheme, token] = (req.get("Authorization") || "").split(" ");
+      if (scheme !== "Bearer" || !token || !tokenMatches(token, env.metricsToken)) {
+        const err = createApiError(401, "A valid metrics token is required");
+        err.headers = { "WWW-Authenticate": 'Bearer realm="metrics"' };
+        return next(err);
+      }
+    }
+    res.set("Content-Type", registry.contentType).send(await registry.metrics());
+  };
+}
+
+/**
+ * Counts a request rejected by the rate limiter.
+ *
+ * @function recordRateLimitRejection
+ * @returns {void}
+ */
+function recordRateLimitRejection() {
+  rateLimitRejections.inc();
+}
+
+/**
+ * Counts a failed request validation.
+ *
+ * @function recordValidationFailure
+ * @param {"params"|"headers"|"query"|"body"} location - Part of the request that failed.
+ * @param {string} schema - Schema key, or `"inline"` for a schema given inline.
+ * @returns {void}
+ */
+function recordValidationFailure(location, schema) {
+  validationFailures.inc({ location, schema });
+}
+
+/**
+ * Subscribes to a MongoDB client's command monitoring and connection pool
+ * events. Command events are only emitted when the client was created with
+ * `monitorCommands: true` (see `Db.getClientOptions()`).
+ *
+ * @function monitorMongoClient
+ * @param {import('mongodb').MongoClient} mongoClient - The client.
+ * @returns {void}
+ */
+function monitorMongoClient(mongoClient) {
+  const maxPoolSize = mongoClient.options?.maxPoolSize;
+  if (typeof maxPoolSize === "number") mongoPoolMaxSize.set(maxPoolSize);
+
+  mongoClient.on("commandSucceeded", (event) => {
+    mongoCommandDuration.observe({ command: event.commandName, status: "success" }, event.duration / 1000);
+  });
+  mongoClient.on("commandFailed", (event) => {
+    mongoCommandDuration.observe({ command: event.commandName, status: "failure" }, event.duration / 1000);
+  });
+
+  mongoClient.on("connectionCreated", (event) => mongoPoolConnections.inc({ address: event.address }));
+  mongoClient.on("connectionClosed", (event) => mongoPoolConnections.dec({ address: event.address }));
+  mongoClient.on("connectionCheckedOut", (event) => mongoPoolCheckedOut.inc({ address: event.address }));
+  mongoClient.on("connectionCheckedIn", (event) => mongoPoolCheckedOut.dec({ address: event.address }));
+  mongoClient.on("connectionCheckOutFailed", (event) => mongoPoolCheckoutFailures.inc({ reason: event.reason }));
+}
+
+module.exports = {
+  registry,
+  httpMetrics,
+  metricsHandler,
+  recordRateLimitRejection,
+  recordValidationFailure,
+  monitorMongoClient
+};
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Versioned database migrations.
+ *
+ * Migrations are numbered scripts in `/migrations` (e.g., `0001_backfill_todo_version.js`)
+ * that export `up(database)` and `down(database)`. Applied migrations are
+ * recorded in the `migrations` collection, so each runs once per database and
+ * `down` reverts them newest first.
+ *
+ * Runs hold a lock (a single document in `migration_locks`) for their whole
+ * duration, so instances started together don't apply the same migration twice.
+ * A lock older than `MIGRATION_LOCK_TIMEOUT_SECONDS` is considered abandoned
+ * (e.g., its process crashed) and may be taken over.
+ *
+ * Run them with `npm run migrate -- up|down|status` (see `bin/migrate`).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const env = require("../environment/environment");
+const logger = require("../utilities/logger");
+
+/**
+ * Default directory holding the migration scripts.
+ * @type {string}
+ */
+const MIGRATIONS_DIR = path.resolve(__dirname, "../../migrations");
+
+/**
+ * Collection recording applied migrations.
+ * @type {string}
+ */
+const MIGRATIONS_COLLECTION = "migrations";
+
+/**
+ * Collection holding the migration lock.
+ * @type {string}
+ */
+const LOCK_COLLECTION = "migration_locks";
+
+/**
+ * `_id` of the lock document.
+ * @type {string}
+ */
+const LOCK_ID = "migrate";
+
+/**
+ * Migration file names: a four-digit number, then a snake_case name.
+ * @type {RegExp}
+ */
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} id - File name without extension (e.g., `"0001_backfill_todo_version"`); the recorded identity.
+ * @property {number} number - Sequence number; migrations run in ascending order.
+ * @property {string} [description] - What the migration does.
+ * @property {function(import("mongodb").Db): Promise<void>} up - Applies the migration.
+ * @property {function(import("mongodb").Db): Promise<void>} down - Reverts it.
+ */
+
+/**
+ * @typedef {Object} MigrationStatus
+ * @property {string} id - Migration id.
+ * @property {"applied"|"pending"|"missing"} state - `"missing"` when it was applied but its script no longer exists.
+ * @property {Date|null} applied_at - When it was applied.
+ * @property {string} [description] - What the migration does.
+ */
+
+/**
+ * Builds an error raised by a migration run.
+ *
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable code (e.g., `"MIGRATION_LOCKED"`).
+ * @returns {Error} The error.
+ */
+function migrationError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Loads the migration scripts of a directory, sorted by number.
+ *
+ * @function loadMigrations
+ * @param {string} [directory=MIGRATIONS_DIR] - Directory of migration scripts.
+ * @returns {Migration[]} The migrations.
+ * @throws {Error} If a file is misnamed, two share a number, or a script lacks `up`/`down`.
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  if (!fs.existsSync(directory)) return [];
+
+  const migrations = fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".js"))
+    .map((file) => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) throw migrationError(`Migration ${file} must be named NNNN_snake_case_name.js`, "INVALID_MIGRATION");
+
+      const script = require(path.join(directory, file));
+      if (typeof script.up !== "function" || typeof script.down !== "function") {
+        throw migrationError(`Migration ${file} must export up() and down()`, "INVALID_MIGRATION");
+      }
+      return { id: file.slice(0, -3), number: Number(match[1]), description: script.description, up: script.up, down: script.down };
+    })
+    .sort((a, b) => a.number - b.number);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.number === migrations[index - 1].number) {
+      throw migrationError(`Migrations ${migrations[index - 1].id} and ${migration.id} share a number`, "INVALID_MIGRATION");
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Reports which migrations are applied, pending, or applied but missing their script.
+ *
+ * @function getMigrationStatus
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {Migration[]} migrations - Known migrations, from `loadMigrations`.
+ * @returns {Promise<MigrationStatus[]>} One entry per migration, in order, then missing ones.
+ */
+async function getMigrationStatus(database, migrations) {
+  const records = await database.collection(MIGRATIONS_COLLECTION).find({}).sort({ _id: 1 }).toArray();
+  const applied = new Map(records.map((record) => [record._id, record]));
+
+  const status = migrations.map(({ id, description }) => ({
+    id,
+    state: applied.has(id) ? "applied" : "pending",
+    applied_at: applied.has(id) ? applied.get(id).applied_at : null,
+    description,
+  }));
+  const known = new Set(migrations.map(({ id }) => id));
+  for (const record of records.filter((candidate) => !known.has(candidate._id))) {
+    status.push({ id: record._id, state: "missing", applied_at: record.applied_at, description: record.description });
+  }
+  return status;
+}
+
+/**
+ * Takes the migration lock, or takes over one that has expired.
+ *
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {string} owner - Identifier of this run.
+ * @returns {Promise<void>}
+ * @throws {Error} `MIGRATION_LOCKED` if another run holds the lock.
+ */
+async function acquireLock(database, owner) {
+  const now = new Date();
+  try {
+    await database.collection(LOCK_COLLECTION).findOneAndUpdate(
+      { _id: LOCK_ID, expires_at: { $lte: now } },
+      {
+        $set: {
+          owner,
+          host: os.hostname(),
+          pid: process.pid,
+          acquired_at: now,
+          expires_at: new Date(now.getTime() + env.migrationLockTimeoutSeconds * 1000),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const lock = await database.collection(LOCK_COLLECTION).findOne({ _id: LOCK_ID });
+    const holder = lock ? ` by ${lock.host} (pid ${lock.pid}) since ${lock.acquired_at.toISOString()}` : "";
+    throw migrationError(`Migrations are locked${holder}`, "MIGRATION_LOCKED");
+  }
+}
+
+/**
+ * Extends the lock before the next migration, so long runs keep it.
+ *
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {string} owner - Identifier of this run.
+ * @returns {Promise<void>}
+ * @throws {Error} `MIGRATION_LOCK_LOST` if another run took the lock over.
+ */
+async function renewLock(database, owner) {
+  const result = await database.collection(LOCK_COLLECTION).updateOne(
+    { _id: LOCK_ID, owner },
+    { $set: { expires_at: new Date(Date.now() + env.migrationLockTimeoutSeconds * 1000) } }
+  );
+  if (result.matchedCount === 0) {
+    throw migrationError("The migration lock expired and was taken by another run", "MIGRATION_LOCK_LOST");
+  }
+}
+
+/**
+ * Runs a task while holding the migration lock.
+ *
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {function(function(): Promise<void>): Promise<*>} task - Receives a function that renews the lock.
+ * @returns {Promise<*>} The task's result.
+ */
+async function withLock(database, task) {
+  const owner = crypto.randomUUID();
+  await acquireLock(database, owner);
+  try {
+    return await task(() => renewLock(database, owner));
+  } finally {
+    await database.collection(LOCK_COLLECTION).deleteOne({ _id: LOCK_ID, owner }).catch((err) => {
+      logger.error("Failed to release the migration lock", { error: err });
+    });
+  }
+}
+
+/**
+ * Finds a migration by id or number.
+ *
+ * @param {Migration[]} migrations - Known migrations.
+ * @param {string|number} target - Id (`"0002_add_x"`) or number (`2`, `"0002"`).
+ * @returns {Migration} The migration.
+ * @throws {Error} `UNKNOWN_MIGRATION` if there is none.
+ */
+function findMigration(migrations, target) {
+  const migration = migrations.find(({ id, number }) => id === String(target) || number === Number(target));
+  if (!migration) throw migrationError(`Unknown migration ${target}`, "UNKNOWN_MIGRATION");
+  return migration;
+}
+
+/**
+ * Applies pending migrations in order. Stops at the first failure: migrations
+ * applied before it stay recorded, the failed one is not.
+ *
+ * @function migrateUp
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {Migration[]} migrations - Known migrations, from `loadMigrations`.
+ * @param {{to?: string|number}} [options={}] - `to` stops after that migration (id or number).
+ * @returns {Promise<string[]>} Ids of the migrations applied.
+ * @throws {Error} `MIGRATION_LOCKED` if another run holds the lock, or the failing migration's error.
+ *
+ * @example
+ * await migrateUp(db._db, loadMigrations());
+ */
+async function migrateUp(database, migrations, options = {}) {
+  const last = options.to === undefined ? Infinity : findMigration(migrations, options.to).number;
+
+  return withLock(database, async (renew) => {
+    const records = database.collection(MIGRATIONS_COLLECTION);
+    const applied = new Set((await records.find({}, { projection: { _id: 1 } }).toArray()).map(({ _id }) => _id));
+    const pending = migrations.filter(({ id, number }) => !applied.has(id) && number <= last);
+
+    const done = [];
+    for (const migration of pending) {
+      await renew();
+      logger.info(`Applying migration ${migration.id}`);
+      const started = Date.now();
+      await migration.up(database);
+      await records.insertOne({
+        _id: migration.id,
+        description: migration.description,
+        applied_at: new Date(),
+        duration_ms: Date.now() - started,
+      });
+      done.push(migration.id);
+    }
+    logger.info(done.length ? `Applied ${done.length} migration(s)` : "No pending migrations");
+    return done;
+  });
+}
+
+/**
+ * Reverts applied migrations, newest first. Stops at the first failure.
+ *
+ * @function migrateDown
+ * @async
+ * @param {import("mongodb").Db} database - The database.
+ * @param {Migration[]} migrations - Known migrations, from `loadMigrations`.
+ * @param {{steps?: number, to?: string|number}} [options={}] - Revert `steps` migrations (default 1),
+ *   or every migration after `to` (id or number; `0` reverts all).
+ * @returns {Promise<string[]>} Ids of the migrations reverted.
+ * @throws {Error} `MIGRATION_LOCKED` if another run holds the lock, `MIGRATION_MISSING` if an applied
+ *   migration to revert has no script, or the failing migration's error.
+ */
+async function migrateDown(database, migrations, options = {}) {
+  const { steps = 1, to } = options;
+  const floor = to === undefined || Number(to) === 0 ? null : findMigration(migrations, to).number;
+
+  return withLock(database, async (renew) => {
+    const records = database.collection(MIGRATIONS_COLLECTION);
+    const applied = (await records.find({}, { projection: { _id: 1 } }).toArray()).map(({ _id }) => _id).sort().reverse();
+    const targets = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter((id) => floor === null || Number(id.slice(0, 4)) > floor);
+
+    const done = [];
+    for (const id of targets) {
+      const migration = migrations.find((candidate) => candidate.id === id);
+      if (!migration) throw migrationError(`Cannot revert ${id}: its script is missing`, "MIGRATION_MISSING");
+
+      await renew();
+      logger.info(`Reverting migration ${id}`);
+      await migration.down(database);
+      await records.deleteOne({ _id: id });
+      done.push(id);
+    }
+    logger.info(done.length ? `Reverted ${done.length} migration(s)` : "No migrations to revert");
+    return done;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown
+};
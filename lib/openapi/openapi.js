@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Builds an OpenAPI 3.1 document from the routes registered on an
+ * Express router, so the API reference can't drift from the code.
+ *
+ * Middleware contributes to the document through an `openapi` metadata property:
+ * - `getRequestValidator` attaches the params/headers/query/body schemas.
+ * - `authenticate_user` marks the operation as bearer-authenticated.
+ * - `requireRole`/`requirePermission` record the roles and permission required.
+ * - `idempotent` adds the optional `Idempotency-Key` header.
+ * - `describeRoute` adds a summary, description, tags, and response schemas.
+ *
+ * Everything is derived in-process from the route table and `v1_schema`, so
+ * generation needs no network access.
+ */
+
+const env = require("../environment/environment");
+const { ERROR_CODES } = require("../utilities/error_utils");
+const { version } = require("../../package.json");
+
+/**
+ * @typedef {Object} RouteDescription
+ * @property {string} [summary] - One-line operation summary.
+ * @property {string} [description] - Longer operation description (Markdown).
+ * @property {string[]} [tags] - Tags used to group operations.
+ * @property {string} [operationId] - Unique operation identifier.
+ * @property {boolean} [hidden=false] - Exclude the route from the document.
+ * @property {Object<string, string|object>} [requestBody] - Request body schemas by media type,
+ *   for routes whose body is not validated by `getRequestValidator` (e.g., PATCH).
+ * @property {Object<string, {description: string, schema?: string|object, headers?: Object}>} [responses] -
+ *   Success responses by status code; `schema` is a key in the version's `schema.js` or an inline schema.
+ */
+
+/**
+ * Returns a pass-through middleware that documents the route it is attached to.
+ *
+ * @function describeRoute
+ * @param {RouteDescription} description - Operation documentation.
+ * @returns {import('express').RequestHandler} No-op middleware carrying the description.
+ *
+ * @example
+ * app.get('/v1/todo/:id', describeRoute({ summary: 'Get a todo', tags: ['todo'],
+ *   responses: { 200: { description: 'The todo', schema: 'todo_document' } } }), handler);
+ */
+function describeRoute(description) {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = { description };
+  return middleware;
+}
+
+/**
+ * JSON Schema of the error envelope produced by the central error handler.
+ * @type {object}
+ */
+const errorSchema = {
+  type: "object",
+  required: ["error"],
+  properties: {
+    error: {
+      type: "object",
+      required: ["code", "message"],
+      properties: {
+        code: { type: "string", examples: ["VALIDATION_FAILED"] },
+        message: { type: "string" },
+        details: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              location: { type: "string", enum: ["params", "headers", "query", "body"] },
+              path: { type: "string" },
+              keyword: { type: "string" },
+              params: { type: "object" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Converts an Express path (`/v1/todo/:id`) to an OpenAPI path template (`/v1/todo/{id}`).
+ *
+ * @param {string} path - Express route path.
+ * @returns {string} OpenAPI path.
+ */
+function toOpenApiPath(path) {
+  return path.replace(/\/$/, "").replace(/:([A-Za-z0-9_]+)/g, "{$1}") || "/";
+}
+
+/**
+ * Merges the `openapi` metadata of every handler on a route.
+ *
+ * @param {Array<{handle: Function}>} stack - Route layer stack.
+ * @returns {{authenticated?: boolean, roles?: string[], permission?: string, idempotent?: boolean, validation?: Object, description?: RouteDescription}} Merged metadata.
+ */
+function collectMetadata(stack) {
+  return stack.reduce((meta, layer) => {
+    const extra = layer.handle && layer.handle.openapi;
+    if (!extra) return meta;
+    return {
+      ...meta,
+      ...extra,
+      ...(extra.validation && meta.validation && {
+        validation: { schemas: { ...meta.validation.schemas, ...extra.validation.schemas }, spec: { ...meta.validation.spec, ...extra.validation.spec } },
+      }),
+    };
+  }, {});
+}
+
+/**
+ * Produces a schema reference when the value names a known component, otherwise the inline schema.
+ *
+ * @param {string|object} ref - Schema key or inline schema.
+ * @param {Object<string, object>} components - Known component schemas.
+ * @returns {object} `$ref` object or inline schema.
+ */
+function schemaOrRef(ref, components) {
+  if (typeof ref === "string" && Object.hasOwn(components, ref)) {
+    return { $ref: `#/components/schemas/${ref}` };
+  }
+  return typeof ref === "string" ? {} : ref;
+}
+
+/**
+ * Builds OpenAPI parameter objects for one request part from its JSON Schema.
+ *
+ * @param {"path"|"header"|"query"} location - OpenAPI parameter location.
+ * @param {object|undefined} schema - JSON Schema of that request part.
+ * @param {string[]} [pathNames=[]] - Names of path parameters present in the route template.
+ * @returns {Array<object>} Parameter objects.
+ */
+function buildParameters(location, schema, pathNames = []) {
+  const properties = (schema && schema.properties) || {};
+  const required = (schema && schema.required) || [];
+  const names = location === "path" ? [...new Set([...pathNames, ...Object.keys(properties)])] : Object.keys(properties);
+
+  return names.map((name) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    schema: properties[name] || { type: "string" },
+  }));
+}
+
+/**
+ * Builds one OpenAPI operation object for a route method.
+ *
+ * @param {string} method - Lower-case HTTP method.
+ * @param {string} path - Express route path.
+ * @param {ReturnType<typeof collectMetadata>} meta - Route metadata.
+ * @param {Object<string, object>} components - Known component schemas.
+ * @returns {object} Operation object.
+ */
+function buildOperation(method, path, meta, components) {
+  const description = meta.description || {};
+  const validation = meta.validation || { spec: {}, schemas: {} };
+  const pathNames = [...path.matchAll(/:([A-Za-z0-9_]+)/g)].map((m) => m[1]);
+
+  const operation = {
+    ...(description.operationId && { operationId: description.operationId }),
+    ...(description.summary && { summary: description.summary }),
+    ...(description.tags && { tags: description.tags }),
+  };
+
+  const notes = [description.description];
+  if (meta.roles) {
+    notes.push(`Requires ${meta.permission ? `permission \`${meta.permission}\` ` : ""}(roles: ${meta.roles.join(", ")}).`);
+    operation["x-permission"] = meta.permission;
+    operation["x-roles"] = meta.roles;
+  }
+  const text = notes.filter(Boolean).join("\n\n");
+  if (text) operation.description = text;
+
+  const parameters = [
+    ...buildParameters("path", validation.schemas.params, pathNames),
+    ...buildParameters("header", validation.schemas.headers),
+    ...buildParameters("query", validation.schemas.query),
+  ];
+  if (meta.idempotent) {
+    parameters.push({
+      name: "Idempotency-Key",
+      in: "header",
+      required: false,
+      description: "Unique key; a retry with the same key and payload replays the original response",
+      schema: { type: "string", maxLength: 255 },
+    });
+  }
+  if (parameters.length) operation.parameters = parameters;
+
+  if (validation.schemas.body) {
+    const body = validation.spec.bodyMode === "partial" || typeof validation.spec.body !== "string"
+      ? validation.schemas.body
+      : schemaOrRef(validation.spec.body, components);
+    operation.requestBody = { required: true, content: { "application/json": { schema: body } } };
+  } else if (description.requestBody) {
+    const content = Object.fromEntries(
+      Object.entries(description.requestBody).map(([type, ref]) => [type, { schema: schemaOrRef(ref, components) }])
+    );
+    operation.requestBody = { required: true, content };
+  }
+
+  const responses = {};
+  const documented = description.responses || {
+    [method === "post" ? 201 : method === "delete" || method === "put" ? 204 : 200]: { description: "Success" },
+  };
+  for (const [status, response] of Object.entries(documented)) {
+    responses[status] = {
+      description: response.description,
+      ...(response.headers && { headers: response.headers }),
+      ...(response.schema && { content: { "application/json": { schema: schemaOrRef(response.schema, components) } } }),
+    };
+  }
+
+  const errorStatuses = [];
+  if (validation.schemas.params || validation.schemas.headers || validation.schemas.query || meta.idempotent) errorStatuses.push(400);
+  if (meta.authenticated) errorStatuses.push(401);
+  if (meta.roles) errorStatuses.push(403);
+  if (pathNames.length) errorStatuses.push(404);
+  if (meta.idempotent) errorStatuses.push(409);
+  if (validation.schemas.body || meta.idempotent) errorStatuses.push(422);
+  for (const status of errorStatuses.filter((code) => !responses[code])) {
+    responses[status] = {
+      description: ERROR_CODES[status],
+      content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+    };
+  }
+  operation.responses = responses;
+
+  if (meta.authenticated) operation.security = [{ bearerAuth: [] }];
+  return operation;
+}
+
+/**
+ * Builds an OpenAPI 3.1 document from the routes registered on a router.
+ *
+ * @function buildOpenApiDocument
+ * @param {import('express').Router} router - Router whose route table is documented (e.g., `app.router`).
+ * @param {Object} options - Generation options.
+ * @param {Object<string, object>} options.schemas - Schema map exposed as `components.schemas` (a version's `schema.js`).
+ * @param {string} [options.pathPrefix=""] - Only document routes under this path prefix.
+ * @param {string} [options.basePath=""] - Prefix prepended to each documented route path (for mounted routers).
+ * @param {string} [options.title] - Document title; defaults to the service name.
+ * @returns {object} The OpenAPI document.
+ */
+function buildOpenApiDocument(router, options) {
+  const { schemas, pathPrefix = "", basePath = "", title = env.serviceName } = options;
+  const components = JSON.parse(JSON.stringify(schemas));
+  const paths = {};
+
+  for (const layer of router.stack) {
+    if (!layer.route || typeof layer.route.path !== "string") continue;
+    const routePath = `${basePath}${layer.route.path}`;
+    if (!routePath.startsWith(pathPrefix)) continue;
+
+    const meta = collectMetadata(layer.route.stack);
+    if (meta.description && meta.description.hidden) continue;
+
+    const openApiPath = toOpenApiPath(routePath);
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === "_all") continue;
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = buildOperation(method, routePath, meta, components);
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title, version },
+    jsonSchemaDialect: "http://json-schema.org/draft-07/schema#",
+    paths,
+    components: {
+      schemas: { ...components, Error: errorSchema },
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+    },
+  };
+}
+
+module.exports = {
+  describeRoute,
+  buildOpenApiDocument
+};
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Factory that generates a CRUD data module and its route set
+ * from a schema key and collection name, so new collections don't need a
+ * hand-copied `*_module.js` and `*_routes_index.js`.
+ *
+ * The generated route registrar has the same `(router, api) => void` shape as
+ * the hand-written route files. Exporting the result of `createResource` from a
+ * `*_routes_index.js` file is enough for the version loader in
+ * `lib/versioning/api_versions.js` to register it.
+ *
+ * @example
+ * // v1_routes/note_routes/note_routes_index.js
+ * const { createResource } = require("../../lib/resources/resource_factory");
+ *
+ * module.exports = createResource({
+ *   schemaKey: "note",
+ *   collectionName: "notes",
+ *   ownership: true,
+ *   softDelete: true,
+ *   permissions: { read: "note:read", write: "note:write", delete: "note:delete" },
+ * });
+ */
+
+const { authenticate_user } = require("../auth/authenticate_user");
+const { requirePermission } = require("../auth/authorize_user");
+const { createApiError } = require("../utilities/error_utils");
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, applyMergePatch, applyJsonPatch } = require("../utilities/patch_utils");
+const { getReturnPreference } = require("../utilities/prefer_utils");
+const { describeRoute } = require("../openapi/openapi");
+const { idempotent } = require("../idempotency/idempotency");
+const ResourceModule = require("./resource_module");
+const logger = require("../utilities/logger");
+
+/**
+ * @typedef {Object} ResourceOptions
+ * @property {string} schemaKey - Key of the body schema in the version's `schema.js`.
+ * @property {string} collectionName - MongoDB collection backing the resource.
+ * @property {string} [path] - Base route path relative to the version prefix; defaults to `/<collectionName>`.
+ * @property {string} [name] - Human-readable singular name used in messages; defaults to `schemaKey`.
+ * @property {{read: string, write: string, delete: string}} permissions - Permission names
+ *   (from `lib/auth/permissions.js`) required per operation: `read` for GET, `write` for
+ *   POST, PUT and PATCH, `delete` for DELETE. All three are required, so nothing is open
+ *   by default.
+ * @property {boolean} [ownership=false] - Stamp and scope documents by `owner_id`.
+ * @property {string} [ownerOverridePermission] - Permission that bypasses ownership scoping;
+ *   defaults to `"<name>:any_owner"`.
+ * @property {boolean} [softDelete=false] - Mark documents deleted instead of removing them.
+ * @property {{getRequestValidator: Function, validateBody: Function}} [validation] - Validation
+ *   module to use; defaults to the mounting version's `validation.js`
+ *   (or `v1_schema/validation.js` when registered without a version).
+ */
+
+/**
+ * Operations that each require a permission.
+ * @type {Array<"read"|"write"|"delete">}
+ */
+const OPERATIONS = ["read", "write", "delete"];
+
+/**
+ * Responds with a written document: 200 with the document as stored, or 204
+ * without a body when the client sent `Prefer: return=minimal`.
+ *
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @param {Object} doc - The document as stored after the write.
+ */
+function sendWritten(req, res, doc) {
+  if (getReturnPreference(req.get("Prefer")) === "minimal") {
+    res.set("Preference-Applied", "return=minimal");
+    return res.sendStatus(204);
+  }
+  res.json(doc);
+}
+
+/**
+ * Creates a generic data module for a collection.
+ *
+ * @function createResourceModule
+ * @param {ResourceOptions} options - Resource options.
+ * @returns {ResourceModule} The module instance.
+ */
+function createResourceModule(options) {
+  if (!options || !options.collectionName) {
+    throw new Error("createResourceModule requires a collectionName");
+  }
+  return new ResourceModule({ ...options, name: options.name || options.schemaKey });
+}
+
+/**
+ * Creates the GET/POST/PUT/PATCH/DELETE route registrar for a resource module.
+ *
+ * Routes:
+ * - `GET    <path>`     – page of documents (`limit`, `after`)
+ * - `GET    <path>/:id` – single document
+ * - `POST   <path>`     – create; body validated in "strict" mode
+ * - `PUT    <path>/:id` – full replacement; body validated in "strict" mode
+ * - `PATCH  <path>/:id` – merge patch (RFC 7396) or JSON Patch (RFC 6902); the
+ *   patched document is re-validated in "strict" mode
+ * - `DELETE <path>/:id` – delete (or soft delete)
+ *
+ * PUT and PATCH respond 200 with the document as stored, or 204 with `Prefer: return=minimal`.
+ * Every route runs `authenticate_user` and then requires the operation's permission,
+ * so requests without an authenticated user are rejected.
+ *
+ * @function createResourceRoutes
+ * @param {ResourceModule} resource - The module produced by `createResourceModule`.
+ * @param {ResourceOptions} options - Resource options.
+ * @returns {(router: import('express').Router, api?: import('../versioning/api_versions').ApiVersion) => void} Route registrar.
+ * @throws {Error} If `schemaKey` or a permission is missing, or a permission is not in the policy map.
+ */
+function createResourceRoutes(resource, options) {
+  if (!options || !options.schemaKey) {
+    throw new Error("createResourceRoutes requires a schemaKey");
+  }
+
+  const { schemaKey, path = `/${options.collectionName}`, permissions = {} } = options;
+  const missing = OPERATIONS.filter((operation) => !permissions[operation]);
+  if (missing.length) {
+    throw new Error(`createResourceRoutes requires a permission for: ${missing.join(", ")}`);
+  }
+  const label = options.name || schemaKey;
+  const title = `${label.charAt(0).toUpperCase()}${label.slice(1)}`;
+  const notFound = `${title} not found`;
+
+  /**
+   * Middleware chain guarding each operation: authentication, then its permission.
+   * Built up front so an unknown permission fails when the resource is created.
+   * @type {Object<string, import('express').RequestHandler[]>}
+   */
+  const guards = Object.fromEntries(
+    OPERATIONS.map((operation) => [operation, [authenticate_user, requirePermission(permissions[operation])]])
+  );
+
+  return (router, api) => {
+    const validation = options.validation || (api && api.validation) || require("../../v1_schema/validation");
+
+    router.get(
+      path,
+      describeRoute({ summary: `List ${label} documents`, tags: [label] }),
+      ...guards.read,
+      validation.getRequestValidator({ query: "resource_query" }),
+      async (req, res, next) => {
+        try {
+          res.json(await resource.list(req.user, req.query));
+        } catch (err) {
+          logger.error(`Failed to list ${label} documents`, { error: err });
+          next(err);
+        }
+      }
+    );
+
+    router.get(
+      `${path}/:id`,
+      describeRoute({
+        summary: `Get a ${label}`,
+        tags: [label],
+        responses: { 200: { description: `The ${label}`, schema: schemaKey } },
+      }),
+      ...guards.read,
+      validation.getRequestValidator({ params: "id_params" }),
+      async (req, res, next) => {
+        try {
+          const doc = await resource.getById(req.params.id, req.user);
+          if (!doc) return next(createApiError(404, notFound));
+          res.json(doc);
+        } catch (err) {
+          logger.error(`Failed to get ${label}`, { error: err });
+          next(err);
+        }
+      }
+    );
+
+    router.post(
+      path,
+      describeRoute({
+        summary: `Create a ${label}`,
+        tags: [label],
+        responses: { 201: { description: `The created ${label}`, schema: schemaKey } },
+      }),
+      ...guards.write,
+      idempotent(),
+      validation.getRequestValidator({ body: schemaKey }),
+      async (req, res, next) => {
+        try {
+          res.status(201).json(await resource.create(req.body, req.user));
+        } catch (err) {
+          logger.error(`Failed to create ${label}`, { error: err });
+          next(err);
+        }
+      }
+    );
+
+    router.put(
+      `${path}/:id`,
+      describeRoute({
+        summary: `Replace a ${label}`,
+        tags: [label],
+        responses: {
+          200: { description: `The replaced ${label}`, schema: schemaKey },
+          204: { description: `${title} replaced (\`Prefer: return=minimal\`)` },
+        },
+      }),
+      ...guards.write,
+      validation.getRequestValidator({ params: "id_params", body: schemaKey }),
+      async (req, res, next) => {
+        try {
+          const doc = await resource.replace(req.params.id, req.body, req.user);
+          if (!doc) return next(createApiError(404, notFound));
+          sendWritten(req, res, doc);
+        } catch (err) {
+          logger.error(`Failed to replace ${label}`, { error: err });
+          next(err);
+        }
+      }
+    );
+
+    router.patch(
+      `${path}/:id`,
+      describeRoute({
+        summary: `Patch a ${label}`,
+        tags: [label],
+        requestBody: {
+          [MERGE_PATCH_TYPE]: { type: "object", description: "RFC 7396 merge patch" },
+          [JSON_PATCH_TYPE]: { type: "array", description: "RFC 6902 JSON Patch operations" },
+        },
+        responses: {
+          200: { description: `The patched ${label}`, schema: schemaKey },
+          204: { description: `${title} patched (\`Prefer: return=minimal\`)` },
+        },
+      }),
+      ...guards.write,
+      validation.getRequestValidator({ params: "id_params" }),
+      async (req, res, next) => {
+        try {
+          const type = req.is(MERGE_PATCH_TYPE, JSON_PATCH_TYPE);
+          if (!type) return next(createApiError(415, `PATCH requires ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`));
+          const apply = type === JSON_PATCH_TYPE ? applyJsonPatch : applyMergePatch;
+
+          const doc = await resource.patch(
+            req.params.id,
+            (fields) => validation.validateBody(schemaKey, apply(fields, req.body)),
+            req.user
+          );
+          if (!doc) return next(createApiError(404, notFound));
+          sendWritten(req, res, doc);
+        } catch (err) {
+          logger.error(`Failed to patch ${label}`, { error: err });
+          next(err);
+        }
+      }
+    );
+
+    router.delete(
+      `${path}/:id`,
+      describeRoute({ summary: `Delete a ${label}`, tags: [label] }),
+      ...guards.delete,
+      validation.getRequestValidator({ params: "id_params" }),
+      async (req, res, next) => {
+        try {
+          const found = await resource.delete(req.params.id, req.user);
+          if (!found) return next(createApiError(404, notFound));
+          res.sendStatus(204);
+        } catch (err) {
+          logger.error(`Failed to delete ${label}`, { error: err });
+          next(err);
+        }
+      }
+    );
+
+    logger.debug(`Registered ${label} resource routes at ${api ? api.basePath : ""}${path}`);
+  };
+}
+
+/**
+ * Creates both the module and the route registrar for a resource.
+ *
+ * @function createResource
+ * @param {ResourceOptions} options - Resource options.
+ * @returns {{module: ResourceModule, routes: Function}} The generated pieces.
+ */
+function createResource(options) {
+  const resource = createResourceModule(options);
+  return { module: resource, routes: createResourceRoutes(resource, options) };
+}
+
+module.exports = {
+  createResource,
+  createResourceModule,
+  createResourceRoutes
+};
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Generic CRUD data module for a single MongoDB collection.
+ * Instances are produced by `resource_factory.js` and mirror the shape of the
+ * hand-written todo module: list, getById, create, update, replace, patch and
+ * delete, with optional per-user ownership scoping and soft deletion.
+ *
+ * Like todos, every write increments the document's `version` counter and
+ * stamps `date_modified`; `rewrite` writes only if the version it read is still
+ * current, so concurrent updates are not lost.
+ */
+
+const db = require("../data/db");
+const { castObjectId } = require("../utilities/mongo_utils");
+const { createApiError } = require("../utilities/error_utils");
+const { getVersion, versionFilter } = require("../utilities/etag_utils");
+const { hasPermission } = require("../auth/authorize_user");
+const { omit } = require("lodash");
+const logger = require("../utilities/logger");
+
+/**
+ * Fields maintained by the module rather than supplied by clients.
+ * `rewrite` never lets a client change them.
+ * @type {string[]}
+ */
+const SYSTEM_FIELDS = ["_id", "owner_id", "date_created", "date_modified", "version", "deleted_at", "deleted_by"];
+
+/**
+ * Read-and-write attempts `rewrite` makes before giving up on a document that keeps changing.
+ * @type {number}
+ */
+const MAX_REWRITE_ATTEMPTS = 3;
+
+/**
+ * @typedef {Object} ResourceModuleOptions
+ * @property {string} collectionName - MongoDB collection backing the resource.
+ * @property {string} [name] - Human-readable resource name used in log messages.
+ * @property {boolean} [ownership=false] - Stamp `owner_id` on create and scope all queries to the caller.
+ * @property {string} [ownerOverridePermission] - Permission that bypasses ownership scoping
+ *   (like "todo:any_owner" for todos); defaults to `"<name>:any_owner"`. Nobody bypasses it
+ *   until that permission is granted to a role in `lib/auth/permissions.js`.
+ * @property {boolean} [softDelete=false] - Mark documents with `deleted_at`/`deleted_by` instead of removing them.
+ */
+
+/**
+ * Class representing a generated module for managing documents in one collection.
+ * @class
+ */
+class ResourceModule {
+  /**
+   * @param {ResourceModuleOptions} options - Module options.
+   */
+  constructor(options) {
+    /** @type {string} */
+    this.collectionName = options.collectionName;
+    /** @type {string} */
+    this.name = options.name || options.collectionName;
+    /** @type {boolean} */
+    this.ownership = !!options.ownership;
+    /** @type {string} */
+    this.ownerOverridePermission = options.ownerOverridePermission || `${this.name}:any_owner`;
+    /** @type {boolean} */
+    this.softDelete = !!options.softDelete;
+  }
+
+  /**
+   * Retrieves the MongoDB collection instance for this resource.
+   * @type {import("mongodb").Collection}
+   */
+  get collection() {
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Builds the base filter applied to every query: ownership scope and soft-delete exclusion.
+   *
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Object} MongoDB filter fragment.
+   */
+  scope(user) {
+    const filter = {};
+    if (this.ownership && !hasPermission(user, this.ownerOverridePermission)) {
+      filter.owner_id = user.id;
+    }
+    if (this.softDelete) filter.deleted_at = null;
+    return filter;
+  }
+
+  /**
+   * Retrieves one page of documents visible to the user, ordered by `_id`.
+   *
+   * @async
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{limit?: number, after?: string}} [options={}] - Page size and cursor.
+   * @returns {Promise<{items: Array<Object>, next_cursor: string|null}>} The page envelope.
+   */
+  async list(user, options = {}) {
+    const { limit = 20, after } = options;
+    const filter = this.scope(user);
+    if (after) filter._id = { $gt: castObjectId(after) };
+
+    logger.debug(`Listing ${this.name} for user: ${user.id}`, { limit, after });
+    const docs = await this.collection.find(filter).sort({ _id: 1 }).limit(limit + 1).toArray();
+    const items = docs.slice(0, limit);
+    return {
+      items,
+      next_cursor: docs.length > limit ? items[items.length - 1]._id.toString() : null,
+    };
+  }
+
+  /**
+   * Retrieves a single document by its ID.
+   *
+   * @async
+   * @param {string} id - The document ID.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Promise<Object|null>} The document, or null if not found or not visible.
+   */
+  async getById(id, user) {
+    logger.debug(`Getting ${this.name} by ID: ${id}`);
+    return this.collection.findOne({ _id: castObjectId(id), ...this.scope(user) });
+  }
+
+  /**
+   * Inserts a new document.
+   *
+   * @async
+   * @param {Object} doc - The validated document body.
+   * @param {{id: string}} user - The authenticated user.
+   * @returns {Promise<Object>} The created document, including `_id`.
+   */
+  async create(doc, user) {
+    if (this.ownership) doc.owner_id = user.id;
+    doc.date_created = new Date();
+    doc.version = 1;
+    logger.info(`Creating new ${this.name}`);
+    const result = await this.collection.insertOne(doc);
+    return { _id: result.insertedId, ...doc };
+  }
+
+  /**
+   * Applies a partial update to a document by ID.
+   *
+   * @async
+   * @param {string} id - The document ID.
+   * @param {Object} update - The fields to set.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Promise<boolean>} True if a visible document matched; otherwise false.
+   */
+  async update(id, update, user) {
+    logger.info(`Updating ${this.name} with ID: ${id}`);
+    const result = await this.collection.updateOne(
+      { _id: castObjectId(id), ...this.scope(user) },
+      { $set: { ...update, date_modified: new Date() }, $inc: { version: 1 } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Rewrites the client-editable fields of a document: reads it, passes its
+   * editable fields to `build`, and writes the result, removing the fields
+   * `build` left out, on the condition that its version has not changed since
+   * the read. If another write got there first, the cycle is retried. System
+   * fields are kept.
+   *
+   * @async
+   * @param {string} id - The document ID.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {(fields: Object) => Object} build - Computes the new editable fields; may throw to abort.
+   * @returns {Promise<Object|null>} The document as stored afterwards, or null if not found or not visible.
+   * @throws {import('http-errors').HttpError} 409 if the document kept changing for
+   *   `MAX_REWRITE_ATTEMPTS` attempts.
+   */
+  async rewrite(id, user, build) {
+    const filter = { _id: castObjectId(id), ...this.scope(user) };
+
+    for (let attempt = 1; attempt <= MAX_REWRITE_ATTEMPTS; attempt++) {
+      const current = await this.collection.findOne(filter);
+      if (!current) return null;
+
+      const fields = omit(current, SYSTEM_FIELDS);
+      const next = omit(build(fields), SYSTEM_FIELDS);
+      const removed = Object.keys(fields).filter((key) => !Object.hasOwn(next, key));
+      const written = await this.collection.findOneAndUpdate(
+        { ...filter, ...versionFilter([getVersion(current)]) },
+        {
+          $set: { ...next, date_modified: new Date() },
+          $inc: { version: 1 },
+          ...(removed.length && { $unset: Object.fromEntries(removed.map((key) => [key, ""])) }),
+        },
+        { returnDocument: "after" }
+      );
+      if (written) return written;
+
+      logger.debug(`The ${this.name} ${id} changed during rewrite (attempt ${attempt})`);
+    }
+    throw createApiError(409, `The ${this.name} is being modified concurrently; retry the request`);
+  }
+
+  /**
+   * Replaces all client-editable fields of a document (full-replacement PUT semantics).
+   *
+   * @async
+   * @param {string} id - The document ID.
+   * @param {Object} doc - The validated replacement fields.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Promise<Object|null>} The replaced document, or null if not found or not visible.
+   */
+  async replace(id, doc, user) {
+    logger.info(`Replacing ${this.name} with ID: ${id}`);
+    return this.rewrite(id, user, () => doc);
+  }
+
+  /**
+   * Applies a patch to a document's client-editable fields.
+   *
+   * @async
+   * @param {string} id - The document ID.
+   * @param {(fields: Object) => Object} applyPatch - Returns the patched (and re-validated) fields.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Promise<Object|null>} The patched document, or null if not found or not visible.
+   */
+  async patch(id, applyPatch, user) {
+    logger.info(`Patching ${this.name} with ID: ${id}`);
+    return this.rewrite(id, user, applyPatch);
+  }
+
+  /**
+   * Deletes a document by ID, or marks it deleted when soft delete is enabled.
+   *
+   * @async
+   * @param {string} id - The document ID.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Promise<boolean>} True if a visible document was deleted; otherwise false.
+   */
+  async delete(id, user) {
+    logger.warn(`Deleting ${this.name} with ID: ${id}`);
+    const filter = { _id: castObjectId(id), ...this.scope(user) };
+    if (this.softDelete) {
+      const now = new Date();
+      const result = await this.collection.updateOne(filter, {
+        $set: { deleted_at: now, deleted_by: user.id, date_modified: now },
+        $inc: { version: 1 },
+      });
+      return result.matchedCount > 0;
+    }
+    const result = await this.collection.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = ResourceModule;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview HTTP access log: one structured entry per request, written
+ * when the response is done (or the client disconnects).
+ *
+ * Entries carry `type: "access"` and the request's `method`, `path` (without
+ * the query string, which may hold secrets), `status`, `duration_ms`, response
+ * `bytes`, `user_id`, `request_id` and, when a route matched, its `route`
+ * template. Liveness and readiness probes of every API version (including the
+ * legacy `health_check`) and the paths in `ACCESS_LOG_EXCLUDE_PATHS` (metric
+ * scrapes by default) are skipped.
+ */
+
+const env = require("../environment/environment");
+const logger = require("./logger");
+const { getRouteTemplate } = require("./request_context");
+const { PROBE_PATH } = require("../health/health");
+
+/**
+ * Returns a middleware writing an access log entry for every request. Mount it
+ * right after `requestId()` so rejected requests are logged too.
+ *
+ * @function accessLog
+ * @returns {import('express').RequestHandler} Express middleware.
+ *
+ * @example
+ * // {"type":"access","method":"GET","path":"/v1/todo/65f...","status":200,"duration_ms":12.4,
+ * //  "bytes":187,"user_id":"u-1","request_id":"3b7e...","route":"/v1/todo/:id","message":"GET /v1/todo/65f... 200 12.4 ms"}
+ */
+function accessLog() {
+  const excluded = new Set(env.accessLogExcludePaths);
+
+  return (req, res, next) => {
+    const { method, path } = req;
+    if (excluded.has(path) || PROBE_PATH.test(path)) return next();
+    const started = process.hrtime.bigint();
+
+    res.once("close", () => {
+      const duration_ms = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+      const status = res.statusCode;
+      const route = getRouteTemplate(req, res);
+
+      logger.info(`${method} ${path} ${status} ${duration_ms} ms`, {
+        type: "access",
+        method,
+        path,
+        status,
+        duration_ms,
+        bytes: Number(res.getHeader("Content-Length")) || 0,
+        user_id: req.user?.id ?? null,
+        request_id: req.id,
+        ...(route && { route }),
+        ...(!res.writableFinished && { aborted: true }),
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  accessLog
+};
@@ -3,6 +3,7 @@
  * Includes:
  * - Async route handler wrapper
  * - API error creation helper
+ * - Stable, machine-readable error codes and response body serialization
  * - Conditional validation with error throwing
  * - Error template parameter generator for HTML views
  */
@@ -29,6 +30,31 @@ function asyncHandler(fn) {
   };
 }
 
+/**
+ * Default error codes by HTTP status. Codes are part of the public API contract:
+ * clients branch on `error.code`, so existing values must never change.
+ * @type {Object<number, string>}
+ */
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  406: "NOT_ACCEPTABLE",
+  409: "CONFLICT",
+  410: "GONE",
+  412: "PRECONDITION_FAILED",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "UNPROCESSABLE_ENTITY",
+  424: "FAILED_DEPENDENCY",
+  428: "PRECONDITION_REQUIRED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
+
 /**
  * Creates an HTTP error object with a status and message.
  *
@@ -36,17 +62,66 @@ function asyncHandler(fn) {
  * @param {number} status - HTTP status code.
  * @param {string} message - Error message.
  * @param {Error|null} [innerError=null] - Optional inner error for debugging.
+ * @param {Object} [options={}] - Optional machine-readable fields.
+ * @param {string} [options.code] - Error code overriding the status default (e.g., "VALIDATION_FAILED").
+ * @param {Array<Object>} [options.details] - Per-item details, such as individual validation violations.
  * @returns {import('http-errors').HttpError} The created HTTP error object.
  *
  * @example
  * throw createApiError(404, 'Resource not found');
+ * throw createApiError(400, 'Invalid ObjectId', null, { code: 'INVALID_OBJECT_ID' });
  */
-function createApiError(status, message, innerError = null) {
+function createApiError(status, message, innerError = null, options = {}) {
   const err = createError(status, message);
   if (innerError) err.inner = innerError;
+  if (options.code) err.code = options.code;
+  if (options.details) err.details = options.details;
   return err;
 }
 
+/**
+ * Resolves the stable error code for an error: an explicit upper-snake-case
+ * `err.code` set via `createApiError`, otherwise the default for its status.
+ *
+ * @function getErrorCode
+ * @param {Error & {status?: number, code?: string}} err - The error.
+ * @returns {string} Error code, e.g. "NOT_FOUND".
+ */
+function getErrorCode(err) {
+  const status = err.status || 500;
+  if (status < 500 && typeof err.code === "string" && /^[A-Z][A-Z0-9_]*$/.test(err.code)) {
+    return err.code;
+  }
+  return ERROR_CODES[status] || (status < 500 ? "CLIENT_ERROR" : "INTERNAL_ERROR");
+}
+
+/**
+ * Builds the JSON error body returned by the central error handler.
+ * Client errors (4xx) carry `code`, `message` and, when present, `details`.
+ * The request ID lets clients quote the failed request when reporting it.
+ *
+ * @function getErrorResponseBody
+ * @param {Error & {status?: number, details?: Array<Object>}} err - The error.
+ * @param {boolean} [includeStack=false] - Whether to include the stack trace.
+ * @param {string} [requestId] - ID of the failed request (`req.id`).
+ * @returns {{error: {code: string, message: string, details?: Array<Object>, request_id?: string, stack?: string}}} Response body.
+ *
+ * @example
+ * // { "error": { "code": "VALIDATION_FAILED", "message": "...", "details": [ ... ], "request_id": "..." } }
+ */
+function getErrorResponseBody(err, includeStack = false, requestId) {
+  const status = err.status || 500;
+  return {
+    error: {
+      code: getErrorCode(err),
+      message: err.message,
+      ...(status < 500 && Array.isArray(err.details) && { details: err.details }),
+      ...(requestId && { request_id: requestId }),
+      ...(includeStack && { stack: err.stack })
+    }
+  };
+}
+
 /**
  * Validates a condition and throws an HTTP error if it fails.
  *
@@ -75,6 +150,7 @@ function requireCondition(condition, status, message) {
  * @property {number} status_code - HTTP status code.
  * @property {string} heading - Heading for the error page.
  * @property {string} request - Full request URL.
+ * @property {string} [request_id] - Request ID (`X-Request-Id`).
  * @property {string} message - Error message.
  * @property {string|Array} stack - Error stack trace.
  */
@@ -84,14 +160,18 @@ function getErrorTemplateParams(err, req) {
     status_code: err.status,
     heading: `${env.serviceName} - Error`,
     request: `${req.method} ${env.useSSL ? "https" : "http"}://${env.serviceUrl}:${env.useSSL ? env.httpsPort : env.httpPort}${req.originalUrl}`,
+    request_id: req.id,
     message: err.message,
     stack: err.stack
   };
 }
 
 module.exports = {
+  ERROR_CODES,
   asyncHandler,
   createApiError,
+  getErrorCode,
+  getErrorResponseBody,
   requireCondition,
   getErrorTemplateParams
 };
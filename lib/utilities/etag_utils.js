@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Helpers for version-based entity tags (RFC 9110 §8.8.3).
+ * Documents carry an integer `version` counter; its strong ETag is the quoted
+ * version number (e.g., `"3"`). Documents written before versioning was
+ * introduced have no counter and are treated as version 0.
+ */
+
+/**
+ * Returns the version of a document, treating unversioned documents as version 0.
+ *
+ * @param {{version?: number}} doc - The document.
+ * @returns {number} The document version.
+ */
+function getVersion(doc) {
+  return Number.isInteger(doc.version) ? doc.version : 0;
+}
+
+/**
+ * Formats the strong ETag of a document.
+ *
+ * @function formatETag
+ * @param {{version?: number}} doc - The document.
+ * @returns {string} The quoted ETag (e.g., `"3"`).
+ */
+function formatETag(doc) {
+  return `"${getVersion(doc)}"`;
+}
+
+/**
+ * Splits an `If-Match`/`If-None-Match` header into its entity tags.
+ *
+ * @param {string} header - Raw header value.
+ * @returns {Array<{weak: boolean, value: string}>|"*"} The tags, or `"*"` for the wildcard.
+ */
+function parseETags(header) {
+  if (header.trim() === "*") return "*";
+  return (header.match(/(W\/)?"[^"]*"/g) || []).map((tag) => ({
+    weak: tag.startsWith("W/"),
+    value: tag.replace(/^W\//, "").slice(1, -1),
+  }));
+}
+
+/**
+ * Converts an `If-Match` header into the document versions it accepts, using
+ * strong comparison (weak tags never match).
+ *
+ * @function getIfMatchVersions
+ * @param {string|undefined} header - Raw `If-Match` header value.
+ * @returns {number[]|null} Accepted versions (possibly empty, which matches nothing),
+ *   or null when the header is absent or `*` (any existing document matches).
+ */
+function getIfMatchVersions(header) {
+  if (header === undefined) return null;
+  const tags = parseETags(header);
+  if (tags === "*") return null;
+  return tags
+    .filter((tag) => !tag.weak && /^\d+$/.test(tag.value))
+    .map((tag) => parseInt(tag.value, 10));
+}
+
+/**
+ * Checks an `If-None-Match` header against a document, using weak comparison.
+ *
+ * @function matchesIfNoneMatch
+ * @param {string|undefined} header - Raw `If-None-Match` header value.
+ * @param {{version?: number}} doc - The current document.
+ * @returns {boolean} True if the client's copy is current (respond 304).
+ */
+function matchesIfNoneMatch(header, doc) {
+  if (header === undefined) return false;
+  const tags = parseETags(header);
+  if (tags === "*") return true;
+  const current = String(getVersion(doc));
+  return tags.some((tag) => tag.value === current);
+}
+
+/**
+ * Builds the MongoDB filter fragment restricting a write to the accepted versions.
+ * Version 0 also matches documents that have no `version` field.
+ *
+ * @function versionFilter
+ * @param {number[]|null} versions - Accepted versions from `getIfMatchVersions`.
+ * @returns {Object} Filter fragment; empty when any version is accepted.
+ */
+function versionFilter(versions) {
+  if (versions === null) return {};
+  return { version: { $in: versions.includes(0) ? [...versions, null] : versions } };
+}
+
+module.exports = {
+  getVersion,
+  formatETag,
+  getIfMatchVersions,
+  matchesIfNoneMatch,
+  versionFilter
+};
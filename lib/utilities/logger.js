@@ -2,11 +2,18 @@
  * @fileoverview Winston logger configuration for the application.
  * Provides a colorized console logger for development and optional
  * file-based logging for production (non-serverless) environments.
+ *
+ * Entries logged while a request is handled carry its `request_id`, `method`,
+ * `route` and `user_id` (see `lib/utilities/request_context.js`). Values of
+ * sensitive keys (passwords, tokens, ...) are masked in every entry (see
+ * `lib/utilities/redact.js`).
  */
 
 const path = require("path");
 const { createLogger, format, transports } = require("winston");
 const env = require("../environment/environment");
+const { getRequestContext } = require("./request_context");
+const { createRedactor } = require("./redact");
 
 /**
  * Indicates if the current environment is production.
@@ -50,25 +57,62 @@ if (isProduction && !isServerless) {
   );
 }
 
+/**
+ * Winston format adding the fields of the request being handled to each
+ * entry. Fields already set on the entry are kept.
+ * @type {import('logform').FormatWrap}
+ */
+const requestContextFields = format((info) => {
+  const context = getRequestContext();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (!(key in info)) info[key] = value;
+    }
+  }
+  return info;
+});
+
+/**
+ * Masks sensitive values, using the built-in keys and `LOG_REDACT_KEYS`.
+ * @type {(value: *) => *}
+ */
+const redact = createRedactor(env.logRedactKeys);
+
+/**
+ * Winston format masking the values of sensitive keys anywhere in an entry's
+ * metadata. Nested data is copied, so objects passed to the logger are not modified.
+ * @type {import('logform').FormatWrap}
+ */
+const redactSensitive = format((info) => {
+  const { level, message, ...fields } = info;
+  return Object.assign(info, redact(fields));
+});
+
 /**
  * Winston logger instance configured for environment.
  * - In production (non-serverless): JSON format for files, no colors.
- * - In development: colorized, timestamped console logs with printf formatting.
+ * - In development: colorized, timestamped console logs with printf formatting;
+ *   request fields are shown on one line as `[METHOD route request_id user=id]`.
  *
  * @type {import('winston').Logger}
  */
 const logger = createLogger({
   level: logLevel,
   format: isProduction && !isServerless
-    ? format.json()
+    ? format.combine(redactSensitive(), requestContextFields(), format.json())
     : format.combine(
+        redactSensitive(),
+        requestContextFields(),
         format.colorize(),
         format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
-        format.printf(({ timestamp, level, message, ...meta }) => {
+        format.printf(({ timestamp, level, message, request_id, method, route, user_id, ...meta }) => {
+          const requestString = request_id
+            ? ` [${[method, route, request_id, user_id && `user=${user_id}`].filter(Boolean).join(" ")}]`
+            : "";
           const metaString = Object.keys(meta).length
             ? JSON.stringify(meta, null, 2)
             : "";
-          return `[${timestamp}] ${level}: ${message} ${metaString}`;
+          return `[${timestamp}] ${level}:${requestString} ${message} ${metaString}`;
         })
       ),
   transports: loggerTransports,
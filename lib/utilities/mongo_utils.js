@@ -4,6 +4,7 @@
  */
 
 const { ObjectId } = require("mongodb");
+const { createApiError } = require("./error_utils");
 
 /**
  * Generates a new MongoDB ObjectId using the current Unix timestamp.
@@ -32,8 +33,8 @@ function castObjectId(id) {
  * any route containing the specified parameter will automatically validate that the
  * value is a valid MongoDB ObjectId.
  * 
- * If the value is invalid, responds with `400 Bad Request` and does not proceed
- * to the route handler.
+ * If the value is invalid, forwards a `400 Bad Request` error with code
+ * `INVALID_OBJECT_ID` and does not proceed to the route handler.
  * 
  * @example
  * // Apply globally in app.js for all `:id` parameters
@@ -47,7 +48,7 @@ function castObjectId(id) {
  */
 function validateObjectIdParamHandler(req, res, next, value) {
   if (!ObjectId.isValid(value)) {
-    return res.status(400).json({ error: "Invalid ObjectId" });
+    return next(createApiError(400, "Invalid ObjectId", null, { code: "INVALID_OBJECT_ID" }));
   }
   next();
 }
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Patch document helpers for PATCH routes:
+ * - JSON Merge Patch (RFC 7396, `application/merge-patch+json`)
+ * - JSON Patch (RFC 6902, `application/json-patch+json`)
+ *
+ * Both functions return a new value and never mutate their inputs. JSON Patch
+ * failures are raised as API errors: 422 `INVALID_PATCH` for malformed
+ * operations and 409 `PATCH_CONFLICT` when an operation does not apply to the
+ * current document (missing path or failed `test`).
+ */
+
+const { isEqual, cloneDeep } = require("lodash");
+const { createApiError } = require("./error_utils");
+
+/**
+ * Media type of JSON Merge Patch documents.
+ * @type {string}
+ */
+const MERGE_PATCH_TYPE = "application/merge-patch+json";
+
+/**
+ * Media type of JSON Patch documents.
+ * @type {string}
+ */
+const JSON_PATCH_TYPE = "application/json-patch+json";
+
+/**
+ * Checks whether a value is a plain JSON object (not an array or null).
+ *
+ * @param {*} value - Value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396) to a target value.
+ * Object members in the patch replace those in the target, `null` members
+ * remove them, and any non-object patch replaces the target entirely.
+ *
+ * @function applyMergePatch
+ * @param {*} target - The current value.
+ * @param {*} patch - The merge patch document.
+ * @returns {*} The patched value.
+ *
+ * @example
+ * applyMergePatch({ a: 1, b: 2 }, { b: null, c: 3 }); // { a: 1, c: 3 }
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) return cloneDeep(patch);
+
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped reference tokens.
+ *
+ * @param {string} pointer - JSON Pointer (e.g., `/tags/0`).
+ * @param {number} index - Index of the operation, for error messages.
+ * @returns {string[]} Reference tokens.
+ * @throws {import('http-errors').HttpError} 422 if the pointer is malformed.
+ */
+function parsePointer(pointer, index) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw createApiError(422, `Operation ${index}: invalid JSON Pointer "${pointer}"`, null, { code: "INVALID_PATCH" });
+  }
+  return pointer === "" ? [] : pointer.slice(1).split("/").map((t) => t.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Resolves the parent container and final token of a pointer.
+ *
+ * @param {*} doc - Document root.
+ * @param {string[]} tokens - Reference tokens (non-empty).
+ * @param {number} index - Index of the operation, for error messages.
+ * @returns {{parent: Object|Array, key: string}} The parent container and member name.
+ * @throws {import('http-errors').HttpError} 409 if an intermediate member does not exist.
+ */
+function resolveParent(doc, tokens, index) {
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (parent === null || typeof parent !== "object" || !Object.hasOwn(parent, token)) {
+      throw conflict(index, `path /${tokens.join("/")} does not exist`);
+    }
+    parent = parent[token];
+  }
+  if (parent === null || typeof parent !== "object") {
+    throw conflict(index, `path /${tokens.join("/")} does not exist`);
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+/**
+ * Builds the error raised when an operation does not apply to the document.
+ *
+ * @param {number} index - Index of the operation.
+ * @param {string} reason - Explanation.
+ * @returns {import('http-errors').HttpError} 409 error with code `PATCH_CONFLICT`.
+ */
+function conflict(index, reason) {
+  return createApiError(409, `Operation ${index}: ${reason}`, null, { code: "PATCH_CONFLICT" });
+}
+
+/**
+ * Reads the value at a pointer.
+ *
+ * @param {*} doc - Document root.
+ * @param {string[]} tokens - Reference tokens.
+ * @param {number} index - Index of the operation, for error messages.
+ * @returns {*} The value.
+ * @throws {import('http-errors').HttpError} 409 if the value does not exist.
+ */
+function getValue(doc, tokens, index) {
+  if (!tokens.length) return doc;
+  const { parent, key } = resolveParent(doc, tokens, index);
+  if (!Object.hasOwn(parent, key)) throw conflict(index, `path /${tokens.join("/")} does not exist`);
+  return parent[key];
+}
+
+/**
+ * Adds a value at a pointer (inserting into arrays, `-` appends).
+ *
+ * @param {*} doc - Document root.
+ * @param {string[]} tokens - Reference tokens.
+ * @param {*} value - Value to add.
+ * @param {number} index - Index of the operation, for error messages.
+ * @returns {*} The new document root.
+ */
+function addValue(doc, tokens, value, index) {
+  if (!tokens.length) return value;
+  const { parent, key } = resolveParent(doc, tokens, index);
+  if (Array.isArray(parent)) {
+    const position = key === "-" ? parent.length : Number(key);
+    if (!/^(0|[1-9]\d*|-)$/.test(key) || position > parent.length) {
+      throw conflict(index, `array index ${key} is out of bounds`);
+    }
+    parent.splice(position, 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+/**
+ * Removes the value at a pointer.
+ *
+ * @param {*} doc - Document root.
+ * @param {string[]} tokens - Reference tokens (non-empty).
+ * @param {number} index - Index of the operation, for error messages.
+ * @returns {*} The new document root.
+ */
+function removeValue(doc, tokens, index) {
+  getValue(doc, tokens, index);
+  const { parent, key } = resolveParent(doc, tokens, index);
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return doc;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a document. Operations are applied in
+ * order and atomically: if any fails, an error is thrown and nothing is returned.
+ *
+ * @function applyJsonPatch
+ * @param {*} target - The current document.
+ * @param {Array<{op: string, path: string, from?: string, value?: *}>} operations - The patch document.
+ * @returns {*} The patched document.
+ * @throws {import('http-errors').HttpError} 422 `INVALID_PATCH` or 409 `PATCH_CONFLICT`.
+ *
+ * @example
+ * applyJsonPatch({ a: 1 }, [{ op: "replace", path: "/a", value: 2 }]); // { a: 2 }
+ */
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw createApiError(422, "A JSON Patch document must be an array of operations", null, { code: "INVALID_PATCH" });
+  }
+
+  let doc = cloneDeep(target);
+  operations.forEach((operation, index) => {
+    if (!isObject(operation)) {
+      throw createApiError(422, `Operation ${index}: must be an object`, null, { code: "INVALID_PATCH" });
+    }
+    const { op } = operation;
+    const path = parsePointer(operation.path, index);
+    const requireValue = () => {
+      if (!Object.hasOwn(operation, "value")) {
+        throw createApiError(422, `Operation ${index}: "${op}" requires a value`, null, { code: "INVALID_PATCH" });
+      }
+      return cloneDeep(operation.value);
+    };
+
+    switch (op) {
+      case "add":
+        doc = addValue(doc, path, requireValue(), index);
+        break;
+      case "remove":
+        if (!path.length) throw conflict(index, "cannot remove the document root");
+        doc = removeValue(doc, path, index);
+        break;
+      case "replace":
+        getValue(doc, path, index);
+        doc = path.length ? removeValue(doc, path, index) : doc;
+        doc = addValue(doc, path, requireValue(), index);
+        break;
+      case "move":
+      case "copy": {
+        const from = parsePointer(operation.from, index);
+        if (op === "move" && operation.path.startsWith(`${operation.from}/`)) {
+          throw createApiError(422, `Operation ${index}: cannot move a value into itself`, null, { code: "INVALID_PATCH" });
+        }
+        const value = cloneDeep(getValue(doc, from, index));
+        if (op === "move") doc = removeValue(doc, from, index);
+        doc = addValue(doc, path, value, index);
+        break;
+      }
+      case "test":
+        if (!isEqual(getValue(doc, path, index), requireValue())) {
+          throw conflict(index, `test failed at ${operation.path}`);
+        }
+        break;
+      default:
+        throw createApiError(422, `Operation ${index}: unknown op "${op}"`, null, { code: "INVALID_PATCH" });
+    }
+  });
+  return doc;
+}
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+};
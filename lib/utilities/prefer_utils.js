@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Helpers for the `Prefer` request header (RFC 7240), which lets
+ * clients choose how much of a written resource the response should carry.
+ */
+
+/**
+ * Parses a `Prefer` header into its preferences. Names are case-insensitive;
+ * preference parameters (after `;`) are ignored.
+ *
+ * @param {string|undefined} header - Raw `Prefer` header value.
+ * @returns {Object<string, string|true>} Preference values by lower-case name (`true` when valueless).
+ */
+function parsePrefer(header) {
+  const preferences = {};
+  for (const part of (header || "").split(",")) {
+    const [token] = part.split(";");
+    const [name, ...value] = token.split("=");
+    const key = name.trim().toLowerCase();
+    if (!key || Object.hasOwn(preferences, key)) continue;
+    preferences[key] = value.length ? value.join("=").trim().replace(/^"(.*)"$/, "$1") : true;
+  }
+  return preferences;
+}
+
+/**
+ * Returns the `return` preference of a request.
+ *
+ * @function getReturnPreference
+ * @param {string|undefined} header - Raw `Prefer` header value.
+ * @returns {"minimal"|"representation"|null} The requested response form, or null if none was stated.
+ *
+ * @example
+ * getReturnPreference("return=minimal, wait=10"); // "minimal"
+ */
+function getReturnPreference(header) {
+  const value = parsePrefer(header).return;
+  return value === "minimal" || value === "representation" ? value : null;
+}
+
+module.exports = {
+  parsePrefer,
+  getReturnPreference
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Masks sensitive values (passwords, tokens, credentials) in
+ * data before it is logged. Applied to every log entry by the Winston format
+ * pipeline in `lib/utilities/logger.js`.
+ *
+ * A key is sensitive when, lower-cased and stripped of anything but letters and
+ * digits, it contains one of the redaction keys: `password` covers `password`,
+ * `db_password` and `newPassword`; `token` covers `access_token` and `X-Auth-Token`.
+ * Plain objects and arrays are walked to any depth; other values (dates,
+ * ObjectIds, errors) are logged as they are. The data passed in is never modified.
+ */
+
+/**
+ * Keys masked by default; `LOG_REDACT_KEYS` adds more.
+ * @type {string[]}
+ */
+const DEFAULT_REDACT_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "authorization",
+  "cookie",
+  "apikey",
+  "credential",
+  "privatekey",
+];
+
+/**
+ * Replacement for masked values.
+ * @type {string}
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Normalizes a key for matching: lower case, letters and digits only.
+ *
+ * @param {string} key - The key.
+ * @returns {string} The normalized key.
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Checks whether a value is a plain object (an object literal or parsed JSON).
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Creates a function returning a copy of a value with the values of sensitive
+ * keys replaced by `"[REDACTED]"`, at any depth.
+ *
+ * @function createRedactor
+ * @param {string[]} [extraKeys=[]] - Keys to mask in addition to `DEFAULT_REDACT_KEYS`.
+ * @returns {(value: *) => *} The redacting function.
+ *
+ * @example
+ * const redact = createRedactor(["ssn"]);
+ * redact({ user: { name: "Ann", SSN: "123", api_key: "k" } });
+ * // { user: { name: "Ann", SSN: "[REDACTED]", api_key: "[REDACTED]" } }
+ */
+function createRedactor(extraKeys = []) {
+  const patterns = [...DEFAULT_REDACT_KEYS, ...extraKeys].map(normalizeKey).filter(Boolean);
+  const isSensitive = (key) => {
+    const normalized = normalizeKey(key);
+    return patterns.some((pattern) => normalized.includes(pattern));
+  };
+
+  const walk = (value, seen) => {
+    if (!Array.isArray(value) && !isPlainObject(value)) return value;
+    if (seen.has(value)) return "[Circular]";
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map((item) => walk(item, seen));
+    } else {
+      copy = {};
+      for (const key of Object.keys(value)) {
+        copy[key] = isSensitive(key) ? REDACTED : walk(value[key], seen);
+      }
+    }
+    seen.delete(value);
+    return copy;
+  };
+
+  return (value) => walk(value, new Set());
+}
+
+module.exports = {
+  DEFAULT_REDACT_KEYS,
+  REDACTED,
+  createRedactor
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Per-request context carried through async calls with
+ * `AsyncLocalStorage`, so code far from the route handler (e.g., `TodoDemoModule`)
+ * can tell which request it is working for without having `req` passed down.
+ *
+ * The context is entered by the `requestId()` middleware (see
+ * `lib/utilities/request_id.js`) and read by the logger, which stamps the
+ * request ID, user ID, method and route onto every entry logged while a
+ * request is handled.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * @typedef {Object} RequestContextStore
+ * @property {string} requestId - The request's ID (`X-Request-Id`).
+ * @property {import('express').Request} req - The request.
+ * @property {import('express').Response} res - The response.
+ */
+
+/**
+ * @type {AsyncLocalStorage<RequestContextStore>}
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function, and every async call it makes, within a request's context.
+ *
+ * @function runWithRequestContext
+ * @param {RequestContextStore} store - The request's context.
+ * @param {Function} fn - Function to run (e.g., Express's `next`).
+ * @returns {*} What `fn` returns.
+ */
+function runWithRequestContext(store, fn) {
+  return storage.run(store, fn);
+}
+
+/**
+ * Returns the route template a request matched, including the path its
+ * version router is mounted at (recorded in `res.locals.basePath` by
+ * `mountApiVersions`, since Express resets `req.baseUrl` when an error leaves the router).
+ *
+ * @function getRouteTemplate
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response.
+ * @returns {string|null} The template, e.g. `/v1/todo/:id`, or null before a route matched.
+ */
+function getRouteTemplate(req, res) {
+  if (!req.route) return null;
+  return `${res.locals.basePath ?? req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Describes the request being handled. User and route are read when called,
+ * so they are filled in once authentication has run and a route has matched.
+ *
+ * @function getRequestContext
+ * @returns {{request_id: string, method: string, route?: string, user_id?: string}|null}
+ *   The request's fields, or null outside of a request.
+ */
+function getRequestContext() {
+  const store = storage.getStore();
+  if (!store) return null;
+
+  const { requestId, req, res } = store;
+  const route = getRouteTemplate(req, res);
+  return {
+    request_id: requestId,
+    method: req.method,
+    ...(route && { route }),
+    ...(req.user && { user_id: req.user.id }),
+  };
+}
+
+module.exports = {
+  runWithRequestContext,
+  getRouteTemplate,
+  getRequestContext
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Request ID middleware for correlating responses and log entries.
+ *
+ * Every request gets an ID: the client's `X-Request-Id` when it is a safe
+ * token (so IDs from a gateway or calling service carry through), otherwise a
+ * generated UUID. The ID is echoed in the `X-Request-Id` response header,
+ * included in error responses, and stamped onto every log entry written while
+ * the request is handled (see `lib/utilities/request_context.js`).
+ */
+
+const crypto = require("crypto");
+const logger = require("./logger");
+const { runWithRequestContext } = require("./request_context");
+
+/**
+ * Header carrying the request ID, in both directions.
+ * @type {string}
+ */
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+/**
+ * Client-supplied IDs that are accepted: up to 128 characters, without
+ * whitespace or characters that could forge log lines or headers.
+ * @type {RegExp}
+ */
+const VALID_REQUEST_ID = /^[\w.:/+=@-]{1,128}$/;
+
+/**
+ * Returns a middleware that assigns the request ID and sets up:
+ * - `req.id`: the ID
+ * - `req.log`: a child of the application logger carrying the ID
+ * - the `X-Request-Id` response header
+ * - the request context for everything that runs afterwards, so entries logged
+ *   through the shared logger carry the request ID, user ID, method and route
+ *
+ * Mount it before any other middleware.
+ *
+ * @function requestId
+ * @returns {import('express').RequestHandler} Express middleware.
+ *
+ * @example
+ * router.get("/todo/:id", async (req, res) => {
+ *   req.log.info("Fetching todo"); // includes request_id, method, route and user_id
+ * });
+ */
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = id;
+    req.log = logger.child({ request_id: id });
+    res.set(REQUEST_ID_HEADER, id);
+    runWithRequestContext({ requestId: id, req, res }, next);
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestId
+};
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Mounts every API version side by side.
+ *
+ * Each version `vN` is an Express Router mounted at `/vN`, populated from the
+ * route files in `vN_routes` and validated with the schemas in `vN_schema`.
+ * Route files register paths relative to the version prefix (e.g., `/todo`)
+ * and receive a {@link ApiVersion} context so a later version can reuse an
+ * earlier version's routes with its own schemas.
+ *
+ * Deprecated versions announce it on every response with the `Deprecation`
+ * (RFC 9745), `Sunset` (RFC 8594) and `Link` headers, configured per version
+ * through `Env.versionLifecycle`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const env = require("../environment/environment");
+const logger = require("../utilities/logger");
+
+/**
+ * Project root holding the `vN_routes` and `vN_schema` directories.
+ * @type {string}
+ */
+const ROOT_DIR = path.resolve(__dirname, "../..");
+
+/**
+ * @typedef {Object} ApiVersion
+ * @property {string} version - Version name (e.g., `"v2"`).
+ * @property {string} basePath - Mount path (e.g., `"/v2"`).
+ * @property {import('express').Router} router - Router the version's routes are registered on.
+ * @property {Object<string, object>} schema - The version's `schema.js` map.
+ * @property {ReturnType<import('../../v1_schema/validation').createValidation>} validation - The version's `validation.js` module.
+ */
+
+/**
+ * Lists the API versions to mount: `API_VERSIONS` if set, otherwise every
+ * `vN_routes` directory, in ascending version order.
+ *
+ * @function discoverVersions
+ * @returns {string[]} Version names (e.g., `["v1", "v2"]`).
+ */
+function discoverVersions() {
+  const configured = env.apiVersions;
+  if (configured.length) return configured;
+
+  return fs.readdirSync(ROOT_DIR)
+    .map((entry) => entry.match(/^(v\d+)_routes$/))
+    .filter(Boolean)
+    .map((match) => match[1])
+    .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+}
+
+/**
+ * Converts a configured date to a `Date`, or null when it is empty or unparseable.
+ *
+ * @param {string} value - Raw configured value.
+ * @param {string} label - Setting name used in the warning for invalid values.
+ * @returns {Date|null} The parsed date.
+ */
+function parseDate(value, label) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    logger.warn(`Ignoring invalid ${label} date: ${value}`);
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Computes the deprecation headers for an API version from its configuration.
+ *
+ * @function getVersionHeaders
+ * @param {string} version - Version name (e.g., `"v1"`).
+ * @returns {Object<string, string>} Headers to set on every response; empty for current versions.
+ */
+function getVersionHeaders(version) {
+  const { deprecation, sunset, link } = env.versionLifecycle(version);
+  const headers = {};
+
+  if (deprecation.toLowerCase() === "true") {
+    headers["Deprecation"] = "true";
+  } else {
+    const deprecatedAt = parseDate(deprecation, `${version} deprecation`);
+    if (deprecatedAt) headers["Deprecation"] = `@${Math.floor(deprecatedAt.getTime() / 1000)}`;
+  }
+
+  const sunsetAt = parseDate(sunset, `${version} sunset`);
+  if (sunsetAt) headers["Sunset"] = sunsetAt.toUTCString();
+
+  if (link && (headers["Deprecation"] || headers["Sunset"])) {
+    headers["Link"] = `<${link}>; rel="deprecation"; type="text/html"`;
+  }
+  return headers;
+}
+
+/**
+ * Returns a middleware that sets a version's deprecation headers on every response.
+ *
+ * @function versionHeaders
+ * @param {string} version - Version name (e.g., `"v1"`).
+ * @returns {import('express').RequestHandler} Express middleware.
+ */
+function versionHeaders(version) {
+  const headers = getVersionHeaders(version);
+  if (Object.keys(headers).length) {
+    logger.info(`API ${version} is deprecated`, headers);
+  }
+  return (req, res, next) => {
+    res.set(headers);
+    next();
+  };
+}
+
+/**
+ * Registers every route file of a version on its router. A route file may
+ * export a registrar function, or an object with a `routes` registrar (as
+ * returned by `createResource` in `lib/resources/resource_factory.js`); both
+ * are called with `(router, api)`.
+ *
+ * @param {ApiVersion} api - The version being mounted.
+ */
+function registerRoutes(api) {
+  const service_routes = require(path.join(ROOT_DIR, `${api.version}_routes`, "index"));
+  for (let folder in service_routes) {
+    for (let obj in service_routes[folder]) {
+      const exported = service_routes[folder][obj];
+      if (typeof exported === "function") {
+        exported(api.router, api);
+      } else if (exported && typeof exported.routes === "function") {
+        exported.routes(api.router, api);
+      }
+    }
+  }
+}
+
+/**
+ * Builds and mounts a Router for every API version on the application.
+ *
+ * @function mountApiVersions
+ * @param {import('express').Express} app - The Express application instance.
+ * @returns {ApiVersion[]} The mounted versions.
+ */
+function mountApiVersions(app) {
+  return discoverVersions().map((version) => {
+    const router = express.Router();
+
+    /** @type {ApiVersion} */
+    const api = {
+      version,
+      basePath: `/${version}`,
+      router,
+      schema: require(path.join(ROOT_DIR, `${version}_schema`, "schema")),
+      validation: require(path.join(ROOT_DIR, `${version}_schema`, "validation")),
+    };
+
+    router.use(versionHeaders(version));
+    // Mount path of the route templates in metrics and log entries (see getRouteTemplate
+    // in lib/utilities/request_context.js).
+    router.use((req, res, next) => {
+      res.locals.basePath = api.basePath;
+      next();
+    });
+    registerRoutes(api);
+
+    app.use(api.basePath, router);
+    logger.debug(`Mounted API ${version} at ${api.basePath}`);
+    return api;
+  });
+}
+
+module.exports = {
+  discoverVersions,
+  getVersionHeaders,
+  versionHeaders,
+  mountApiVersions
+};
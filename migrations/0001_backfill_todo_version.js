@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Gives todos written before versioning an explicit `version: 0`.
+ *
+ * Unversioned todos are already treated as version 0 (see
+ * `lib/utilities/etag_utils.js`); storing it lets queries and indexes rely on
+ * the field. New todos start at version 1, so `down` can tell backfilled
+ * documents apart and remove the field from them only.
+ */
+
+module.exports = {
+  description: "Backfill version 0 on todos without a version",
+
+  /**
+   * @param {import("mongodb").Db} database - The database.
+   * @returns {Promise<void>}
+   */
+  async up(database) {
+    await database.collection("todos").updateMany({ version: { $exists: false } }, { $set: { version: 0 } });
+  },
+
+  /**
+   * @param {import("mongodb").Db} database - The database.
+   * @returns {Promise<void>}
+   */
+  async down(database) {
+    await database.collection("todos").updateMany({ version: 0 }, { $unset: { version: "" } });
+  },
+};
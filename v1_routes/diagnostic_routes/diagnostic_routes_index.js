@@ -1,41 +1,46 @@
 /**
  * @fileoverview Diagnostic routes for application health and error testing.
  * Includes:
- * - Health check endpoint for database connectivity
+ * - Health check endpoint for database connectivity (superseded by `/v1/health/ready`)
  * - Simulated runtime error for testing the central error handler
  * - Authentication test endpoint for verifying middleware integration
  */
 
 const env = require("../../lib/environment/environment");
 const { authenticate_user } = require("../../lib/auth/authenticate_user");
-const db = require('../../lib/data/db');
+const { requirePermission } = require("../../lib/auth/authorize_user");
+const { describeRoute } = require("../../lib/openapi/openapi");
+const { getReadiness } = require('../../lib/health/health');
 
 /**
- * Registers diagnostic endpoints to the provided Express application instance.
+ * Registers diagnostic endpoints on an API version's router.
  *
- * @param {import('express').Express} app - The Express application instance.
+ * @param {import('express').Router} router - The version's router (mounted at e.g. `/v1`).
  */
-module.exports = (app) => {
+module.exports = (router) => {
     /**
      * GET /v1/health_check
      *
-     * Pulse check endpoint that verifies database connectivity.
+     * Pulse check kept for existing load balancer configurations; it answers
+     * like `GET /v1/health/ready` but without a body.
      * Responds with:
-     * - 200 OK if MongoDB responds to a ping
-     * - 503 Service Unavailable if the database is unreachable
+     * - 200 OK if every critical health check (including the MongoDB ping) passes
+     * - 503 Service Unavailable if one fails, at once when the driver already
+     *   reports the database disconnected (see `db.isReady()`), and while the
+     *   service is shutting down so load balancers stop routing to it
      *
      * @name HealthCheck
      * @function
      * @memberof module:diagnostic_routes
      * @inner
      */
-    app.get('/v1/health_check', async (req, res) => {
-        try {
-            await db._db.command({ ping: 1 });
-            res.sendStatus(200);
-        } catch (err) {
-            res.sendStatus(503);
-        }
+    router.get('/health_check', describeRoute({
+        summary: "Database connectivity check",
+        tags: ["diagnostic"],
+        responses: { 200: { description: "MongoDB is reachable" }, 503: { description: "MongoDB is unreachable or the service is shutting down" } },
+    }), async (req, res) => {
+        const { ready } = await getReadiness();
+        res.sendStatus(ready ? 200 : 503);
     });
 
     /**
@@ -49,7 +54,7 @@ module.exports = (app) => {
      * @memberof module:diagnostic_routes
      * @inner
      */
-    app.get("/v1/throw_error", (req, res, next) => {
+    router.get("/throw_error", describeRoute({ hidden: true }), (req, res, next) => {
         if (env.environment !== "development" && env.environment !== "test") {
             return res.sendStatus(404);
         }
@@ -59,7 +64,8 @@ module.exports = (app) => {
     /**
      * GET /v1/auth_test
      *
-     * Tests authentication middleware and returns the authenticated user object.
+     * Tests authentication and authorization middleware and returns the authenticated user object.
+     * Requires the "diagnostic:read" permission.
      * Only available in `development` and `test` environments; otherwise responds with 404.
      *
      * @name AuthTest
@@ -71,7 +77,7 @@ module.exports = (app) => {
      * @param {import('express').Response} res - The Express response object.
      * @param {import('express').NextFunction} next - The next middleware function.
      */
-    app.get("/v1/auth_test", authenticate_user, (req, res, next) => {
+    router.get("/auth_test", describeRoute({ hidden: true }), authenticate_user, requirePermission("diagnostic:read"), (req, res, next) => {
         if (env.environment !== "development" && env.environment !== "test") {
             return res.sendStatus(404);
         }
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview API reference routes.
+ * Serves an OpenAPI 3.1 document generated from the version's registered routes
+ * and the AJV schemas in its `vN_schema` folder, plus an optional HTML rendering of it.
+ */
+
+const createError = require("http-errors");
+const env = require("../../lib/environment/environment");
+const { buildOpenApiDocument, describeRoute } = require("../../lib/openapi/openapi");
+
+/**
+ * Registers the API reference endpoints on an API version's router. The
+ * document covers only that version's routes and schemas, and is built on first
+ * request once every route is registered.
+ *
+ * @param {import('express').Router} router - The version's router (mounted at e.g. `/v1`).
+ * @param {import("../../lib/versioning/api_versions").ApiVersion} api - The version being mounted.
+ */
+module.exports = (router, api) => {
+    /** @type {object|null} */
+    let document = null;
+
+    /**
+     * Returns the version's OpenAPI document, generating it on first use.
+     * @returns {object} The OpenAPI document.
+     */
+    const getDocument = () => {
+        if (!document) {
+            document = buildOpenApiDocument(router, {
+                schemas: api.schema,
+                basePath: api.basePath,
+                title: `${env.serviceName} (${api.version})`,
+            });
+        }
+        return document;
+    };
+
+    /**
+     * GET /v1/openapi.json
+     *
+     * Responds with the OpenAPI 3.1 document describing every documented route of the version.
+     *
+     * @name OpenApiDocument
+     * @function
+     * @memberof module:docs_routes
+     * @inner
+     */
+    router.get("/openapi.json", describeRoute({ hidden: true }), (req, res) => {
+        res.json(getDocument());
+    });
+
+    /**
+     * GET /v1/docs
+     *
+     * Renders the OpenAPI document as a self-contained HTML page (no external assets).
+     * Responds with 404 when `API_DOCS_ENABLED` is `"false"`.
+     *
+     * @name ApiDocs
+     * @function
+     * @memberof module:docs_routes
+     * @inner
+     */
+    router.get("/docs", describeRoute({ hidden: true }), (req, res, next) => {
+        if (!env.apiDocsEnabled) {
+            return next(createError(404));
+        }
+        res.render("api_docs", { spec: getDocument() });
+    });
+};
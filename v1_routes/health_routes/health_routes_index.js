@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Health probes and the detailed health report.
+ * Includes:
+ * - Liveness: the process is up and serving requests
+ * - Readiness: the service should receive traffic (critical checks pass, not shutting down)
+ * - An authenticated report with every check, version, commit, uptime and memory usage
+ *
+ * Checks come from the registry in `lib/health/health.js`.
+ */
+
+const { authenticate_user } = require("../../lib/auth/authenticate_user");
+const { requirePermission } = require("../../lib/auth/authorize_user");
+const { describeRoute } = require("../../lib/openapi/openapi");
+const { getReadiness, getHealthReport } = require("../../lib/health/health");
+
+/**
+ * OpenAPI schema of a check result.
+ * @type {object}
+ */
+const checkResultSchema = {
+    type: "object",
+    required: ["status", "critical", "duration_ms"],
+    properties: {
+        status: { type: "string", enum: ["pass", "fail"] },
+        critical: { type: "boolean" },
+        duration_ms: { type: "number" },
+        details: { type: "object" },
+        error: { type: "string" },
+    },
+};
+
+/**
+ * OpenAPI schema of the readiness response.
+ * @type {object}
+ */
+const readinessSchema = {
+    type: "object",
+    required: ["status"],
+    properties: {
+        status: { type: "string", enum: ["pass", "fail"] },
+        reason: { type: "string" },
+        checks: { type: "object", additionalProperties: checkResultSchema },
+    },
+};
+
+/**
+ * OpenAPI schema of the detailed health report.
+ * @type {object}
+ */
+const healthReportSchema = {
+    type: "object",
+    required: ["status", "version", "uptime_s", "memory", "checks"],
+    properties: {
+        status: { type: "string", enum: ["pass", "warn", "fail"] },
+        service: { type: "string" },
+        version: { type: "string" },
+        git_sha: { type: ["string", "null"] },
+        environment: { type: "string" },
+        lifecycle: { type: "string", enum: ["running", "draining", "stopped"] },
+        uptime_s: { type: "integer" },
+        memory: {
+            type: "object",
+            properties: {
+                rss_bytes: { type: "integer" },
+                heap_total_bytes: { type: "integer" },
+                heap_used_bytes: { type: "integer" },
+                external_bytes: { type: "integer" },
+            },
+        },
+        checks: { type: "object", additionalProperties: checkResultSchema },
+    },
+};
+
+/**
+ * Registers health endpoints on an API version's router.
+ *
+ * @param {import('express').Router} router - The version's router (mounted at e.g. `/v1`).
+ */
+module.exports = (router) => {
+    /**
+     * GET /v1/health/live
+     *
+     * Liveness probe: 200 whenever the process can answer, including while it
+     * drains during shutdown. Touches no dependency, so an outage elsewhere
+     * never gets the process restarted.
+     *
+     * @name HealthLive
+     * @function
+     * @memberof module:health_routes
+     * @inner
+     */
+    router.get("/health/live", describeRoute({
+        summary: "Liveness probe",
+        tags: ["health"],
+        responses: { 200: { description: "The process is up", schema: { type: "object", properties: { status: { type: "string" } } } } },
+    }), (req, res) => {
+        res.set("Cache-Control", "no-store").json({ status: "pass" });
+    });
+
+    /**
+     * GET /v1/health/ready
+     *
+     * Readiness probe. Responds with:
+     * - 200 OK if every critical check passes
+     * - 503 Service Unavailable if one fails or the service is shutting down
+     *
+     * @name HealthReady
+     * @function
+     * @memberof module:health_routes
+     * @inner
+     */
+    router.get("/health/ready", describeRoute({
+        summary: "Readiness probe",
+        tags: ["health"],
+        responses: {
+            200: { description: "The service can take traffic", schema: readinessSchema },
+            503: { description: "A critical dependency is failing or the service is shutting down", schema: readinessSchema },
+        },
+    }), async (req, res) => {
+        const { ready, ...readiness } = await getReadiness();
+        res.status(ready ? 200 : 503).set("Cache-Control", "no-store").json(readiness);
+    });
+
+    /**
+     * GET /v1/health
+     *
+     * Detailed health report: every registered check (including non-critical
+     * ones), with version, commit SHA, uptime and memory usage.
+     * Requires the "health:read" permission.
+     * Responds with 200 when the status is "pass" or "warn", 503 when "fail".
+     *
+     * @name HealthReport
+     * @function
+     * @memberof module:health_routes
+     * @inner
+     */
+    router.get("/health", describeRoute({
+        summary: "Detailed health report",
+        tags: ["health"],
+        responses: {
+            200: { description: "Healthy, possibly with non-critical failures", schema: healthReportSchema },
+            503: { description: "A critical dependency is failing", schema: healthReportSchema },
+        },
+    }), authenticate_user, requirePermission("health:read"), async (req, res) => {
+        const report = await getHealthReport();
+        res.status(report.status === "fail" ? 503 : 200).set("Cache-Control", "no-store").json(report);
+    });
+};
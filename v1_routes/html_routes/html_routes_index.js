@@ -7,13 +7,14 @@
 const createError = require("http-errors");
 const env = require("../../lib/environment/environment");
 const { getErrorTemplateParams } = require("../../lib/utilities/error_utils");
+const { describeRoute } = require("../../lib/openapi/openapi");
 
 /**
- * Registers the `/v1/error_test` route for testing error page rendering.
+ * Registers the `/error_test` route (e.g., `/v1/error_test`) for testing error page rendering.
  *
- * @param {import('express').Express} app - The Express application instance.
+ * @param {import('express').Router} router - The version's router (mounted at e.g. `/v1`).
  */
-module.exports = (app) => {
+module.exports = (router) => {
     /**
      * GET /v1/error_test
      *
@@ -34,7 +35,7 @@ module.exports = (app) => {
      * @param {import('express').Response} res - The HTTP response object.
      * @param {import('express').NextFunction} next - The next middleware function.
      */
-    app.get(`/v1/error_test/`, (req, res, next) => {
+    router.get(`/error_test/`, describeRoute({ hidden: true }), (req, res, next) => {
         try {
             if (env.environment === "development" || env.environment === "test") {
                 const error = new Error("This is a test of the error reporting system.");
@@ -2,10 +2,37 @@
  * @fileoverview Provides CRUD operations for the "todos" MongoDB collection.
  * This module encapsulates database interactions for todo items, including
  * creation, retrieval, updating, and deletion.
+ *
+ * Every todo is stamped with the `owner_id` of the user who created it, and all
+ * queries are scoped to the calling user's todos unless that user holds the
+ * "todo:any_owner" permission (admins). Documents outside the caller's scope
+ * behave exactly like missing ones.
+ *
+ * Deleting a todo only marks it with `deleted_at`/`deleted_by`. Soft-deleted
+ * todos are excluded from every read and write except `restore` and the trash
+ * operations, and are hard-deleted by `purge` once older than the retention period.
+ *
+ * Every write increments the todo's `version` counter, which routes expose as a
+ * strong ETag, and stamps `date_modified`. `delete` includes the versions named
+ * by `If-Match` in its write filter, so the check and the write are one atomic
+ * operation. `update`, `replace` and `patch` compute the new fields from the
+ * todo they read and write them only if that version is still current; when
+ * nothing changes, nothing is written and the todo is returned as it is.
+ *
+ * `bulk` runs many creates, updates and deletes as one `bulkWrite` and reports
+ * an HTTP-style result per operation.
+ *
+ * Every method accepts an optional `session` (in its options) so it can take
+ * part in a transaction started with `db.withTransaction`.
  */
 
 const db = require("../../lib/data/db");
 const { castObjectId } = require("../../lib/utilities/mongo_utils");
+const { hasPermission } = require("../../lib/auth/authorize_user");
+const { MongoBulkWriteError, ObjectId } = require("mongodb");
+const { createApiError, getErrorResponseBody } = require("../../lib/utilities/error_utils");
+const { getVersion, versionFilter } = require("../../lib/utilities/etag_utils");
+const { isEqual, omit } = require("lodash");
 const logger = require("../../lib/utilities/logger");
 
 /**
@@ -14,6 +41,103 @@ const logger = require("../../lib/utilities/logger");
  */
 const collectionName = "todos";
 
+/**
+ * Fields maintained by this module rather than supplied by clients.
+ * `rewrite` never lets a client change them.
+ * @type {string[]}
+ */
+const SYSTEM_FIELDS = ["_id", "owner_id", "date_created", "date_modified", "version", "deleted_at", "deleted_by"];
+
+/**
+ * Read-and-write attempts `rewrite` makes before giving up on a todo that keeps changing.
+ * @type {number}
+ */
+const MAX_REWRITE_ATTEMPTS = 3;
+
+/**
+ * HTTP statuses reported for bulk operations that succeed, by operation.
+ * @type {Object<string, number>}
+ */
+const BULK_SUCCESS_STATUS = { create: 201, update: 200, delete: 204 };
+
+/**
+ * @typedef {Object} BulkOperation
+ * @property {"create"|"update"|"delete"} op - The operation.
+ * @property {string} [id] - `_id` of the todo to update or delete.
+ * @property {Object} [todo] - Validated todo fields to create or set.
+ * @property {Error} [error] - Set when the operation was rejected before the
+ *   batch ran (e.g., invalid or forbidden); it is reported and not executed.
+ */
+
+/**
+ * @typedef {Object} BulkResult
+ * @property {number} index - Position of the operation in the request.
+ * @property {string} [op] - The operation.
+ * @property {number} status - HTTP-style status of the operation (424 if it was not attempted).
+ * @property {string} [id] - `_id` of the todo written.
+ * @property {{code: string, message: string, details?: Array<Object>}} [error] - Why the operation failed.
+ */
+
+/**
+ * Builds the result of a failed bulk operation.
+ *
+ * @param {number} index - Position of the operation.
+ * @param {BulkOperation} operation - The operation.
+ * @param {Error & {status?: number}} err - Why it failed.
+ * @returns {BulkResult} The result.
+ */
+function bulkFailure(index, operation, err) {
+  return { index, op: operation.op, status: err.status || 500, error: getErrorResponseBody(err).error };
+}
+
+/**
+ * Converts a `bulkWrite` write error into an API error.
+ *
+ * @param {{code: number, errmsg: string}} writeError - The driver's write error.
+ * @returns {import('http-errors').HttpError} 409 for duplicate keys, 422 for
+ *   documents rejected by the collection validator, otherwise 500.
+ */
+function fromWriteError(writeError) {
+  if (writeError.code === 11000) return createApiError(409, "Duplicate key", null, { code: "DUPLICATE_KEY" });
+  if (writeError.code === 121) return createApiError(422, "Document failed collection validation");
+  return createApiError(500, writeError.errmsg || "Write failed");
+}
+
+/**
+ * Builds the error raised when a todo's version is not one accepted by `If-Match`.
+ *
+ * @returns {import('http-errors').HttpError} 412 error.
+ */
+function preconditionFailed() {
+  return createApiError(412, "Todo has been modified; If-Match does not match the current ETag");
+}
+
+/**
+ * Builds the keyset filter matching the documents that follow an anchor in a
+ * `{ [field]: direction, _id: direction }` sort.
+ *
+ * MongoDB sorts null (and missing) values before every other value, and range
+ * operators never match null, so a null anchor or sort value needs its own branch:
+ * ascending, the nulls after a null anchor come first, then every non-null value;
+ * descending, the nulls come last, after every non-null value.
+ *
+ * @param {string} field - The sort field.
+ * @param {*} value - The anchor's value of the sort field (null when missing).
+ * @param {import("mongodb").ObjectId} id - The anchor's `_id`.
+ * @param {1|-1} direction - Sort direction.
+ * @returns {Object} MongoDB filter fragment.
+ */
+function keysetFilter(field, value, id, direction) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const ties = { [field]: value, _id: { [op]: id } };
+  if (value === null) {
+    return direction === 1 ? { $or: [ties, { [field]: { $ne: null } }] } : ties;
+  }
+  const branches = [{ [field]: { [op]: value } }, ties];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+}
+
 /**
  * Class representing a module for managing todo items.
  * @class
@@ -24,18 +148,122 @@ class TodoDemoModule {
    * @type {import("mongodb").Collection}
    */
   get collection() {
-    return db._db.collection(collectionName);
+    return db.collection(collectionName);
   }
 
   /**
-   * Retrieves all todo items from the database.
+   * Builds the query filter restricting results to the todos a user may access.
+   * Users with the "todo:any_owner" permission are not restricted.
+   *
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Object} MongoDB filter fragment.
+   */
+  ownerScope(user) {
+    return hasPermission(user, "todo:any_owner") ? {} : { owner_id: user.id };
+  }
+
+  /**
+   * Builds the query filter for live (not soft-deleted) todos the user may access.
+   *
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Object} MongoDB filter fragment.
+   */
+  liveScope(user) {
+    return { ...this.ownerScope(user), deleted_at: null };
+  }
+
+  /**
+   * Builds the query filter for soft-deleted todos the user may access.
+   * `$type: "date"` matches the partial `deleted_at` index (see `lib/data/collection_specs.js`),
+   * so the planner can use it.
+   *
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @returns {Object} MongoDB filter fragment.
+   */
+  trashScope(user) {
+    return { ...this.ownerScope(user), deleted_at: { $type: "date" } };
+  }
+
+  /**
+   * Explains a conditional write that matched nothing: if the todo still exists,
+   * its version no longer matches `If-Match`.
+   *
+   * @async
+   * @param {Object} filter - The write filter without the version condition.
+   * @param {number[]|null} ifMatch - Versions accepted by the write.
+   * @param {import("mongodb").ClientSession} [session] - Session of the surrounding transaction.
+   * @throws {import('http-errors').HttpError} 412 if the todo exists with another version.
+   */
+  async assertNotStale(filter, ifMatch, session) {
+    if (ifMatch === null) return;
+    if (await this.collection.countDocuments(filter, { limit: 1, session })) {
+      throw preconditionFailed();
+    }
+  }
+
+  /**
+   * Retrieves one page of the todo items visible to the user.
+   *
+   * Pages are keyset-paginated: `after` names the last `_id` of the previous page,
+   * and the next page starts strictly after that document in the requested sort
+   * order (ties on the sort field are broken by `_id`; null and missing values
+   * sort first when ascending and last when descending).
    *
    * @async
-   * @returns {Promise<Array<Object>>} Promise resolving to an array of todo objects.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {Object} [options={}] - Validated list options (see `_todo_query_schema.js`).
+   * @param {number} [options.limit=20] - Maximum number of items to return.
+   * @param {string} [options.after] - `_id` of the last item on the previous page.
+   * @param {string} [options.sort="-date_created"] - Sort field, "-" prefix for descending.
+   * @param {string} [options.assigned_to] - Filter by assignee.
+   * @param {boolean} [options.is_complete] - Filter by completion status.
+   * @param {number} [options.priority_min] - Minimum priority (inclusive).
+   * @param {number} [options.priority_max] - Maximum priority (inclusive).
+   * @param {boolean} [options.include_total=false] - Whether to count all matching items.
+   * @param {import("mongodb").ClientSession} [options.session] - Session of the surrounding transaction.
+   * @returns {Promise<{items: Array<Object>, next_cursor: string|null, total?: number}>} The page envelope.
+   * @throws {import('http-errors').HttpError} 400 if `after` does not name a visible todo.
    */
-  async listAll() {
-    logger.debug("Listing all todos");
-    return this.collection.find().toArray();
+  async list(user, options = {}) {
+    const { limit = 20, after, sort = "-date_created", include_total = false, session } = options;
+    const direction = sort.startsWith("-") ? -1 : 1;
+    const field = sort.replace(/^-/, "");
+
+    const filter = { ...this.liveScope(user) };
+    if (options.assigned_to !== undefined) filter.assigned_to = options.assigned_to;
+    if (options.is_complete !== undefined) filter.is_complete = options.is_complete;
+    if (options.priority_min !== undefined || options.priority_max !== undefined) {
+      filter.priority = {
+        ...(options.priority_min !== undefined && { $gte: options.priority_min }),
+        ...(options.priority_max !== undefined && { $lte: options.priority_max }),
+      };
+    }
+
+    let pageFilter = filter;
+    if (after) {
+      const anchor = await this.collection.findOne(
+        { _id: castObjectId(after), ...this.liveScope(user) },
+        { projection: { [field]: 1 }, session }
+      );
+      if (!anchor) throw createApiError(400, "Invalid cursor");
+
+      pageFilter = { $and: [filter, keysetFilter(field, anchor[field] ?? null, anchor._id, direction)] };
+    }
+
+    logger.debug(`Listing todos for user: ${user.id}`, { limit, after, sort });
+    const docs = await this.collection
+      .find(pageFilter, { session })
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1)
+      .toArray();
+
+    const items = docs.slice(0, limit);
+    const page = {
+      items,
+      next_cursor: docs.length > limit ? items[items.length - 1]._id.toString() : null,
+    };
+    if (include_total) page.total = await this.collection.countDocuments(filter, { session });
+    return page;
   }
 
   /**
@@ -43,55 +271,337 @@ class TodoDemoModule {
    *
    * @async
    * @param {string} id - The ID of the todo item to retrieve.
-   * @returns {Promise<Object|null>} Promise resolving to the todo object, or null if not found.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{session?: import("mongodb").ClientSession}} [options={}] - Session of the surrounding transaction.
+   * @returns {Promise<Object|null>} Promise resolving to the todo object, or null if not found or not visible.
    */
-  async getById(id) {
+  async getById(id, user, options = {}) {
     logger.debug(`Getting todo by ID: ${id}`);
-    return this.collection.findOne({ _id: castObjectId(id) });
+    return this.collection.findOne({ _id: castObjectId(id), ...this.liveScope(user) }, { session: options.session });
   }
 
   /**
-   * Creates a new todo item in the database.
+   * Creates a new todo item owned by the user.
    *
    * @async
    * @param {Object} todo - The todo data to insert.
+   * @param {{id: string}} user - The authenticated user, recorded as `owner_id`.
+   * @param {{session?: import("mongodb").ClientSession}} [options={}] - Session of the surrounding transaction.
    * @returns {Promise<Object>} Promise resolving to the created todo object, including `_id`.
    */
-  async create(todo) {
+  async create(todo, user, options = {}) {
+    todo.owner_id = user.id;
     todo.date_created = new Date();
-    logger.info("Creating new todo", todo);
-    const result = await this.collection.insertOne(todo);
+    todo.version = 1;
+    logger.info("Creating new todo");
+    const result = await this.collection.insertOne(todo, { session: options.session });
     return { _id: result.insertedId, ...todo };
   }
 
   /**
-   * Updates an existing todo item by ID.
+   * Rewrites the client-editable fields of a todo. Reads the todo, passes its
+   * editable fields to `build`, and writes the difference with `findOneAndUpdate`
+   * on the condition that its version has not changed since the read. If
+   * another write got there first, the cycle is retried. When `build` returns
+   * the same fields, nothing is written and the todo is returned unchanged.
+   *
+   * @async
+   * @param {string} id - The ID of the todo to rewrite.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {number[]|null} ifMatch - Versions the todo must have (from `If-Match`); null accepts any.
+   * @param {(fields: Object) => Object} build - Computes the new editable fields; may throw to abort.
+   * @param {import("mongodb").ClientSession} [session] - Session of the surrounding transaction.
+   * @returns {Promise<Object|null>} Promise resolving to the todo as stored afterwards, or null if not found.
+   * @throws {import('http-errors').HttpError} 412 if the version is not accepted; 409 if the
+   *   todo kept changing for `MAX_REWRITE_ATTEMPTS` attempts.
+   */
+  async rewrite(id, user, ifMatch, build, session) {
+    const filter = { _id: castObjectId(id), ...this.liveScope(user) };
+
+    for (let attempt = 1; attempt <= MAX_REWRITE_ATTEMPTS; attempt++) {
+      const current = await this.collection.findOne(filter, { session });
+      if (!current) return null;
+
+      const version = getVersion(current);
+      if (ifMatch !== null && !ifMatch.includes(version)) throw preconditionFailed();
+
+      const fields = omit(current, SYSTEM_FIELDS);
+      const next = omit(build(fields), SYSTEM_FIELDS);
+      if (isEqual(next, fields)) {
+        logger.debug(`Todo ${id} unchanged; nothing written`);
+        return current;
+      }
+
+      const removed = Object.keys(fields).filter((key) => !Object.hasOwn(next, key));
+      const written = await this.collection.findOneAndUpdate(
+        { ...filter, ...versionFilter([version]) },
+        {
+          $set: { ...next, date_modified: new Date() },
+          $inc: { version: 1 },
+          ...(removed.length && { $unset: Object.fromEntries(removed.map((key) => [key, ""])) }),
+        },
+        { returnDocument: "after", session }
+      );
+      if (written) return written;
+
+      logger.debug(`Todo ${id} changed during rewrite (attempt ${attempt})`);
+    }
+    throw createApiError(409, "Todo is being modified concurrently; retry the request");
+  }
+
+  /**
+   * Updates some client-editable fields of a todo, leaving the others as they are.
    *
    * @async
    * @param {string} id - The ID of the todo to update.
-   * @param {Object} update - The fields to update.
-   * @returns {Promise<boolean>} Promise resolving to true if a document was modified; otherwise false.
+   * @param {Object} update - The fields to set.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{ifMatch?: number[]|null, session?: import("mongodb").ClientSession}} [options={}] - Versions the
+   *   todo must have (from `If-Match`; null accepts any) and the session of the surrounding transaction.
+   * @returns {Promise<Object|null>} Promise resolving to the updated todo, or null if not found.
    */
-  async update(id, update) {
-    logger.info(`Updating todo with ID: ${id}`, update);
-    const result = await this.collection.updateOne(
-      { _id: castObjectId(id) },
-      { $set: update }
+  async update(id, update, user, options = {}) {
+    logger.info(`Updating todo with ID: ${id}`, { fields: Object.keys(update) });
+    return this.rewrite(id, user, options.ifMatch ?? null, (fields) => ({ ...fields, ...update }), options.session);
+  }
+
+  /**
+   * Replaces the client-editable fields of a todo (full-replacement PUT semantics).
+   * With `options.fields`, only those fields are replaced and any other stored
+   * field (e.g., one written through another API version) is kept.
+   *
+   * @async
+   * @param {string} id - The ID of the todo to replace.
+   * @param {Object} todo - The validated replacement fields.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{ifMatch?: number[]|null, fields?: string[], session?: import("mongodb").ClientSession}} [options={}] - Versions
+   *   the todo must have (from `If-Match`; null accepts any), the fields the replacement covers (all by default)
+   *   and the session of the surrounding transaction.
+   * @returns {Promise<Object|null>} Promise resolving to the replaced todo, or null if not found.
+   */
+  async replace(id, todo, user, options = {}) {
+    const { fields } = options;
+    logger.info(`Replacing todo with ID: ${id}`);
+    const build = fields ? (current) => ({ ...omit(current, fields), ...todo }) : () => todo;
+    return this.rewrite(id, user, options.ifMatch ?? null, build, options.session);
+  }
+
+  /**
+   * Applies a patch to a todo's client-editable fields.
+   *
+   * @async
+   * @param {string} id - The ID of the todo to patch.
+   * @param {(fields: Object) => Object} applyPatch - Returns the patched (and re-validated) fields.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{ifMatch?: number[]|null, session?: import("mongodb").ClientSession}} [options={}] - Versions the
+   *   todo must have (from `If-Match`; null accepts any) and the session of the surrounding transaction.
+   * @returns {Promise<Object|null>} Promise resolving to the patched todo, or null if not found.
+   */
+  async patch(id, applyPatch, user, options = {}) {
+    logger.info(`Patching todo with ID: ${id}`);
+    return this.rewrite(id, user, options.ifMatch ?? null, applyPatch, options.session);
+  }
+
+  /**
+   * Runs many creates, updates and deletes with one `bulkWrite`.
+   *
+   * Update and delete targets are looked up first; operations on todos that
+   * don't exist or aren't visible to the user fail with 404 without being
+   * sent. Updates and deletes whose target disappears before the write
+   * matches it also fail with 404. The rest follow the same rules as the single-todo methods: creates
+   * are owned by the user, updates set the given fields, deletes are soft, and
+   * every write increments the version and stamps `date_modified`.
+   *
+   * In ordered mode the batch stops at the first failed operation, and every
+   * operation after it is reported with status 424 (not attempted). In
+   * unordered mode every valid operation is attempted.
+   *
+   * @async
+   * @param {BulkOperation[]} operations - The operations, in request order.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{ordered?: boolean, session?: import("mongodb").ClientSession}} [options={}] - Execution mode
+   *   (ordered by default) and the session of the surrounding transaction.
+   * @returns {Promise<BulkResult[]>} Promise resolving to one result per operation, in request order.
+   */
+  async bulk(operations, user, options = {}) {
+    const { ordered = true, session } = options;
+    const now = new Date();
+    const results = new Array(operations.length);
+
+    const ids = operations.filter((operation) => !operation.error && operation.id).map((operation) => castObjectId(operation.id));
+    const visible = new Set(
+      (await this.collection.find({ _id: { $in: ids }, ...this.liveScope(user) }, { projection: { _id: 1 }, session }).toArray())
+        .map((doc) => doc._id.toString())
+    );
+
+    /** @type {Array<{index: number, id: string, model: Object}>} Operations sent to `bulkWrite`, with lowercase hex IDs. */
+    const writes = [];
+    for (const [index, operation] of operations.entries()) {
+      // IDs may be sent in uppercase hex; compare them as stored.
+      const id = !operation.error && operation.id && castObjectId(operation.id).toString();
+      const error = operation.error || (id && !visible.has(id) && createApiError(404, "Todo not found"));
+      if (error) {
+        results[index] = bulkFailure(index, operation, error);
+        if (ordered) break;
+        continue;
+      }
+
+      const filter = id && { _id: castObjectId(id), ...this.liveScope(user) };
+      if (operation.op === "create") {
+        const document = { _id: new ObjectId(), ...operation.todo, owner_id: user.id, date_created: now, version: 1 };
+        writes.push({ index, id: document._id.toString(), model: { insertOne: { document } } });
+      } else if (operation.op === "update") {
+        const update = { $set: { ...operation.todo, date_modified: now }, $inc: { version: 1 } };
+        writes.push({ index, id, model: { updateOne: { filter, update } } });
+      } else {
+        const update = { $set: { deleted_at: now, deleted_by: user.id, date_modified: now }, $inc: { version: 1 } };
+        writes.push({ index, id, model: { updateOne: { filter, update } } });
+      }
+    }
+
+    /** @type {Map<number, Object>} Write errors by position in `writes`. */
+    const writeErrors = new Map();
+    let matchedCount = 0;
+    if (writes.length) {
+      logger.info(`Running ${writes.length} bulk todo operations (${ordered ? "ordered" : "unordered"})`);
+      try {
+        ({ matchedCount } = await this.collection.bulkWrite(writes.map((write) => write.model), { ordered, session }));
+      } catch (err) {
+        if (!(err instanceof MongoBulkWriteError)) throw err;
+        matchedCount = err.result?.matchedCount ?? 0;
+        for (const writeError of [].concat(err.writeErrors)) writeErrors.set(writeError.index, writeError);
+      }
+    }
+
+    const stoppedAt = ordered && writeErrors.size ? Math.min(...writeErrors.keys()) : Infinity;
+    const applied = writes.filter((write, position) => position < stoppedAt && !writeErrors.has(position));
+    const unmatched = await this.findUnmatched(applied, matchedCount, now, session);
+    const notFound = createApiError(404, "Todo not found");
+    writes.forEach((write, position) => {
+      const operation = operations[write.index];
+      if (writeErrors.has(position)) {
+        results[write.index] = bulkFailure(write.index, operation, fromWriteError(writeErrors.get(position)));
+      } else if (unmatched.has(write.index)) {
+        results[write.index] = bulkFailure(write.index, operation, notFound);
+      } else if (position < stoppedAt) {
+        results[write.index] = { index: write.index, op: operation.op, status: BULK_SUCCESS_STATUS[operation.op], id: write.id };
+      }
+    });
+
+    const notAttempted = createApiError(424, "Not attempted: an earlier operation in the ordered batch failed");
+    return Array.from(results, (result, index) => result || bulkFailure(index, operations[index], notAttempted));
+  }
+
+  /**
+   * Finds the bulk updates and deletes that matched no todo, because their
+   * target was deleted (or changed owner) after it was looked up. `bulkWrite`
+   * only reports how many writes matched in total, so when that falls short,
+   * the targets not stamped with this batch's `date_modified` are the misses.
+   *
+   * @async
+   * @param {Array<{index: number, id: string, model: Object}>} applied - Writes `bulkWrite` executed without error.
+   * @param {number} matchedCount - Number of updates and deletes that matched, from the `bulkWrite` result.
+   * @param {Date} stamp - `date_modified` set by the batch's updates and deletes.
+   * @param {import("mongodb").ClientSession} [session] - Session of the surrounding transaction.
+   * @returns {Promise<Set<number>>} Request positions of the writes that matched nothing.
+   */
+  async findUnmatched(applied, matchedCount, stamp, session) {
+    const targeted = applied.filter((write) => write.model.updateOne);
+    if (matchedCount >= targeted.length) return new Set();
+
+    const written = new Set(
+      (await this.collection.find(
+        { _id: { $in: targeted.map((write) => castObjectId(write.id)) }, date_modified: stamp },
+        { projection: { _id: 1 }, session }
+      ).toArray()).map((doc) => doc._id.toString())
     );
-    return result.modifiedCount > 0;
+    return new Set(targeted.filter((write) => !written.has(write.id)).map((write) => write.index));
   }
 
   /**
-   * Deletes a todo item by ID.
+   * Soft-deletes a todo item by ID, recording when and by whom it was deleted.
    *
    * @async
    * @param {string} id - The ID of the todo to delete.
-   * @returns {Promise<boolean>} Promise resolving to true if a document was deleted; otherwise false.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user, recorded as `deleted_by`.
+   * @param {{ifMatch?: number[]|null, session?: import("mongodb").ClientSession}} [options={}] - Versions the
+   *   todo must have (from `If-Match`; null accepts any) and the session of the surrounding transaction.
+   * @returns {Promise<boolean>} Promise resolving to true if a live document was deleted; otherwise false.
+   * @throws {import('http-errors').HttpError} 412 if the todo exists but its version is not accepted.
    */
-  async delete(id) {
+  async delete(id, user, options = {}) {
+    const { ifMatch = null, session } = options;
+    const filter = { _id: castObjectId(id), ...this.liveScope(user) };
     logger.warn(`Deleting todo with ID: ${id}`);
-    const result = await this.collection.deleteOne({ _id: castObjectId(id) });
-    return result.deletedCount > 0;
+    const result = await this.collection.updateOne(
+      { ...filter, ...versionFilter(ifMatch) },
+      { $set: { deleted_at: new Date(), deleted_by: user.id, date_modified: new Date() }, $inc: { version: 1 } },
+      { session }
+    );
+    if (result.matchedCount === 0) await this.assertNotStale(filter, ifMatch, session);
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Restores a soft-deleted todo item by ID.
+   *
+   * @async
+   * @param {string} id - The ID of the todo to restore.
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{session?: import("mongodb").ClientSession}} [options={}] - Session of the surrounding transaction.
+   * @returns {Promise<Object|null>} Promise resolving to the restored todo, or null if no deleted todo matched.
+   */
+  async restore(id, user, options = {}) {
+    logger.info(`Restoring todo with ID: ${id}`);
+    return this.collection.findOneAndUpdate(
+      { _id: castObjectId(id), ...this.trashScope(user) },
+      { $set: { date_modified: new Date() }, $unset: { deleted_at: "", deleted_by: "" }, $inc: { version: 1 } },
+      { returnDocument: "after", session: options.session }
+    );
+  }
+
+  /**
+   * Retrieves one page of soft-deleted todo items visible to the user, most recent `_id` first.
+   *
+   * @async
+   * @param {{id: string, roles?: string[]}} user - The authenticated user.
+   * @param {{limit?: number, after?: string, session?: import("mongodb").ClientSession}} [options={}] - Page size,
+   *   cursor (`_id` of the last item on the previous page) and the session of the surrounding transaction.
+   * @returns {Promise<{items: Array<Object>, next_cursor: string|null}>} The page envelope.
+   */
+  async listTrash(user, options = {}) {
+    const { limit = 20, after, session } = options;
+    const filter = this.trashScope(user);
+    if (after) filter._id = { $lt: castObjectId(after) };
+
+    logger.debug(`Listing deleted todos for user: ${user.id}`, { limit, after });
+    const docs = await this.collection.find(filter, { session }).sort({ _id: -1 }).limit(limit + 1).toArray();
+    const items = docs.slice(0, limit);
+    return {
+      items,
+      next_cursor: docs.length > limit ? items[items.length - 1]._id.toString() : null,
+    };
+  }
+
+  /**
+   * Permanently deletes todos that were soft-deleted more than `retentionDays` ago.
+   * Not scoped to a user: this is a maintenance operation for admins and the scheduler.
+   *
+   * @async
+   * @param {number} retentionDays - Days a soft-deleted todo is kept before it is purged.
+   * @param {{session?: import("mongodb").ClientSession}} [options={}] - Session of the surrounding transaction.
+   * @returns {Promise<number>} Promise resolving to the number of todos purged.
+   */
+  async purge(retentionDays, options = {}) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await this.collection.deleteMany(
+      { deleted_at: { $type: "date", $lt: cutoff } },
+      { session: options.session }
+    );
+    if (result.deletedCount > 0) {
+      logger.warn(`Purged ${result.deletedCount} todos deleted before ${cutoff.toISOString()}`);
+    }
+    return result.deletedCount;
   }
 }
 
@@ -1,79 +1,335 @@
 /**
- * @fileoverview Routes for handling CRUD operations on the /v1/todo endpoint.
- * Applies schema validation, user authentication, and MongoDB ObjectId parameter validation.
+ * @fileoverview Routes for handling CRUD operations on the /todo endpoint
+ * (e.g., /v1/todo). Applies user authentication, role-based authorization, and
+ * one declarative validation spec per route covering path params, query string,
+ * and body, resolved against the mounting version's schemas.
  */
 
 const { authenticate_user } = require("../../lib/auth/authenticate_user");
+const { requirePermission, hasPermission } = require("../../lib/auth/authorize_user");
 const createError = require("http-errors");
 const todos = require("./todo_demo_module");
 const logger = require("../../lib/utilities/logger");
-const { getSchemaValidator } = require("../../v1_schema/validation");
-const { validateObjectIdParamHandler } = require("../../lib/utilities/mongo_utils");
+const env = require("../../lib/environment/environment");
+const { formatETag, getIfMatchVersions, matchesIfNoneMatch } = require("../../lib/utilities/etag_utils");
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, applyMergePatch, applyJsonPatch } = require("../../lib/utilities/patch_utils");
+const { getReturnPreference } = require("../../lib/utilities/prefer_utils");
+const { createApiError } = require("../../lib/utilities/error_utils");
+const { idempotent } = require("../../lib/idempotency/idempotency");
+const { describeRoute } = require("../../lib/openapi/openapi");
+const { omit, pick } = require("lodash");
 
 /**
- * Registers the todo routes with the given Express application.
- * 
- * @param {import("express").Express} app - The Express application instance.
+ * OpenAPI schema of the paginated list envelope returned by GET /todo.
+ * @type {object}
  */
-module.exports = (app) => {
+const todoPageSchema = {
+  type: "object",
+  required: ["items", "next_cursor"],
+  properties: {
+    items: { type: "array", items: { $ref: "#/components/schemas/todo_document" } },
+    next_cursor: { type: ["string", "null"] },
+    total: { type: "integer" },
+  },
+};
+
+/**
+ * OpenAPI schema of the POST /todo/_bulk response.
+ * @type {object}
+ */
+const bulkResultSchema = {
+  type: "object",
+  required: ["ordered", "succeeded", "failed", "results"],
+  properties: {
+    ordered: { type: "boolean" },
+    succeeded: { type: "integer" },
+    failed: { type: "integer" },
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["index", "status"],
+        properties: {
+          index: { type: "integer" },
+          op: { type: "string" },
+          status: { type: "integer", description: "201/200/204 on success; 424 if an ordered batch stopped first" },
+          id: { type: "string" },
+          error: {
+            type: "object",
+            properties: { code: { type: "string" }, message: { type: "string" }, details: { type: "array" } },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Inline header schema documenting the optional `If-Match` precondition on writes.
+ * @type {object}
+ */
+const ifMatchHeaders = {
+  type: "object",
+  properties: { "if-match": { type: "string", description: "ETag from a previous GET; 412 if the todo has changed" } },
+};
+
+/**
+ * Inline header schema documenting the optional `If-None-Match` condition on reads.
+ * @type {object}
+ */
+const ifNoneMatchHeaders = {
+  type: "object",
+  properties: { "if-none-match": { type: "string", description: "ETag from a previous GET; 304 if the todo is unchanged" } },
+};
+
+/**
+ * OpenAPI description of the `ETag` response header.
+ * @type {object}
+ */
+const etagHeader = { ETag: { description: "Strong entity tag of the todo's current version", schema: { type: "string" } } };
+
+/**
+ * OpenAPI description of a 412 response.
+ * @type {object}
+ */
+const preconditionFailed = { description: "If-Match does not match the current ETag", schema: { $ref: "#/components/schemas/Error" } };
+
+/**
+ * Inline header schema documenting the optional `If-Match` precondition and
+ * `Prefer` response form on writes that return the todo.
+ * @type {object}
+ */
+const writeHeaders = {
+  type: "object",
+  properties: {
+    ...ifMatchHeaders.properties,
+    prefer: { type: "string", description: "`return=minimal` responds 204 without a body" },
+  },
+};
+
+/**
+ * OpenAPI description of the responses of a write that returns the todo.
+ *
+ * @param {string} action - Past-tense verb for the descriptions (e.g., "replaced").
+ * @returns {object} 200 and 204 response descriptions.
+ */
+const writtenResponses = (action) => ({
+  200: { description: `The ${action} todo`, schema: "todo_document", headers: etagHeader },
+  204: { description: `Todo ${action} (\`Prefer: return=minimal\`)`, headers: etagHeader },
+});
+
+/**
+ * Responds with a written todo and its ETag: 200 with the todo as stored, or
+ * 204 without a body when the client sent `Prefer: return=minimal`.
+ *
+ * @param {import("express").Request} req - The request.
+ * @param {import("express").Response} res - The response.
+ * @param {Object} todo - The todo as stored after the write.
+ */
+function sendWritten(req, res, todo) {
+  res.set("ETag", formatETag(todo));
+  if (getReturnPreference(req.get("Prefer")) === "minimal") {
+    res.set("Preference-Applied", "return=minimal");
+    return res.sendStatus(204);
+  }
+  res.json(todo);
+}
+
+/**
+ * OpenAPI request bodies accepted by PATCH, by media type.
+ * @type {object}
+ */
+const patchRequestBody = {
+  [MERGE_PATCH_TYPE]: {
+    type: "object",
+    description: "RFC 7396 merge patch: members replace the todo's fields; null removes a field",
+  },
+  [JSON_PATCH_TYPE]: {
+    type: "array",
+    description: "RFC 6902 JSON Patch operations",
+    items: {
+      type: "object",
+      required: ["op", "path"],
+      properties: {
+        op: { enum: ["add", "remove", "replace", "move", "copy", "test"] },
+        path: { type: "string" },
+        from: { type: "string" },
+        value: {},
+      },
+    },
+  },
+};
+
+/**
+ * Registers the todo routes on an API version's router.
+ *
+ * @param {import("express").Router} router - The version's router (mounted at e.g. `/v1`).
+ * @param {import("../../lib/versioning/api_versions").ApiVersion} api - The version being mounted.
+ */
+module.exports = (router, api) => {
+  const { getRequestValidator, validateBody } = api.validation;
+
   /**
-   * Registers middleware to automatically validate any `:id` route parameter
-   * as a MongoDB ObjectId.
-   * 
-   * If the value is invalid, responds with `400 Bad Request` before reaching the route handler.
-   * 
-   * @note This can be moved to `app.js` so it is only declared once and applied globally
-   * to all routes that use an `:id` parameter, eliminating repetition in each route file.
+   * Fields defined by this version's "todo" schema. Versions share the todos
+   * collection, so a stored todo may hold fields written through another
+   * version (e.g., v2's `due_date` seen from v1); writes leave those out of
+   * validation and keep them as they are.
+   * @type {string[]}
    */
-  app.param("id", validateObjectIdParamHandler);
+  const todoFields = Object.keys(api.schema.todo.properties);
 
   /**
    * GET /v1/todo
-   * Fetches all todo items.
+   * Fetches a page of todo items owned by the caller (all items for admins).
+   * Validates the query string using the "todo_query" schema and responds with
+   * `{ items, next_cursor, total? }`; pass `next_cursor` back as `after` for the next page.
+   * Requires the "todo:read" permission.
    */
-  app.get("/v1/todo", authenticate_user, async (req, res, next) => {
-    try {
-      const all = await todos.listAll();
-      logger.info("Fetched all todos");
-      res.json(all);
-    } catch (err) {
-      logger.error("Failed to list todos", { error: err });
-      next(err);
+  router.get(
+    "/todo",
+    describeRoute({
+      summary: "List todos",
+      tags: ["todo"],
+      responses: { 200: { description: "A page of todos", schema: todoPageSchema } },
+    }),
+    authenticate_user,
+    requirePermission("todo:read"),
+    getRequestValidator({ query: "todo_query" }),
+    async (req, res, next) => {
+      try {
+        const page = await todos.list(req.user, req.query);
+        logger.info(`Fetched ${page.items.length} todos`);
+        res.json(page);
+      } catch (err) {
+        logger.error("Failed to list todos", { error: err });
+        next(err);
+      }
     }
-  });
+  );
+
+  /**
+   * GET /v1/todo/trash
+   * Fetches a page of soft-deleted todo items, most recently created first.
+   * Validates the query string using the "resource_query" schema (`limit`, `after`).
+   * Registered before `/todo/:id` so "trash" is not taken for an ID.
+   * Requires the "todo:trash" permission (admins only).
+   */
+  router.get(
+    "/todo/trash",
+    describeRoute({
+      summary: "List deleted todos",
+      tags: ["todo"],
+      responses: { 200: { description: "A page of deleted todos", schema: todoPageSchema } },
+    }),
+    authenticate_user,
+    requirePermission("todo:trash"),
+    getRequestValidator({ query: "resource_query" }),
+    async (req, res, next) => {
+      try {
+        const page = await todos.listTrash(req.user, req.query);
+        logger.info(`Fetched ${page.items.length} deleted todos`);
+        res.json(page);
+      } catch (err) {
+        logger.error("Failed to list deleted todos", { error: err });
+        next(err);
+      }
+    }
+  );
+
+  /**
+   * DELETE /v1/todo/trash
+   * Permanently deletes todo items soft-deleted longer ago than `TRASH_RETENTION_DAYS`
+   * and responds with `{ purged }`, the number of items removed.
+   * Requires the "todo:trash" permission (admins only).
+   */
+  router.delete(
+    "/todo/trash",
+    describeRoute({
+      summary: "Purge expired deleted todos",
+      tags: ["todo"],
+      responses: {
+        200: {
+          description: "Number of todos purged",
+          schema: { type: "object", required: ["purged"], properties: { purged: { type: "integer" } } },
+        },
+      },
+    }),
+    authenticate_user,
+    requirePermission("todo:trash"),
+    async (req, res, next) => {
+      try {
+        const purged = await todos.purge(env.trashRetentionDays);
+        res.json({ purged });
+      } catch (err) {
+        logger.error("Failed to purge deleted todos", { error: err });
+        next(err);
+      }
+    }
+  );
 
   /**
    * GET /v1/todo/:id
-   * Fetches a specific todo item by ID.
+   * Fetches a specific todo item by ID and sends its version as a strong `ETag`.
+   * Responds 304 when `If-None-Match` names the current ETag.
+   * Validates `:id` using the "id_params" schema.
+   * Requires the "todo:read" permission.
    */
-  app.get("/v1/todo/:id", authenticate_user, async (req, res, next) => {
-    try {
-      const todo = await todos.getById(req.params.id);
-      if (!todo) {
-        logger.warn(`Todo not found: ${req.params.id}`);
-        return next(createError(404, "Todo not found"));
+  router.get(
+    "/todo/:id",
+    describeRoute({
+      summary: "Get a todo",
+      tags: ["todo"],
+      responses: {
+        200: { description: "The todo", schema: "todo_document", headers: etagHeader },
+        304: { description: "The todo is unchanged", headers: etagHeader },
+      },
+    }),
+    authenticate_user,
+    requirePermission("todo:read"),
+    getRequestValidator({ params: "id_params", headers: ifNoneMatchHeaders }),
+    async (req, res, next) => {
+      try {
+        const todo = await todos.getById(req.params.id, req.user);
+        if (!todo) {
+          logger.warn(`Todo not found: ${req.params.id}`);
+          return next(createError(404, "Todo not found"));
+        }
+        res.set("ETag", formatETag(todo));
+        if (matchesIfNoneMatch(req.get("If-None-Match"), todo)) {
+          return res.status(304).end();
+        }
+        logger.info(`Fetched todo: ${req.params.id}`);
+        res.json(todo);
+      } catch (err) {
+        logger.error("Failed to fetch todo", { error: err });
+        next(err);
       }
-      logger.info(`Fetched todo: ${req.params.id}`);
-      res.json(todo);
-    } catch (err) {
-      logger.error("Failed to fetch todo", { error: err });
-      next(err);
     }
-  });
+  );
 
   /**
    * POST /v1/todo
    * Creates a new todo item.
    * Validates the request body using the "todo" schema.
+   * Honors `Idempotency-Key`: a retry with the same key replays the original response.
+   * Requires the "todo:write" permission.
    */
-  app.post(
-    "/v1/todo",
+  router.post(
+    "/todo",
+    describeRoute({
+      summary: "Create a todo",
+      tags: ["todo"],
+      responses: { 201: { description: "The created todo", schema: "todo_document", headers: etagHeader } },
+    }),
     authenticate_user,
-    getSchemaValidator("todo"),
+    requirePermission("todo:write"),
+    idempotent(),
+    getRequestValidator({ body: "todo" }),
     async (req, res, next) => {
       try {
-        const newTodo = await todos.create(req.body);
-        logger.info("Created new todo", newTodo);
+        const newTodo = await todos.create(req.body, req.user);
+        logger.info(`Created new todo: ${newTodo._id}`);
+        res.set("ETag", formatETag(newTodo));
         res.status(201).json(newTodo);
       } catch (err) {
         logger.error("Failed to create todo", { error: err });
@@ -82,47 +338,227 @@ module.exports = (app) => {
     }
   );
 
+  /**
+   * POST /v1/todo/_bulk
+   * Runs up to `BULK_MAX_OPERATIONS` create/update/delete operations in one request
+   * (and one `bulkWrite`), so importers are not throttled per item.
+   * Validates the envelope using the "todo_bulk" schema, then each operation using
+   * "todo_bulk_operation" and its `todo` using the "todo" schema ("strict" for
+   * creates, "partial" for updates). Invalid operations, and deletes by callers
+   * without "todo:delete", fail on their own without failing the request.
+   * Responds 200 with one result per operation; 413 if the batch is too large.
+   * Honors `Idempotency-Key` like POST /v1/todo.
+   * Requires the "todo:write" permission.
+   */
+  router.post(
+    "/todo/_bulk",
+    describeRoute({
+      summary: "Create, update and delete todos in bulk",
+      tags: ["todo"],
+      responses: {
+        200: { description: "Per-operation results", schema: bulkResultSchema },
+        413: { description: "Too many operations", schema: { $ref: "#/components/schemas/Error" } },
+      },
+    }),
+    authenticate_user,
+    requirePermission("todo:write"),
+    idempotent(),
+    getRequestValidator({ body: "todo_bulk" }),
+    async (req, res, next) => {
+      try {
+        const { ordered } = req.body;
+        const max = env.bulkMaxOperations;
+        if (req.body.operations.length > max) {
+          return next(createApiError(413, `A bulk request may contain at most ${max} operations`));
+        }
+
+        const operations = req.body.operations.map((operation) => {
+          try {
+            validateBody("todo_bulk_operation", operation);
+            if (operation.todo) validateBody("todo", operation.todo, operation.op === "create" ? "strict" : "partial");
+            if (operation.op === "delete" && !hasPermission(req.user, "todo:delete")) {
+              throw createApiError(403, "Insufficient permissions");
+            }
+            return operation;
+          } catch (err) {
+            if (!err.status) throw err;
+            return { op: operation.op, error: err };
+          }
+        });
+
+        const results = await todos.bulk(operations, req.user, { ordered });
+        const failed = results.filter((result) => result.error).length;
+        logger.info(`Bulk todo request: ${results.length - failed} succeeded, ${failed} failed`);
+        res.json({ ordered, succeeded: results.length - failed, failed, results });
+      } catch (err) {
+        logger.error("Failed to run bulk todo request", { error: err });
+        next(err);
+      }
+    }
+  );
+
   /**
    * PUT /v1/todo/:id
-   * Partially updates an existing todo item by ID.
-   * Validates the request body using the "todo" schema in "partial" mode.
+   * Replaces an existing todo item by ID; fields omitted from the body are removed,
+   * except stored fields this version's "todo" schema doesn't define, which are kept.
+   * Validates `:id` using the "id_params" schema and the request body using the
+   * "todo" schema in "strict" mode.
+   * Responds 200 with the todo as stored (unchanged when the body matches it),
+   * or 204 when the client sends `Prefer: return=minimal`.
+   * Honors `If-Match`: responds 412 if the todo's current ETag is not listed.
+   * Requires the "todo:write" permission.
    */
-  app.put(
-    "/v1/todo/:id",
+  router.put(
+    "/todo/:id",
+    describeRoute({
+      summary: "Replace a todo",
+      tags: ["todo"],
+      responses: { ...writtenResponses("replaced"), 412: preconditionFailed },
+    }),
     authenticate_user,
-    getSchemaValidator("todo", "partial"),
+    requirePermission("todo:write"),
+    getRequestValidator({ params: "id_params", headers: writeHeaders, body: "todo" }),
     async (req, res, next) => {
       try {
-        const success = await todos.update(req.params.id, req.body);
+        const ifMatch = getIfMatchVersions(req.get("If-Match"));
+        const todo = await todos.replace(req.params.id, req.body, req.user, { ifMatch, fields: todoFields });
+        if (!todo) {
+          logger.warn(`Todo not found: ${req.params.id}`);
+          return next(createError(404, "Todo not found"));
+        }
+        logger.info(`Replaced todo: ${req.params.id}`);
+        sendWritten(req, res, todo);
+      } catch (err) {
+        logger.error("Failed to replace todo", { error: err });
+        next(err);
+      }
+    }
+  );
+
+  /**
+   * PATCH /v1/todo/:id
+   * Partially updates an existing todo item by ID with either:
+   * - `application/merge-patch+json` (RFC 7396): `null` removes a field, or
+   * - `application/json-patch+json` (RFC 6902): a list of operations.
+   * The patch applies to the fields this version's "todo" schema defines, which
+   * are re-validated in "strict" mode before they are written; stored fields the
+   * version doesn't define are kept unchanged. Other media types are rejected with 415.
+   * Responds like PUT: 200 with the todo, or 204 with `Prefer: return=minimal`.
+   * Honors `If-Match`: responds 412 if the todo's current ETag is not listed.
+   * Requires the "todo:write" permission.
+   */
+  router.patch(
+    "/todo/:id",
+    describeRoute({
+      summary: "Patch a todo",
+      tags: ["todo"],
+      requestBody: patchRequestBody,
+      responses: {
+        ...writtenResponses("patched"),
+        409: { description: "A JSON Patch operation does not apply", schema: { $ref: "#/components/schemas/Error" } },
+        412: preconditionFailed,
+        415: { description: "Unsupported patch media type", schema: { $ref: "#/components/schemas/Error" } },
+        422: { description: "Invalid patch, or the patched todo is invalid", schema: { $ref: "#/components/schemas/Error" } },
+      },
+    }),
+    authenticate_user,
+    requirePermission("todo:write"),
+    getRequestValidator({ params: "id_params", headers: writeHeaders }),
+    async (req, res, next) => {
+      try {
+        const type = req.is(MERGE_PATCH_TYPE, JSON_PATCH_TYPE);
+        if (!type) {
+          return next(createApiError(415, `PATCH requires ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`));
+        }
+        const apply = type === JSON_PATCH_TYPE ? applyJsonPatch : applyMergePatch;
+
+        const ifMatch = getIfMatchVersions(req.get("If-Match"));
+        const todo = await todos.patch(
+          req.params.id,
+          (fields) => ({
+            ...omit(fields, todoFields),
+            ...validateBody("todo", apply(pick(fields, todoFields), req.body)),
+          }),
+          req.user,
+          { ifMatch }
+        );
+        if (!todo) {
+          logger.warn(`Todo not found: ${req.params.id}`);
+          return next(createError(404, "Todo not found"));
+        }
+        logger.info(`Patched todo: ${req.params.id}`);
+        sendWritten(req, res, todo);
+      } catch (err) {
+        logger.error("Failed to patch todo", { error: err });
+        next(err);
+      }
+    }
+  );
+
+  /**
+   * DELETE /v1/todo/:id
+   * Soft-deletes a todo item by ID; it can be restored until it is purged.
+   * Honors `If-Match`: responds 412 if the todo's current ETag is not listed.
+   * Validates `:id` using the "id_params" schema.
+   * Requires the "todo:delete" permission (admins only).
+   */
+  router.delete(
+    "/todo/:id",
+    describeRoute({
+      summary: "Delete a todo",
+      tags: ["todo"],
+      responses: { 204: { description: "Todo deleted" }, 412: preconditionFailed },
+    }),
+    authenticate_user,
+    requirePermission("todo:delete"),
+    getRequestValidator({ params: "id_params", headers: ifMatchHeaders }),
+    async (req, res, next) => {
+      try {
+        const ifMatch = getIfMatchVersions(req.get("If-Match"));
+        const success = await todos.delete(req.params.id, req.user, { ifMatch });
         if (!success) {
-          logger.warn(`Todo not found or not modified: ${req.params.id}`);
-          return next(createError(404, "Todo not found or not modified"));
+          logger.warn(`Todo not found: ${req.params.id}`);
+          return next(createError(404, "Todo not found"));
         }
-        logger.info(`Updated todo: ${req.params.id}`);
+        logger.info(`Deleted todo: ${req.params.id}`);
         res.sendStatus(204);
       } catch (err) {
-        logger.error("Failed to update todo", { error: err });
+        logger.error("Failed to delete todo", { error: err });
         next(err);
       }
     }
   );
 
   /**
-   * DELETE /v1/todo/:id
-   * Deletes a todo item by ID.
+   * POST /v1/todo/:id/restore
+   * Restores a soft-deleted todo item by ID and responds with the restored item.
+   * Validates `:id` using the "id_params" schema.
+   * Requires the "todo:trash" permission (admins only).
    */
-  app.delete("/v1/todo/:id", authenticate_user, async (req, res, next) => {
-    try {
-      const success = await todos.delete(req.params.id);
-      if (!success) {
-        logger.warn(`Todo not found: ${req.params.id}`);
-        return next(createError(404, "Todo not found"));
+  router.post(
+    "/todo/:id/restore",
+    describeRoute({
+      summary: "Restore a deleted todo",
+      tags: ["todo"],
+      responses: { 200: { description: "The restored todo", schema: "todo_document", headers: etagHeader } },
+    }),
+    authenticate_user,
+    requirePermission("todo:trash"),
+    getRequestValidator({ params: "id_params" }),
+    async (req, res, next) => {
+      try {
+        const todo = await todos.restore(req.params.id, req.user);
+        if (!todo) {
+          logger.warn(`Deleted todo not found: ${req.params.id}`);
+          return next(createError(404, "Deleted todo not found"));
+        }
+        logger.info(`Restored todo: ${req.params.id}`);
+        res.set("ETag", formatETag(todo));
+        res.json(todo);
+      } catch (err) {
+        logger.error("Failed to restore todo", { error: err });
+        next(err);
       }
-      logger.info(`Deleted todo: ${req.params.id}`);
-      res.sendStatus(204);
-    } catch (err) {
-      logger.error("Failed to delete todo", { error: err });
-      next(err);
     }
-  });
+  );
 };
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview JSON Schema definition for routes addressed by a MongoDB
+ * ObjectId path parameter (e.g., `/v1/todo/:id`).
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const schema = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    /** The document's `_id` as a 24-character hexadecimal string. */
+    id: { type: "string", format: "objectId" },
+  },
+};
+
+module.exports = schema;
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview JSON Schema definition for the query string of generated
+ * resource list routes (see `lib/resources/resource_factory.js`).
+ * Supports keyset pagination ordered by `_id`.
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const schema = {
+  type: "object",
+  properties: {
+    /** Maximum number of items to return. */
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+
+    /** Cursor: the `_id` of the last item on the previous page. */
+    after: { type: "string", format: "objectId" },
+  },
+
+  /** Disallow query parameters other than those defined above. */
+  additionalProperties: false,
+};
+
+module.exports = schema;
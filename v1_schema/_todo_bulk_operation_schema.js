@@ -0,0 +1,32 @@
+/**
+ * @fileoverview JSON Schema definition for one operation of a todo bulk request.
+ * `create` needs a `todo`, `update` an `id` and a (partial) `todo`, and
+ * `delete` an `id`. The `todo` itself is validated against the "todo" schema
+ * separately, strictly for creates and partially for updates.
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const schema = {
+  type: "object",
+  required: ["op"],
+  properties: {
+    /** The operation to perform. */
+    op: { type: "string", enum: ["create", "update", "delete"] },
+
+    /** `_id` of the todo to update or delete. */
+    id: { type: "string", format: "objectId" },
+
+    /** Todo fields to create or set. */
+    todo: { type: "object" },
+  },
+  allOf: [
+    { if: { properties: { op: { const: "create" } } }, then: { required: ["todo"] } },
+    { if: { properties: { op: { const: "update" } } }, then: { required: ["id", "todo"] } },
+    { if: { properties: { op: { const: "delete" } } }, then: { required: ["id"] } },
+  ],
+
+  /** Disallow properties other than those defined above. */
+  additionalProperties: false,
+};
+
+module.exports = schema;
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview JSON Schema definition for the body of POST /v1/todo/_bulk.
+ * Only the envelope is checked here; each entry of `operations` is validated
+ * on its own (see `_todo_bulk_operation_schema.js`) so one bad item is reported
+ * in its result instead of failing the whole batch.
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const schema = {
+  type: "object",
+  required: ["operations"],
+  properties: {
+    /** Stop at the first failed operation (true) or attempt every operation (false). */
+    ordered: { type: "boolean", default: true },
+
+    /** The operations to run, in order. */
+    operations: { type: "array", minItems: 1, items: { type: "object" } },
+  },
+  additionalProperties: false,
+};
+
+module.exports = schema;
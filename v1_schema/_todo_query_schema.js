@@ -0,0 +1,44 @@
+/**
+ * @fileoverview JSON Schema definition for the query string of GET /v1/todo.
+ * Used for validating and coercing list parameters: page size, cursor,
+ * sort order, and field filters.
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const schema = {
+  type: "object",
+  properties: {
+    /** Maximum number of items to return. */
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+
+    /** Cursor: the `_id` of the last item on the previous page. */
+    after: { type: "string", format: "objectId" },
+
+    /** Sort field; prefix with "-" for descending order. */
+    sort: {
+      type: "string",
+      enum: ["priority", "-priority", "date_created", "-date_created"],
+      default: "-date_created",
+    },
+
+    /** Only return todos assigned to this person. */
+    assigned_to: { type: "string" },
+
+    /** Only return todos with this completion status. */
+    is_complete: { type: "boolean" },
+
+    /** Only return todos with at least this priority. */
+    priority_min: { type: "number" },
+
+    /** Only return todos with at most this priority. */
+    priority_max: { type: "number" },
+
+    /** Include the total number of matching todos in the response. */
+    include_total: { type: "boolean", default: false },
+  },
+
+  /** Disallow query parameters other than those defined above. */
+  additionalProperties: false,
+};
+
+module.exports = schema;
@@ -7,6 +7,24 @@
 const schema = {
     /** JSON Schema for a "todo" object. */
     todo: require("./_todo_schema"),
+
+    /** JSON Schema for a stored "todo" document (response bodies). */
+    todo_document: require("./_todo_document_schema"),
+
+    /** JSON Schema for an ObjectId `:id` path parameter. */
+    id_params: require("./_id_params_schema"),
+
+    /** JSON Schema for the GET /v1/todo query string. */
+    todo_query: require("./_todo_query_schema"),
+
+    /** JSON Schema for the body of POST /v1/todo/_bulk. */
+    todo_bulk: require("./_todo_bulk_schema"),
+
+    /** JSON Schema for one operation of a todo bulk request. */
+    todo_bulk_operation: require("./_todo_bulk_operation_schema"),
+
+    /** JSON Schema for the list query string of generated resources. */
+    resource_query: require("./_resource_query_schema"),
 };
 
 module.exports = schema;
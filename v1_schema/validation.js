@@ -1,19 +1,214 @@
 /**
- * @fileoverview AJV-based request body validation utilities.
- * Exposes a factory that returns Express middleware to validate request bodies
- * against JSON Schemas, supporting "strict" and "partial" modes.
+ * @fileoverview AJV-based request validation utilities.
+ * Exposes factories that return Express middleware to validate every part of a
+ * request (path params, headers, query string, and body) against JSON Schemas,
+ * with type coercion, schema defaults, and the custom formats `objectId` and
+ * `iso-date`. Failures are forwarded as errors with code `VALIDATION_FAILED`
+ * and a `details` array describing each violation, and counted in the
+ * `request_validation_failures_total` metric.
+ *
+ * The exported validators resolve schema keys against `v1_schema/schema.js`.
+ * Other API versions bind the same validators to their own schema map with
+ * `createValidation` (see `v2_schema/validation.js`).
  */
 
 const createError = require("http-errors");
 const logger = require("../lib/utilities/logger");
+const { createApiError } = require("../lib/utilities/error_utils");
+const { recordValidationFailure } = require("../lib/metrics/metrics");
 const Ajv = require("ajv");
 
 const schema = require("./schema");
 /** @type {Ajv} */
 const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
 
+/** 24-character hexadecimal MongoDB ObjectId. */
+ajv.addFormat("objectId", /^[0-9a-fA-F]{24}$/);
+
+/** ISO 8601 calendar date, optionally with a time and offset (e.g., "2025-01-31" or "2025-01-31T09:30:00Z"). */
+ajv.addFormat("iso-date", {
+  type: "string",
+  validate: (value) =>
+    /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value) &&
+    !isNaN(Date.parse(value)),
+});
+
+/**
+ * Request parts validated by `getRequestValidator`, in evaluation order, with
+ * the status used when only that part fails.
+ * @type {Array<{location: "params"|"headers"|"query"|"body", status: number}>}
+ */
+const LOCATIONS = [
+  { location: "params", status: 400 },
+  { location: "headers", status: 400 },
+  { location: "query", status: 400 },
+  { location: "body", status: 422 },
+];
+
+/**
+ * Escapes a property name for use as a JSON Pointer (RFC 6901) segment.
+ *
+ * @param {string} key - Property name.
+ * @returns {string} Escaped segment.
+ */
+function escapePointerSegment(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Converts AJV errors into machine-readable violation details.
+ * For `required` and `additionalProperties` errors the path points at the
+ * offending property itself rather than at its parent object. The summary
+ * errors AJV adds for failed `if`/`then` branches are dropped, since the
+ * branch's own errors are reported alongside them.
+ *
+ * @function formatValidationErrors
+ * @param {import('ajv').ErrorObject[]} errors - AJV errors from a failed validation.
+ * @param {"params"|"headers"|"query"|"body"} location - Part of the request that was validated.
+ * @returns {Array<{location: string, path: string, keyword: string, params: Object, message: string}>} Violation details.
+ */
+function formatValidationErrors(errors, location) {
+  return (errors || []).filter((error) => error.keyword !== "if").map((error) => {
+    const property = error.params && (error.params.missingProperty ?? error.params.additionalProperty);
+    const path = property !== undefined
+      ? `${error.instancePath}/${escapePointerSegment(property)}`
+      : error.instancePath;
+    return {
+      location,
+      path: path || "/",
+      keyword: error.keyword,
+      params: error.params,
+      message: error.message,
+    };
+  });
+}
+
+/**
+ * Resolves a schema reference to a JSON Schema object.
+ *
+ * @param {string|object} ref - A key in the schema map or an inline JSON Schema.
+ * @param {Object<string, object>} schemas - Schema map to resolve keys against.
+ * @returns {object|null} The schema, or null for an unknown key.
+ */
+function resolveSchema(ref, schemas) {
+  if (typeof ref !== "string") return ref;
+  return Object.hasOwn(schemas, ref) ? schemas[ref] : null;
+}
+
+/**
+ * Builds the `VALIDATION_FAILED` error reported for a list of violations.
+ *
+ * @param {number} status - HTTP status (400 or 422).
+ * @param {ReturnType<typeof formatValidationErrors>} details - Violation details.
+ * @returns {import('http-errors').HttpError} The API error.
+ */
+function createValidationError(status, details) {
+  const message = details.map((d) => `${d.location}${d.path === "/" ? "" : d.path} ${d.message}`).join(", ");
+  return createApiError(status, message, null, { code: "VALIDATION_FAILED", details });
+}
+
+/**
+ * @typedef {Object} RequestValidationSpec
+ * @property {string|object} [params] - Schema (key or inline) for `req.params`.
+ * @property {string|object} [headers] - Schema for `req.headers` (names are lower-case).
+ * @property {string|object} [query] - Schema for `req.query`.
+ * @property {string|object} [body] - Schema for `req.body`.
+ * @property {"strict"|"partial"} [bodyMode="strict"] - "partial" drops the body schema's `required` list.
+ */
+
+/**
+ * Returns an Express middleware that validates any combination of `req.params`,
+ * `req.headers`, `req.query` and `req.body` against JSON Schemas, so a single
+ * declarative spec covers every input of a route.
+ *
+ * String values are coerced to the schema's types and schema defaults are applied.
+ * On success, the coerced `params`, `query` and `body` replace the originals, and all
+ * coerced parts (including headers, which are left untouched on the request) are
+ * exposed on `req.validated`. On failure, violations from every part are reported
+ * together: 422 if only the body is invalid, otherwise 400.
+ *
+ * @function getRequestValidator
+ * @param {RequestValidationSpec} spec - Schemas per request part.
+ * @param {Object<string, object>} [schemas] - Schema map used to resolve keys; defaults to `v1_schema/schema.js`.
+ * @returns {import('express').RequestHandler} Express middleware that validates the request.
+ *
+ * @example
+ * app.get('/v1/todo/:id', getRequestValidator({ params: 'id_params' }), handler);
+ * app.put('/v1/todo/:id', getRequestValidator({ params: 'id_params', body: 'todo', bodyMode: 'partial' }), handler);
+ */
+function getRequestValidator(spec, schemas = schema) {
+  const validators = [];
+
+  for (const { location, status } of LOCATIONS) {
+    if (spec[location] === undefined) continue;
+
+    const resolved = resolveSchema(spec[location], schemas);
+    if (!resolved) {
+      return (req, res, next) => {
+        next(createError(422, "Unknown schema type"));
+      };
+    }
+
+    /** @type {object} A deep-cloned schema to avoid mutation side-effects. */
+    const schemaCopy = JSON.parse(JSON.stringify(resolved));
+    if (location === "body" && spec.bodyMode === "partial") {
+      delete schemaCopy.required; // allow partial updates
+    }
+
+    const schemaName = typeof spec[location] === "string" ? spec[location] : "inline";
+    validators.push({ location, status, schemaName, validate: ajv.compile(schemaCopy) });
+  }
+
+  /** @type {Object<string, object>} Compiled schemas by request part, for API documentation. */
+  const documented = Object.fromEntries(validators.map(({ location, validate }) => [location, validate.schema]));
+
+  const label = Object.keys(spec)
+    .filter((key) => key !== "bodyMode")
+    .map((key) => `${key}=${typeof spec[key] === "string" ? spec[key] : "inline"}`)
+    .join(", ");
+
+  const middleware = (req, res, next) => {
+    const validated = {};
+    const details = [];
+    const failedStatuses = new Set();
+
+    for (const { location, status, schemaName, validate } of validators) {
+      // Copy everything except the body so coercion never mutates Express internals;
+      // the body is validated in place, matching the original body-only validator.
+      const data = location === "body" ? req.body : { ...req[location] };
+      if (!validate(data)) {
+        details.push(...formatValidationErrors(validate.errors, location));
+        failedStatuses.add(status);
+        recordValidationFailure(location, schemaName);
+        continue;
+      }
+      validated[location] = data;
+    }
+
+    if (details.length) {
+      logger.warn(`Validation failed (${label})`, { errors: details });
+      return next(createValidationError(failedStatuses.has(400) ? 400 : 422, details));
+    }
+
+    if (validated.params) req.params = validated.params;
+    if (validated.query) {
+      // Express 5 exposes req.query as a getter that re-parses on every access,
+      // so shadow it with the coerced copy.
+      Object.defineProperty(req, "query", { value: validated.query, writable: true, configurable: true, enumerable: true });
+    }
+    if (validated.body) req.body = validated.body;
+    req.validated = { ...req.validated, ...validated };
+    next();
+  };
+
+  /** Picked up by `lib/openapi/openapi.js` when generating the API document. */
+  middleware.openapi = { validation: { spec, schemas: documented } };
+  return middleware;
+}
+
 /**
  * Returns an Express middleware that validates `req.body` against a named schema.
+ * Shorthand for `getRequestValidator({ body: schemaType, bodyMode: mode })`.
  *
  * Modes:
  * - "strict" (default): requires all fields specified in the schema's `required` array.
@@ -22,38 +217,96 @@ const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
  * @function getSchemaValidator
  * @param {keyof typeof schema} schemaType - The key of the schema to use (e.g., "todo").
  * @param {"strict"|"partial"} [mode="strict"] - Validation mode.
+ * @param {Object<string, object>} [schemas] - Schema map used to resolve keys; defaults to `v1_schema/schema.js`.
  * @returns {import('express').RequestHandler} Express middleware that validates the request body.
  */
-function getSchemaValidator(schemaType, mode = "strict") {
-  if (!Object.hasOwn(schema, schemaType)) {
-    return (req, res, next) => {
-      next(createError(422, "Unknown schema type"));
-    };
-  }
+function getSchemaValidator(schemaType, mode = "strict", schemas = schema) {
+  return getRequestValidator({ body: schemaType, bodyMode: mode }, schemas);
+}
 
-  /** @type {object} */
-  const baseSchema = schema[schemaType];
-  /** @type {object} A deep-cloned schema to avoid mutation side-effects. */
-  const schemaCopy = JSON.parse(JSON.stringify(baseSchema)); // deep clone to avoid mutation
+/**
+ * Returns an Express middleware that validates and coerces `req.query` against a named schema.
+ * Shorthand for `getRequestValidator({ query: schemaType })`.
+ *
+ * @function getQueryValidator
+ * @param {keyof typeof schema} schemaType - The key of the schema to use (e.g., "todo_query").
+ * @param {Object<string, object>} [schemas] - Schema map used to resolve keys; defaults to `v1_schema/schema.js`.
+ * @returns {import('express').RequestHandler} Express middleware that validates the query string.
+ */
+function getQueryValidator(schemaType, schemas = schema) {
+  return getRequestValidator({ query: schemaType }, schemas);
+}
+
+/**
+ * Compiled validators used by `validateBody`, cached per schema map, mode and key.
+ * @type {WeakMap<Object, Map<string, import('ajv').ValidateFunction>>}
+ */
+const bodyValidators = new WeakMap();
 
-  if (mode === "partial") {
-    delete schemaCopy.required; // allow partial updates
+/**
+ * Validates a document against a named schema outside of the request pipeline.
+ * Used to validate documents computed by a handler (e.g., the result of
+ * applying a PATCH) or nested in a body (e.g., bulk operations) before they are written.
+ *
+ * @function validateBody
+ * @param {string} schemaType - The key of the schema to use (e.g., "todo").
+ * @param {*} data - The document; coerced and defaulted in place.
+ * @param {"strict"|"partial"} [mode="strict"] - "partial" drops the schema's `required` list.
+ * @param {Object<string, object>} [schemas] - Schema map used to resolve keys; defaults to `v1_schema/schema.js`.
+ * @returns {*} The validated document.
+ * @throws {import('http-errors').HttpError} 422 `VALIDATION_FAILED` with `details` located in "body".
+ */
+function validateBody(schemaType, data, mode = "strict", schemas = schema) {
+  if (!bodyValidators.has(schemas)) bodyValidators.set(schemas, new Map());
+  const cache = bodyValidators.get(schemas);
+  const cacheKey = `${mode}:${schemaType}`;
+
+  if (!cache.has(cacheKey)) {
+    const resolved = resolveSchema(schemaType, schemas);
+    if (!resolved) throw createError(422, "Unknown schema type");
+    const schemaCopy = JSON.parse(JSON.stringify(resolved));
+    if (mode === "partial") delete schemaCopy.required;
+    cache.set(cacheKey, ajv.compile(schemaCopy));
   }
 
-  /** @type {(data: any) => boolean} */
-  const validate = ajv.compile(schemaCopy);
+  const validate = cache.get(cacheKey);
+  if (!validate(data)) {
+    const details = formatValidationErrors(validate.errors, "body");
+    logger.warn(`Validation failed (body=${schemaType})`, { errors: details });
+    recordValidationFailure("body", schemaType);
+    throw createValidationError(422, details);
+  }
+  return data;
+}
 
-  return (req, res, next) => {
-    const isValid = validate(req.body);
-    if (!isValid) {
-      const message = ajv.errorsText(validate.errors);
-      logger.warn(`Validation failed for ${schemaType} (${mode})`, { errors: validate.errors });
-      return next(createError(422, message));
-    }
-    next();
+/**
+ * Returns the validator factories bound to a version's schema map, with the
+ * same shape as this module's exports.
+ *
+ * @function createValidation
+ * @param {Object<string, object>} schemas - Schema map (a version's `schema.js`).
+ * @returns {{getRequestValidator: Function, getSchemaValidator: Function, getQueryValidator: Function, validateBody: Function, formatValidationErrors: Function, createValidation: Function}} Bound validators.
+ *
+ * @example
+ * // v2_schema/validation.js
+ * module.exports = require("../v1_schema/validation").createValidation(require("./schema"));
+ */
+function createValidation(schemas) {
+  return {
+    getRequestValidator: (spec) => getRequestValidator(spec, schemas),
+    getSchemaValidator: (schemaType, mode) => getSchemaValidator(schemaType, mode, schemas),
+    getQueryValidator: (schemaType) => getQueryValidator(schemaType, schemas),
+    validateBody: (schemaType, data, mode) => validateBody(schemaType, data, mode, schemas),
+    formatValidationErrors,
+    createValidation
   };
 }
 
 module.exports = {
-  getSchemaValidator
+  getRequestValidator,
+  getSchemaValidator,
+  getQueryValidator,
+  validateBody,
+  formatValidationErrors,
+  createValidation
 };
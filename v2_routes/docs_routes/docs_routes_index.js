@@ -0,0 +1,6 @@
+/**
+ * @fileoverview API reference routes for v2 (`/v2/openapi.json`, `/v2/docs`),
+ * documenting only the v2 routes and schemas.
+ */
+
+module.exports = require("../../v1_routes/docs_routes/docs_routes_index");
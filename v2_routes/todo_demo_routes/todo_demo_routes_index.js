@@ -0,0 +1,7 @@
+/**
+ * @fileoverview Routes for handling CRUD operations on the /v2/todo endpoint.
+ * Reuses the v1 route handlers; request bodies are validated against the v2
+ * "todo" schema supplied by the version loader.
+ */
+
+module.exports = require("../../v1_routes/todo_demo_routes/todo_demo_routes_index");
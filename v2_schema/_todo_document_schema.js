@@ -0,0 +1,39 @@
+/**
+ * @fileoverview JSON Schema definition for a stored v2 "todo" document as returned
+ * by the API. Used to document response bodies in the OpenAPI document; request
+ * bodies are validated with `_todo_schema.js`.
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const todo = require("./_todo_schema");
+
+const schema = {
+  type: "object",
+  required: ["_id", ...todo.required, "owner_id", "date_created"],
+  properties: {
+    /** Document identifier. */
+    _id: { type: "string", format: "objectId" },
+
+    ...todo.properties,
+
+    /** ID of the user who created the todo. */
+    owner_id: { type: "string" },
+
+    /** Creation timestamp. */
+    date_created: { type: "string", format: "iso-date" },
+
+    /** Version counter, incremented on every write; exposed as the `ETag`. 0 on todos that predate versioning. */
+    version: { type: "integer", minimum: 0 },
+
+    /** Last modification timestamp. */
+    date_modified: { type: "string", format: "iso-date" },
+
+    /** Soft-deletion timestamp (only on deleted todos). */
+    deleted_at: { type: "string", format: "iso-date" },
+
+    /** ID of the user who deleted the todo (only on deleted todos). */
+    deleted_by: { type: "string" },
+  },
+};
+
+module.exports = schema;
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview JSON Schema definition for a v2 "todo" object.
+ * Breaking changes from v1:
+ * - `priority` is an integer from 1 (highest) to 5 (lowest).
+ * - `is_complete` is optional and defaults to `false`.
+ * - Adds an optional `due_date`.
+ *
+ * @type {import('ajv').JSONSchemaType<Object>}
+ */
+const schema = {
+  type: "object",
+  required: ["task", "priority", "assigned_to"],
+  properties: {
+    /** Description of the task. */
+    task: { type: "string" },
+
+    /** Priority level from 1 (highest) to 5 (lowest). */
+    priority: { type: "integer", minimum: 1, maximum: 5 },
+
+    /** Name or identifier of the person assigned to the task. */
+    assigned_to: { type: "string" },
+
+    /** Completion status of the task. */
+    is_complete: { type: "boolean", default: false },
+
+    /** Optional due date (ISO 8601 date or date-time). */
+    due_date: { type: "string", format: "iso-date" },
+  },
+
+  /** Disallow properties other than those defined above. */
+  additionalProperties: false,
+};
+
+module.exports = schema;
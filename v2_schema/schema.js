@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Aggregates and exports all JSON Schemas used for v2 validation.
+ * Starts from the v1 schemas and overrides the ones that changed in v2, so
+ * unchanged schemas (e.g., `id_params`) stay shared between versions.
+ *
+ * @type {Object<string, import('ajv').JSONSchemaType<Object>>}
+ */
+const schema = {
+    ...require("../v1_schema/schema"),
+
+    /** JSON Schema for a v2 "todo" object. */
+    todo: require("./_todo_schema"),
+
+    /** JSON Schema for a stored v2 "todo" document (response bodies). */
+    todo_document: require("./_todo_document_schema"),
+};
+
+module.exports = schema;
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview AJV-based request validation for v2 routes.
+ * Same validators as `v1_schema/validation.js`, resolving schema keys against
+ * `v2_schema/schema.js`.
+ */
+
+module.exports = require("../v1_schema/validation").createValidation(require("./schema"));